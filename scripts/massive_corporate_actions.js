@@ -0,0 +1,89 @@
+// node scripts/massive_corporate_actions.js <startDate>
+// example: node scripts/massive_corporate_actions.js 2003-09-10
+
+import 'dotenv/config';
+import { Temporal } from '@js-temporal/polyfill';
+import { sender, sql, createTables } from "../src/db.js";
+
+await createTables();
+
+const MASSIVE_KEY = process.env.MASSIVE_KEY;
+if(!MASSIVE_KEY) {
+    throw "MASSIVE_KEY is not set. Please set it in the environment variables.";
+}
+
+const startDate = process.argv[2];
+if(startDate && isNaN(new Date(startDate))) {
+    throw "Invalid start date. Example: node scripts/massive_corporate_actions.js 2003-09-10";
+}
+
+async function callMassive(path, params) {
+    for(let param in params) {
+        if(params[param] === undefined) {
+            delete params[param];
+        }
+    }
+    let results = [];
+    const response = await fetch(`https://api.massive.com${path}?${new URLSearchParams(params).toString()}&apiKey=${MASSIVE_KEY}`);
+    const data = await response.json();
+    if(data.resultsCount === 0) {
+        return [];
+    }
+    if(!Array.isArray(data.results)) {
+        throw new Error('Invalid response: ' + JSON.stringify(data));
+    }
+    results.push(...data.results);
+    let nextUrl = data.next_url;
+    while(nextUrl) {
+        const response = await fetch(nextUrl + '&apiKey=' + MASSIVE_KEY);
+        const data = await response.json();
+        if(data.resultsCount === 0) {
+            break;
+        }
+        results.push(...data.results);
+        nextUrl = data.next_url;
+    }
+    return results;
+}
+
+// ex-dates are stored as midnight New York time, before that day's session
+const exDate = date => Temporal.PlainDate.from(date).toZonedDateTime({ timeZone: 'America/New_York' }).epochMilliseconds;
+
+console.log('Downloading splits...');
+const splits = await callMassive('/v3/reference/splits', {
+    'execution_date.gte': startDate,
+    limit: 1000,
+});
+for(const split of splits) {
+    if(!split.execution_date || !split.split_from || !split.split_to) continue;
+    await sender
+        .table('splits')
+        .symbol('ticker', split.ticker)
+        .floatColumn('split_from', split.split_from)
+        .floatColumn('split_to', split.split_to)
+        .at(exDate(split.execution_date), 'ms');
+}
+console.log(`Got ${splits.length} splits`);
+
+console.log('Downloading dividends...');
+const dividends = await callMassive('/v3/reference/dividends', {
+    'ex_dividend_date.gte': startDate,
+    limit: 1000,
+});
+let count = 0;
+for(const dividend of dividends) {
+    if(!dividend.ex_dividend_date || !dividend.cash_amount) continue;
+    if(dividend.currency && dividend.currency !== 'USD') continue;
+    await sender
+        .table('dividends')
+        .symbol('ticker', dividend.ticker)
+        .floatColumn('amount', dividend.cash_amount)
+        .at(exDate(dividend.ex_dividend_date), 'ms');
+    count++;
+}
+console.log(`Got ${count} dividends`);
+
+await sender.flush();
+console.log('Done');
+await sender.close();
+await sql.end();
@@ -1,10 +1,13 @@
-// node scripts/massive_download.js [period] <startDate> <skip downloaded tickers>
+// node scripts/massive_download.js [period] <startDate> <skip downloaded tickers> <raw>
 // example: node scripts/massive_download.js 1d 2003-09-10 true
+// example: node scripts/massive_download.js 1d 2003-09-10 false raw   (unadjusted prices)
 
 import 'dotenv/config';
 import fs from 'fs';
 import { writeFile } from 'fs/promises';
-import { sender, sql } from "../src/db.js";
+import { sender, sql, createTables } from "../src/db.js";
+
+await createTables();
 
 if(!fs.existsSync('data')) {
     fs.mkdirSync('data');
@@ -24,9 +27,12 @@ const periodMap = {
     'q': 'quarter',
 }
 if(!process.argv[2]) {
-    throw "Usage: node scripts/massive_download.js [period] <startDate> <skip>";
+    throw "Usage: node scripts/massive_download.js [period] <startDate> <skip> <raw>";
 }
 const rawPeriod = process.argv[2];
+const unadjusted = process.argv[5] === 'raw';
+const folder = unadjusted ? `${rawPeriod}_raw` : rawPeriod;
+const table = unadjusted ? `candles_${rawPeriod}_raw` : `candles_${rawPeriod}`;
 const multiplier = parseInt(rawPeriod);
 const period = periodMap[rawPeriod.replace(multiplier+'', '')];
 
@@ -34,8 +40,8 @@ if(isNaN(multiplier) || !period) {
     throw "Invalid period. Example: node scripts/massive_download.js 1d";
 }
 
-if(!fs.existsSync(`data/massive/${rawPeriod}`)) {
-    fs.mkdirSync(`data/massive/${rawPeriod}`);
+if(!fs.existsSync(`data/massive/${folder}`)) {
+    fs.mkdirSync(`data/massive/${folder}`);
 }
 
 const MASSIVE_KEY = process.env.MASSIVE_KEY;
@@ -43,7 +49,7 @@ if(!MASSIVE_KEY) {
     throw "MASSIVE_KEY is not set. Please set it in the environment variables.";
 }
 
-const lastDate = await sql`SELECT timestamp FROM ${sql(`candles_${rawPeriod}`)} ORDER BY timestamp DESC LIMIT 1`;
+const lastDate = await sql`SELECT timestamp FROM ${sql(table)} ORDER BY timestamp DESC LIMIT 1`;
 let startDate = new Date(process.argv[3] || '2003-09-10');
 let skip = process.argv[4] === 'true';
 if(lastDate.length > 0 && !process.argv[3]) {
@@ -90,7 +96,7 @@ let tickerList = [];
 }
 console.log(`Got ${tickerList.length} tickers`);
 if(skip) {
-    const files = fs.readdirSync(`data/massive/${rawPeriod}`).map(f => f.split('.').slice(0, -1).join('.'));
+    const files = fs.readdirSync(`data/massive/${folder}`).map(f => f.split('.').slice(0, -1).join('.'));
     tickerList = tickerList.filter(t => !files.includes(t));
     console.log(`Remaining ${tickerList.length} tickers`);
 }
@@ -106,7 +112,7 @@ for (let i = 0; i < tickerList.length; i += BATCH_SIZE) {
     const results = await Promise.all(batch.map(async (ticker) => {
         const url = `/v2/aggs/ticker/${ticker}/range/${multiplier}/${period}/${startStr}/${endDate}`;
         const data = await callMassive(url, {
-            adjusted: true,
+            adjusted: !unadjusted,
             sort: 'asc',
             limit: 50000,
         });
@@ -118,7 +124,7 @@ for (let i = 0; i < tickerList.length; i += BATCH_SIZE) {
         return { ticker, output };
     }));
     await Promise.all(results.map(({ ticker, output }) =>
-        writeFile(`data/massive/${rawPeriod}/${ticker}.csv`, output)
+        writeFile(`data/massive/${folder}/${ticker}.csv`, output)
     ));
 }
 
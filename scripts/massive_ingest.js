@@ -1,10 +1,15 @@
-import { sender, sql } from "../src/db.js";
+import { sender, sql, createTables } from "../src/db.js";
 import fs from 'fs';
 
+await createTables();
+
 const type = process.argv[2];
+const unadjusted = process.argv[3] === 'raw';
+const folder = unadjusted ? `${type}_raw` : type;
+const table = unadjusted ? `candles_${type}_raw` : `candles_${type}`;
 
 if (!['1d', '1h', '5m', '1m'].includes(type)) {
-    console.error('Usage: node massive_ingest.js <1d|1h|5m|1m>');
+    console.error('Usage: node massive_ingest.js <1d|1h|5m|1m> <raw>');
     process.exit(1);
 }
 
@@ -42,11 +47,11 @@ function lineReader(inputFile, callback) {
     })
 }
 
-const tickers = fs.readdirSync(`data/massive/${type}`).map(f => f.split('.').slice(0, -1).join('.'));
+const tickers = fs.readdirSync(`data/massive/${folder}`).map(f => f.split('.').slice(0, -1).join('.'));
 for(const ticker of tickers) {
     const promise = Promise.withResolvers();
     console.log(`Processing ${ticker}...`);
-    lineReader(`data/massive/${type}/${ticker}.csv`, async (line, done) => {
+    lineReader(`data/massive/${folder}/${ticker}.csv`, async (line, done) => {
         if(done) {
             promise.resolve();
             return;
@@ -57,7 +62,7 @@ for(const ticker of tickers) {
         }
         try {
             await sender
-                .table(`candles_${type}`)
+                .table(table)
                 .symbol('ticker', arr[0])
                 .floatColumn('open', +arr[2])
                 .floatColumn('high', +arr[4])
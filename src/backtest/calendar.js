@@ -0,0 +1,319 @@
+import { Temporal } from '@js-temporal/polyfill';
+import { allowedIntervals, intervalMsMap } from './consts.js';
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+// unscheduled NYSE closures
+const nyseSpecialClosures = [
+    '1994-04-27', // Nixon funeral
+    '2001-09-11', '2001-09-12', '2001-09-13', '2001-09-14', // September 11
+    '2004-06-11', // Reagan funeral
+    '2007-01-02', // Ford funeral
+    '2012-10-29', '2012-10-30', // Hurricane Sandy
+    '2018-12-05', // G.H.W. Bush funeral
+    '2025-01-09', // Carter funeral
+];
+
+const pad = n => String(n).padStart(2, '0');
+const toDay = ms => new Date(ms).toISOString().slice(0, 10);
+const fromDay = day => Date.UTC(+day.slice(0, 4), +day.slice(5, 7) - 1, +day.slice(8, 10));
+const weekday = day => new Date(fromDay(day)).getUTCDay();   // 0 = Sunday
+const minutes = time => +time.slice(0, 2) * 60 + +time.slice(3, 5);
+
+/** Day of the `n`th `weekday` of a month, or the last one for n = -1. */
+function nthWeekday(year, month, wd, n) {
+    if (n > 0) {
+        const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        return `${year}-${pad(month)}-${pad(1 + (wd - first + 7) % 7 + (n - 1) * 7)}`;
+    }
+    const lastDate = new Date(Date.UTC(year, month, 0));
+    const last = lastDate.getUTCDay();
+    return `${year}-${pad(month)}-${pad(lastDate.getUTCDate() - (last - wd + 7) % 7)}`;
+}
+
+/** Easter Sunday (Gregorian). */
+function easter(year) {
+    const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+    const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31), day = (h + l - 7 * m + 114) % 31 + 1;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/** A fixed-date holiday moved to Friday when it falls on Saturday and to Monday on Sunday. */
+function observed(day) {
+    const wd = weekday(day);
+    if (wd === 6) return toDay(fromDay(day) - dayMs);
+    if (wd === 0) return toDay(fromDay(day) + dayMs);
+    return day;
+}
+
+/**
+ * NYSE/NASDAQ full-day holidays of a year.
+ * @param {number} year
+ * @returns {string[]} Days as 'YYYY-MM-DD'
+ */
+export function nyseHolidays(year) {
+    const days = [];
+    // New Year's Day on a Saturday isn't moved back into the previous year
+    const newYear = `${year}-01-01`;
+    if (weekday(newYear) !== 6) days.push(observed(newYear));
+    if (year >= 1998) days.push(nthWeekday(year, 1, 1, 3));   // Martin Luther King Jr. Day
+    days.push(nthWeekday(year, 2, 1, 3));                      // Washington's Birthday
+    days.push(toDay(fromDay(easter(year)) - 2 * dayMs));       // Good Friday
+    days.push(nthWeekday(year, 5, 1, -1));                     // Memorial Day
+    if (year >= 2022) days.push(observed(`${year}-06-19`));    // Juneteenth
+    days.push(observed(`${year}-07-04`));                      // Independence Day
+    days.push(nthWeekday(year, 9, 1, 1));                      // Labor Day
+    days.push(nthWeekday(year, 11, 4, 4));                     // Thanksgiving
+    days.push(observed(`${year}-12-25`));                      // Christmas
+    days.push(...nyseSpecialClosures.filter(d => d.startsWith(`${year}-`)));
+    return days;
+}
+
+/**
+ * NYSE/NASDAQ early closes (1 PM) of a year.
+ * @param {number} year
+ * @returns {string[]} Days as 'YYYY-MM-DD'
+ */
+export function nyseEarlyCloses(year) {
+    const days = [];
+    // July 3rd and Christmas Eve, when they fall Monday to Thursday
+    for (const day of [`${year}-07-03`, `${year}-12-24`]) {
+        const wd = weekday(day);
+        if (wd >= 1 && wd <= 4) days.push(day);
+    }
+    days.push(toDay(fromDay(nthWeekday(year, 11, 4, 4)) + dayMs));   // day after Thanksgiving
+    return days;
+}
+
+/**
+ * Exchange trading calendar: which days are sessions, when they open and close,
+ * and the bar times of each interval inside them.
+ *
+ * Bars are stamped with their end time like the ingested data: daily bars at the
+ * regular close (also on early-close days), intraday bars at the end of each interval
+ * step (aligned to the clock) that ends after the open and no later than the close.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.timeZone='America/New_York'] - Exchange time zone
+ * @param {string} [params.open='09:30']      - Session open, exchange time
+ * @param {string} [params.close='16:00']     - Regular close
+ * @param {string} [params.earlyClose='13:00'] - Close on early-close days
+ * @param {'nyse'|null} [params.rules='nyse'] - Built-in holiday and early-close rules, `null` for weekends only
+ * @param {string[]} [params.holidays=[]]     - Extra closed days, 'YYYY-MM-DD'
+ * @param {string[]} [params.earlyCloses=[]]  - Extra early-close days, 'YYYY-MM-DD'
+ * @throws {TypeError} on invalid parameters
+ */
+export default class TradingCalendar {
+    constructor({ timeZone = 'America/New_York', open = '09:30', close = '16:00', earlyClose = '13:00', rules = 'nyse', holidays = [], earlyCloses = [] } = {}) {
+        for (const [name, time] of Object.entries({ open, close, earlyClose })) {
+            if (!/^\d\d:\d\d$/.test(time)) {
+                throw new TypeError(`${name} must be a time like '09:30'`);
+            }
+        }
+        if (minutes(close) <= minutes(open) || minutes(earlyClose) <= minutes(open) || minutes(earlyClose) > minutes(close)) {
+            throw new TypeError('close and earlyClose must be after open, and earlyClose not after close');
+        }
+        if (rules !== 'nyse' && rules !== null) {
+            throw new TypeError('rules must be "nyse" or null');
+        }
+        Temporal.Now.zonedDateTimeISO(timeZone); // throws on an unknown time zone
+
+        this.timeZone = timeZone;
+        this.open = open;
+        this.close = close;
+        this.earlyClose = earlyClose;
+        this.rules = rules;
+        this.extraHolidays = new Set(holidays);
+        this.extraEarlyCloses = new Set(earlyCloses);
+
+        this.years = new Map();     // year -> { holidays: Set, earlyCloses: Set }
+        this.sessionCache = new Map();
+    }
+
+    /**
+     * @param {Date|number|string} date - A date, timestamp or 'YYYY-MM-DD' day
+     * @returns {string} The exchange-local day as 'YYYY-MM-DD'
+     */
+    day(date) {
+        if (typeof date === 'string') return date;
+        return Temporal.Instant.fromEpochMilliseconds(+date).toZonedDateTimeISO(this.timeZone).toPlainDate().toString();
+    }
+
+    year(year) {
+        if (!this.years.has(year)) {
+            this.years.set(year, {
+                holidays: new Set(this.rules === 'nyse' ? nyseHolidays(year) : []),
+                earlyCloses: new Set(this.rules === 'nyse' ? nyseEarlyCloses(year) : []),
+            });
+        }
+        return this.years.get(year);
+    }
+
+    /**
+     * @param {Date|number|string} date
+     * @returns {boolean} Whether the day is a holiday on a weekday
+     */
+    isHoliday(date) {
+        const day = this.day(date);
+        const wd = weekday(day);
+        if (wd === 0 || wd === 6) return false;
+        return this.extraHolidays.has(day) || this.year(+day.slice(0, 4)).holidays.has(day);
+    }
+
+    /**
+     * @param {Date|number|string} date
+     * @returns {boolean} Whether the exchange has a session that day
+     */
+    isTradingDay(date) {
+        const day = this.day(date);
+        const wd = weekday(day);
+        return wd !== 0 && wd !== 6 && !this.isHoliday(day);
+    }
+
+    /**
+     * @param {Date|number|string} date
+     * @returns {boolean} Whether the day is a session that closes early
+     */
+    isEarlyClose(date) {
+        const day = this.day(date);
+        return this.isTradingDay(day) && (this.extraEarlyCloses.has(day) || this.year(+day.slice(0, 4)).earlyCloses.has(day));
+    }
+
+    /**
+     * The session of a day.
+     * @param {Date|number|string} date
+     * @returns {{ day: string, open: number, close: number, regularClose: number, early: boolean } | null}
+     *          Open and close timestamps (`regularClose` is the close without the early close), null if closed
+     */
+    session(date) {
+        const day = this.day(date);
+        if (this.sessionCache.has(day)) return this.sessionCache.get(day);
+        let session = null;
+        if (this.isTradingDay(day)) {
+            const early = this.isEarlyClose(day);
+            const at = time => Temporal.PlainDateTime.from(`${day}T${time}`).toZonedDateTime(this.timeZone).epochMilliseconds;
+            session = { day, open: at(this.open), close: at(early ? this.earlyClose : this.close), early };
+            session.regularClose = early ? at(this.close) : session.close;
+        }
+        this.sessionCache.set(day, session);
+        return session;
+    }
+
+    /**
+     * Sessions whose day falls between two dates, inclusive.
+     * @param {Date|number|string} start
+     * @param {Date|number|string} end
+     * @returns {{ day: string, open: number, close: number, early: boolean }[]}
+     */
+    sessions(start, end) {
+        const result = [];
+        for (let t = fromDay(this.day(start)); t <= fromDay(this.day(end)); t += dayMs) {
+            const session = this.session(toDay(t));
+            if (session) result.push(session);
+        }
+        return result;
+    }
+
+    /**
+     * The session before a day.
+     * @param {Date|number|string} date
+     * @returns {{ day: string, open: number, close: number, early: boolean }}
+     */
+    previousSession(date) {
+        let t = fromDay(this.day(date));
+        for (;;) {
+            t -= dayMs;
+            const session = this.session(toDay(t));
+            if (session) return session;
+        }
+    }
+
+    /**
+     * Bar end times of an interval inside a session.
+     * @param {string} interval
+     * @param {{ open: number, close: number, regularClose: number }} session
+     * @returns {number[]} Timestamps in ms, ascending
+     */
+    barsOf(interval, session) {
+        if (interval === '1d') return [session.regularClose];
+        const step = intervalMsMap[interval] / 60000;
+        const openMin = minutes(this.open);
+        const closeMin = openMin + (session.close - session.open) / 60000;
+        const bars = [];
+        for (let m = (Math.floor(openMin / step) + 1) * step; m <= closeMin; m += step) {
+            bars.push(session.open + (m - openMin) * 60000);
+        }
+        return bars;
+    }
+
+    /**
+     * Bar end times of an interval between two dates, inclusive.
+     * @param {string} interval - One of '1d', '1h', '5m', '1m'
+     * @param {Date} start
+     * @param {Date} end
+     * @returns {Date[]}
+     * @throws {TypeError} If the interval is invalid
+     */
+    barTimes(interval, start, end) {
+        if (!allowedIntervals.includes(interval)) {
+            throw new TypeError(`Invalid interval: ${interval}`);
+        }
+        const dates = [];
+        for (const session of this.sessions(start, end)) {
+            for (const ts of this.barsOf(interval, session)) {
+                if (ts >= +start && ts <= +end) dates.push(new Date(ts));
+            }
+        }
+        return dates;
+    }
+
+    /**
+     * Earliest time to load from so that `count` bars ending at or before `date` are included.
+     * @param {string} interval - One of '1d', '1h', '5m', '1m'
+     * @param {Date|number} date
+     * @param {number} count
+     * @returns {Date} The start of the `count`th bar back
+     * @throws {TypeError} If the interval is invalid
+     */
+    lookbackStart(interval, date, count) {
+        if (!allowedIntervals.includes(interval)) {
+            throw new TypeError(`Invalid interval: ${interval}`);
+        }
+        let session = this.session(date) ?? this.previousSession(date);
+        let need = count;
+        for (;;) {
+            const bars = this.barsOf(interval, session).filter(ts => ts <= +date);
+            if (bars.length >= need) {
+                if (interval === '1d') return new Date(session.open);
+                return new Date(bars[bars.length - need] - intervalMsMap[interval]);
+            }
+            need -= bars.length;
+            session = this.previousSession(session.day);
+        }
+    }
+
+    /**
+     * Average number of bars per year between two dates, to annualise per-bar statistics.
+     * @param {string} interval - One of '1d', '1h', '5m', '1m'
+     * @param {Date} start
+     * @param {Date} end
+     * @returns {number}
+     */
+    periodsPerYear(interval, start, end) {
+        // whole years around the period, so short backtests aren't skewed by where their holidays fall
+        const firstYear = +this.day(start).slice(0, 4);
+        const lastYear = +this.day(end).slice(0, 4);
+        let bars = 0;
+        for (const session of this.sessions(`${firstYear}-01-01`, `${lastYear}-12-31`)) {
+            bars += this.barsOf(interval, session).length;
+        }
+        return bars / (lastYear - firstYear + 1);
+    }
+}
+
+/** NYSE/NASDAQ calendar, the default. */
+export const nyseCalendar = new TradingCalendar();
@@ -1,12 +1,13 @@
 import { intervalMsMap, prefetchFactor } from './consts.js';
-import { loadStockAfterTimestamp, loadStockBeforeTimestamp } from './loader.js';
+import * as loader from './loader.js';
+import { nyseCalendar } from './calendar.js';
 
 /**
  * Returns a plain Candle[] instead of a Stock,
  * so our buffer logic is simpler.
  */
-async function fetchCandlesAfter(stockName, interval, startDate, count) {
-    const stock = await loadStockAfterTimestamp(stockName, interval, startDate, count);
+async function fetchCandlesAfter(source, stockName, interval, startDate, count, adjusted) {
+    const stock = await source.loadStockAfterTimestamp(stockName, interval, startDate, count, adjusted);
     return [...stock];         // Stock is iterable over Candle
 }
 
@@ -17,19 +18,25 @@ export default class CandleBuffer {
      * @param {Date}   startDate  – backtest start
      * @param {Date}   endDate    – backtest end
      * @param {number} lookback   – how many past bars your strategy will ever request
+     * @param {number} [prefetch] – how many bars to load at once
+     * @param {boolean} [adjusted=true] – adjusted or raw prices
+     * @param {TradingCalendar} [calendar] – sessions used to find where the lookback starts
+     * @param {Dataset} [source] – where candles are read from, QuestDB by default
      */
-    constructor(stockName, interval, startDate, endDate, lookback, prefetch) {
+    constructor(stockName, interval, startDate, endDate, lookback, prefetch, adjusted = true, calendar = nyseCalendar, source = loader) {
       this.stockName = stockName;
       this.interval  = interval;
       this.startDate = startDate;
       this.endDate   = endDate;
       this.lookback  = lookback;
+      this.adjusted  = adjusted;
+      this.source    = source;
   
       this.ms        = intervalMsMap[interval];
       this.prefetch  = prefetch || Math.max(lookback * prefetchFactor, 100);
       this.buffer    = [];        // holds loaded candles in ascending timestamp
       // start fetching from "lookback" bars before the official startDate
-      this.nextTs    = new Date(startDate.getTime() - lookback * this.ms);
+      this.nextTs    = calendar.lookbackStart(interval, startDate, lookback);
       this.done      = false;     // whether we've reached endDate or exhausted data
     }
   
@@ -44,10 +51,12 @@ export default class CandleBuffer {
       }
   
       const chunk = await fetchCandlesAfter(
+        this.source,
         this.stockName,
         this.interval,
         this.nextTs,
-        this.prefetch
+        this.prefetch,
+        this.adjusted
       );
   
       if (chunk.length === 0) {
@@ -0,0 +1,232 @@
+import Stock from './stock.js';
+import Column from './column.js';
+import * as loader from './loader.js';
+import { allowedIntervals, intervalMsMap } from './consts.js';
+
+const columns = [
+    ['opens', Float32Array],
+    ['highs', Float32Array],
+    ['lows', Float32Array],
+    ['closes', Float32Array],
+    ['volumes', Float64Array],
+    ['timestamps', Float64Array],
+];
+
+/** A Column over an existing typed array, without copying it. */
+function columnView(Type, buffer) {
+    const column = new Column(Type, 0);
+    column.buffer = buffer;
+    column.length = buffer.length;
+    return column;
+}
+
+/** First index in [lo, hi) whose timestamp is >= ts (or > ts with `after`). */
+function bound(timestamps, lo, hi, ts, after = false) {
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (after ? timestamps[mid] <= ts : timestamps[mid] < ts) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Candles loaded once and kept in memory, answering the same queries as loader.js.
+ * The columns live in SharedArrayBuffers, so a dataset can be sent to worker threads
+ * with `toShared()` / `Dataset.fromShared()` without copying the data.
+ * Intervals that weren't loaded are read from QuestDB as usual.
+ *
+ * Pass it to a Backtest with the `dataset` option.
+ */
+export default class Dataset {
+    /**
+     * @param {Object} params
+     * @param {boolean} [params.adjusted=true] - Whether the candles are adjusted prices
+     * @param {Object<string, { names: string[], offsets: number[], columns: Object<string, TypedArray> }>} [params.intervals] - Candles by interval
+     * @param {Object} [params.corporateActions] - Result of `loadCorporateActions`
+     * @param {Object} [params.delistingReturns] - Result of `loadDelistingReturns`
+     */
+    constructor({ adjusted = true, intervals = {}, corporateActions = null, delistingReturns = null } = {}) {
+        this.adjusted = adjusted;
+        this.intervals = intervals;
+        this.corporateActions = corporateActions;
+        this.delistingReturns = delistingReturns;
+
+        this.index = {};   // interval -> stock name -> position in names
+        for (const interval in intervals) {
+            this.index[interval] = Object.fromEntries(intervals[interval].names.map((name, i) => [name, i]));
+        }
+    }
+
+    /**
+     * Loads candles from QuestDB.
+     * @param {Object} params
+     * @param {string[]} params.intervals - Intervals to load
+     * @param {Date} params.startDate     - Include enough time before the backtest for its lookbacks
+     * @param {Date} params.endDate
+     * @param {string[]|Object<string, string[]|null>} [params.stockNames] - Only these tickers, or the tickers
+     *        of each interval by name (null for all); all if not set
+     * @param {boolean} [params.adjusted=true]
+     * @param {boolean} [params.delistingReturns=false] - Also load the delisting returns table
+     * @returns {Promise<Dataset>}
+     * @throws {TypeError} on invalid parameters
+     */
+    static async load({ intervals, startDate, endDate, stockNames = null, adjusted = true, delistingReturns = false }) {
+        if (!Array.isArray(intervals) || intervals.some(iv => !allowedIntervals.includes(iv))) {
+            throw new TypeError(`intervals must be an array of ${allowedIntervals.join(', ')}`);
+        }
+        if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+            throw new TypeError('startDate and endDate must be instances of Date');
+        }
+
+        const data = {};
+        for (const interval of intervals) {
+            const names = Array.isArray(stockNames) ? stockNames : stockNames?.[interval];
+            let stocks;
+            if (names) {
+                stocks = {};
+                for (const stockName of names) {
+                    const stock = await loader.loadStockInRange(stockName, interval, startDate, endDate, adjusted);
+                    if (stock.size > 0) stocks[stockName] = stock;
+                }
+            } else {
+                stocks = await loader.loadAllStocksInRange(interval, startDate, endDate, adjusted);
+            }
+            data[interval] = Dataset.pack(Object.values(stocks));
+        }
+
+        return new Dataset({
+            adjusted,
+            intervals: data,
+            corporateActions: adjusted ? null : await loader.loadCorporateActions(startDate, endDate),
+            delistingReturns: delistingReturns ? await loader.loadDelistingReturns(startDate) : null,
+        });
+    }
+
+    /**
+     * Copies stocks into one set of shared columns.
+     * @param {Stock[]} stocks
+     */
+    static pack(stocks) {
+        const names = [];
+        const offsets = [0];
+        for (const stock of stocks) {
+            names.push(stock.name);
+            offsets.push(offsets.at(-1) + stock.size);
+        }
+        const total = offsets.at(-1);
+        const packed = {};
+        for (const [key, Type] of columns) {
+            packed[key] = new Type(new SharedArrayBuffer(Math.max(total, 1) * Type.BYTES_PER_ELEMENT), 0, total);
+            stocks.forEach((stock, i) => packed[key].set(stock[key].buffer.subarray(0, stock.size), offsets[i]));
+        }
+        return { names, offsets, columns: packed };
+    }
+
+    /**
+     * Plain object that can be posted to a worker; the candles stay shared.
+     * @returns {Object}
+     */
+    toShared() {
+        return {
+            adjusted: this.adjusted,
+            intervals: this.intervals,
+            corporateActions: this.corporateActions,
+            delistingReturns: this.delistingReturns,
+        };
+    }
+
+    /**
+     * @param {Object} shared - Result of `toShared()`
+     * @returns {Dataset}
+     */
+    static fromShared(shared) {
+        return new Dataset(shared);
+    }
+
+    /**
+     * Candles [from, to) of a stock as a Stock viewing the shared columns.
+     * @returns {Stock}
+     */
+    view(interval, stockName, from, to) {
+        const { offsets, columns: data } = this.intervals[interval];
+        const i = this.index[interval][stockName];
+        const stock = new Stock(stockName, intervalMsMap[interval]);
+        if (i === undefined) return stock;
+        const start = Math.min(offsets[i] + from, offsets[i + 1]);
+        const end = Math.max(start, Math.min(offsets[i] + to, offsets[i + 1]));
+        for (const [key, Type] of columns) {
+            stock[key] = columnView(Type, data[key].subarray(start, end));
+        }
+        stock.size = end - start;
+        return stock;
+    }
+
+    /** Range of a stock's candles inside the packed interval. */
+    span(interval, stockName) {
+        const i = this.index[interval][stockName];
+        if (i === undefined) return null;
+        const { offsets, columns: data } = this.intervals[interval];
+        return { timestamps: data.timestamps.subarray(offsets[i], offsets[i + 1]), size: offsets[i + 1] - offsets[i] };
+    }
+
+    async loadStockInRange(stockName, interval, startDate, endDate, adjusted = this.adjusted) {
+        if (!this.intervals[interval] || adjusted !== this.adjusted) {
+            return loader.loadStockInRange(stockName, interval, startDate, endDate, adjusted);
+        }
+        const span = this.span(interval, stockName);
+        if (!span) return this.view(interval, stockName, 0, 0);
+        const from = bound(span.timestamps, 0, span.size, +startDate);
+        const to = bound(span.timestamps, from, span.size, +endDate);
+        return this.view(interval, stockName, from, to);
+    }
+
+    async loadStockAfterTimestamp(stockName, interval, date, candlesCount, adjusted = this.adjusted) {
+        if (!this.intervals[interval] || adjusted !== this.adjusted) {
+            return loader.loadStockAfterTimestamp(stockName, interval, date, candlesCount, adjusted);
+        }
+        const span = this.span(interval, stockName);
+        if (!span) return this.view(interval, stockName, 0, 0);
+        const from = bound(span.timestamps, 0, span.size, +date);
+        return this.view(interval, stockName, from, from + candlesCount);
+    }
+
+    /** Newest first, like the loader. */
+    async loadStockBeforeTimestamp(stockName, interval, date, candlesCount, adjusted = this.adjusted, calendar) {
+        if (!this.intervals[interval] || adjusted !== this.adjusted) {
+            return loader.loadStockBeforeTimestamp(stockName, interval, date, candlesCount, adjusted, calendar);
+        }
+        const stock = new Stock(stockName, intervalMsMap[interval]);
+        const span = this.span(interval, stockName);
+        if (!span) return stock;
+        const to = bound(span.timestamps, 0, span.size, +date, true);
+        const view = this.view(interval, stockName, Math.max(0, to - candlesCount), to);
+        for (let i = view.size - 1; i >= 0; i--) {
+            stock.pushCandle(view.getCandle(i));
+        }
+        stock.finish();
+        return stock;
+    }
+
+    async loadAllStocksInRange(interval, startDate, endDate, adjusted = this.adjusted) {
+        if (!this.intervals[interval] || adjusted !== this.adjusted) {
+            return loader.loadAllStocksInRange(interval, startDate, endDate, adjusted);
+        }
+        const stocks = {};
+        for (const stockName of this.intervals[interval].names) {
+            const span = this.span(interval, stockName);
+            const from = bound(span.timestamps, 0, span.size, +startDate);
+            const to = bound(span.timestamps, from, span.size, +endDate, true);
+            if (to > from) stocks[stockName] = this.view(interval, stockName, from, to);
+        }
+        return stocks;
+    }
+
+    async loadCorporateActions(startDate, endDate) {
+        return this.corporateActions ?? loader.loadCorporateActions(startDate, endDate);
+    }
+
+    async loadDelistingReturns(startDate) {
+        return this.delistingReturns ?? loader.loadDelistingReturns(startDate);
+    }
+}
@@ -1,19 +1,21 @@
-import { formatDate, splitArray } from '../utils.js';
+import { formatDate, formatQuantity, splitArray, marketDay, periodStart } from '../utils.js';
 import Broker from '../brokers/base.js';
 import CandleBuffer from './candleBuffer.js';
 import Strategy from './strategy.js';
-import { loadStockBeforeTimestamp, loadAllStocksInRange } from './loader.js';
-import { intervalMsMap } from './consts.js';
+import Order, { candlePath, pathOrders } from './order.js';
+import * as loader from './loader.js';
+import Dataset from './dataset.js';
+import Ledger from './ledger.js';
+import SignalList from './signals.js';
+import { rank, percentileRank, zScores, top } from './universe.js';
+import { periodReturns, cagr, sharpeRatio, sortinoRatio, geometricMean, maxDrawdown, ulcerIndex, drawdownDurations, tradeStats, pearsonCorrelation, alignSeries, relativeStats } from './stats.js';
+import { allowedIntervals, intervalMsMap } from './consts.js';
+import TradingCalendar, { nyseCalendar } from './calendar.js';
 import chalk from 'chalk';
-import { eachDayOfInterval, eachMinuteOfInterval, eachHourOfInterval, subDays, addDays, addMinutes } from 'date-fns';
+import { addDays } from 'date-fns';
 import ms from 'ms';
-
-const sharpePeriods = {
-    '1d': 252,
-    '1h': 252 * 6.5,   // 6.5 trading hours per day
-    '5m': 252 * 78,    // 78 five-min bars per 6.5h day
-    '1m': 252 * 390,   // 390 minutes in a trading day
-}
+import fs from 'fs';
+import v8 from 'v8';
 
 const oneStockPreloadAmounts = {
     '1d': 600,
@@ -29,6 +31,42 @@ const allStocksPreloadAmounts = {
     '1m': 2000,
 }
 
+const executionModes = ['sameBarClose', 'nextBarOpen', 'nextBarVWAP'];
+const impactModels = ['sqrt', 'linear'];
+const delistingPolicies = ['lastPrice', 'zero', 'returns'];
+
+// fractional quantities closer than this count as equal, so floating point leftovers don't keep positions open
+const quantityEpsilon = 1e-9;
+
+// everything a run changes, saved in checkpoints (indicators are replayed instead, their state is in closures)
+const checkpointFields = [
+    'cashBalance', 'stockBalances', 'holdSince', 'stockPrices', 'swaps', 'trades', 'equityCurve',
+    'delistCounter', 'lastSeen', 'stockFeatures', 'ledger', 'orders', 'openOrders', 'nextOrderId',
+    'lastRebalance', 'states', 'totalFees', 'borrowFees', 'totalBorrowFees', 'lastBorrowDay', 'volumeUsed',
+    'actionIndex', 'dividends', 'totalDividends', 'corporateActionLog', 'delisted', 'currentDay', 'dayClose',
+];
+
+/** The `count` bars of a loaded stock up to `ts`, newest first; null if it has fewer. */
+function lastCandles(stock, ts, count) {
+    const timestamps = stock.timestamps.buffer;
+    let index = stock.size - 1;
+    while (index >= 0 && timestamps[index] > ts) index--;
+    if (index + 1 < count) return null;
+    const candles = [];
+    for (let i = index; i > index - count; i--) {
+        candles.push(stock.getCandle(i));
+    }
+    return candles;
+}
+
+// bars a held stock can be missing before it's treated as delisted (about 10 trading days)
+const delistMissingBars = {
+    '1d': 10,
+    '1h': 70,
+    '5m': 780,
+    '1m': 3900,
+};
+
 const preloadWindowMs = {
     '1d': 1000 * 60 * 60 * 24 * 365,   // 1 year
     '1h': 1000 * 60 * 60 * 24 * 31 * 4,    // 4 months
@@ -36,55 +74,6 @@ const preloadWindowMs = {
     '1m': 1000 * 60 * 60 * 24 * 14,    // 2 weeks
 }
 
-/** Returns dates at step-minute intervals in [start, end]. */
-function eachStepMinuteOfInterval({ start, end }, stepMinutes) {
-    const dates = [];
-    let d = new Date(start);
-    while (d <= end) {
-        dates.push(d);
-        d = addMinutes(d, stepMinutes);
-    }
-    return dates;
-}
-
-
-
-function pearsonCorrelation(xs, ys) {
-    const n = xs.length;
-    if (n < 2) return null;
-    const sumX = xs.reduce((a, b) => a + b, 0);
-    const sumY = ys.reduce((a, b) => a + b, 0);
-    const meanX = sumX / n;
-    const meanY = sumY / n;
-    let num = 0, denX = 0, denY = 0;
-    for (let i = 0; i < n; i++) {
-        const dx = xs[i] - meanX;
-        const dy = ys[i] - meanY;
-        num += dx * dy;
-        denX += dx * dx;
-        denY += dy * dy;
-    }
-    const den = Math.sqrt(denX * denY);
-    return den === 0 ? null : num / den;
-}
-
-const setHoursDifferentTZ = (inputDateTime, timeZone, setHoursArray) => {
-    inputDateTime.setHours(setHoursArray[0],setHoursArray[1]);
-
-    const dateTZShifted = inputDateTime.toLocaleString("en-US", {timeZone : timeZone , dateStyle: 'long', timeStyle: 'long'});
-    let timeTZShifted = dateTZShifted.split(" ").slice(4,5).join(' ').toString().split(':');
-    let originalTime = inputDateTime.toString().split(" ").slice(4,5).join(' ').toString().split(':');
-    let newLocalTime = [
-        Number(originalTime[0]) - Number(timeTZShifted[0]) + Number(originalTime[0]),
-        Number(originalTime[1]) - Number(timeTZShifted[1]) + Number(originalTime[1]), 
-        Number(originalTime[2]) - Number(timeTZShifted[2]) + Number(originalTime[2])
-    ];
-    let outputDate = new Date(inputDateTime);
-    outputDate.setHours(Number(newLocalTime[0]), Number(newLocalTime[1]),Number(newLocalTime[2]));
-
-    return outputDate;   
-}
-
 /**
  * Backtest orchestrator: runs a Strategy instance, records equity over time,
  * and computes performance statistics.
@@ -97,8 +86,21 @@ export default class Backtest {
      * @param {Date}   params.startDate           – Backtest start
      * @param {Date}   params.endDate             – Backtest end
      * @param {number} params.startCashBalance    – Starting cash balance
+     * @param {'sameBarClose'|'nextBarOpen'|'nextBarVWAP'} [params.execution='sameBarClose'] – When buy/sell calls fill
+     * @param {Object} [params.shorting]          – Allow short positions: { borrowRate, initialMargin, maintenanceMargin }
+     * @param {Object} [params.intrabar]          – How orders fill inside a bar: { interval, path }
+     * @param {Object} [params.fillModel]         – Volume-limited fills and market impact: { maxVolumeFraction, remainder, impact, impactCoefficient }
+     * @param {'adjusted'|'unadjusted'} [params.prices='adjusted'] – Unadjusted prices apply splits and dividends as they happen
+     * @param {Object} [params.delisting]         – How positions in delisted stocks are closed: { policy, missingBars }
+     * @param {TradingCalendar} [params.calendar] – Exchange sessions, NYSE by default
+     * @param {Dataset} [params.dataset]          – Candles already in memory, read instead of QuestDB
+     * @param {string|[Date|number, number][]} [params.benchmark] – Ticker to compare against, or a custom `[timestamp, value]` series
+     * @param {'fifo'|'lifo'|'average'} [params.lotMatching='average'] – Which entries an exit closes
+     * @param {Object<string, string>|Function} [params.sectors] – Sector of each ticker for the attribution, or `(stockName) => sector`
+     * @param {Object<string, string>|Function} [params.exchanges] – Exchange of each ticker for the strategy's universe filter, or `(stockName) => exchange`
+     * @param {Object} [params.checkpoint]        – Save the state of `runOnAllStocks` to a file to `resume` it: { file, every }
      */
-    constructor({ strategy, startDate, endDate, startCashBalance, broker = new Broker(), logs = {}, features = [] }) {
+    constructor({ strategy, startDate, endDate, startCashBalance, broker = new Broker(), logs = {}, features = [], execution = 'sameBarClose', shorting = null, intrabar = {}, fillModel = null, prices = 'adjusted', delisting = {}, calendar = nyseCalendar, dataset = null, benchmark = null, lotMatching = 'average', sectors = {}, exchanges = {}, checkpoint = null }) {
         if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
             throw new TypeError('startDate and endDate must be instances of Date');
         }
@@ -111,6 +113,78 @@ export default class Backtest {
         if(!(broker instanceof Broker)) {
             throw new TypeError('broker must be an instance of Broker');
         }
+        if(dataset && !(dataset instanceof Dataset)) {
+            throw new TypeError('dataset must be an instance of Dataset');
+        }
+        if(!(calendar instanceof TradingCalendar)) {
+            throw new TypeError('calendar must be an instance of TradingCalendar');
+        }
+        if(benchmark !== null && typeof benchmark !== 'string' && !(Array.isArray(benchmark) && benchmark.every(p => Array.isArray(p) && typeof p[1] === 'number'))) {
+            throw new TypeError('benchmark must be a ticker or an array of [timestamp, value] pairs');
+        }
+        if(typeof sectors !== 'function' && (typeof sectors !== 'object' || sectors === null)) {
+            throw new TypeError('sectors must be an object of sectors by ticker or a function');
+        }
+        if(typeof exchanges !== 'function' && (typeof exchanges !== 'object' || exchanges === null)) {
+            throw new TypeError('exchanges must be an object of exchanges by ticker or a function');
+        }
+        if(checkpoint) {
+            checkpoint = { every: 1, ...checkpoint };
+            if(typeof checkpoint.file !== 'string') {
+                throw new TypeError('checkpoint.file must be a path');
+            }
+            if(!Number.isInteger(checkpoint.every) || checkpoint.every < 1) {
+                throw new TypeError('checkpoint.every must be an integer >= 1');
+            }
+        }
+        if(!executionModes.includes(execution)) {
+            throw new TypeError(`execution must be one of ${executionModes.join(', ')}`);
+        }
+        if(shorting) {
+            shorting = { borrowRate: 0, initialMargin: 0.5, maintenanceMargin: 0.3, ...shorting };
+            if(typeof shorting.borrowRate !== 'number' && typeof shorting.borrowRate !== 'object') {
+                throw new TypeError('shorting.borrowRate must be a number or an object of rates by stock');
+            }
+            if(!(shorting.initialMargin > 0) || !(shorting.maintenanceMargin >= 0)) {
+                throw new TypeError('shorting.initialMargin must be > 0 and shorting.maintenanceMargin >= 0');
+            }
+            if(shorting.maintenanceMargin > shorting.initialMargin) {
+                throw new TypeError('shorting.maintenanceMargin must not be above shorting.initialMargin');
+            }
+        }
+        intrabar = { interval: null, path: 'nearest', ...intrabar };
+        if(intrabar.interval && (!allowedIntervals.includes(intrabar.interval) || intervalMsMap[intrabar.interval] >= intervalMsMap[strategy.mainInterval.name])) {
+            throw new TypeError('intrabar.interval must be an interval shorter than the main interval');
+        }
+        if(!pathOrders.includes(intrabar.path)) {
+            throw new TypeError(`intrabar.path must be one of ${pathOrders.join(', ')}`);
+        }
+        if(!['adjusted', 'unadjusted'].includes(prices)) {
+            throw new TypeError('prices must be "adjusted" or "unadjusted"');
+        }
+        delisting = { policy: 'lastPrice', ...delisting };
+        if(!delistingPolicies.includes(delisting.policy)) {
+            throw new TypeError(`delisting.policy must be one of ${delistingPolicies.join(', ')}`);
+        }
+        if(typeof delisting.missingBars === 'object' && delisting.missingBars !== null) {
+            delisting.missingBars = { ...delistMissingBars, ...delisting.missingBars }[strategy.mainInterval.name];
+        }
+        delisting.missingBars ??= delistMissingBars[strategy.mainInterval.name];
+        if(!Number.isInteger(delisting.missingBars) || delisting.missingBars < 1) {
+            throw new TypeError('delisting.missingBars must be an integer >= 1 or an object of them by interval');
+        }
+        if(fillModel) {
+            fillModel = { maxVolumeFraction: 0.1, remainder: 'keep', impact: 'sqrt', impactCoefficient: 1, ...fillModel };
+            if(!(fillModel.maxVolumeFraction > 0)) {
+                throw new TypeError('fillModel.maxVolumeFraction must be > 0');
+            }
+            if(!['keep', 'cancel'].includes(fillModel.remainder)) {
+                throw new TypeError('fillModel.remainder must be "keep" or "cancel"');
+            }
+            if(fillModel.impact && typeof fillModel.impact !== 'function' && !impactModels.includes(fillModel.impact)) {
+                throw new TypeError(`fillModel.impact must be a function or one of ${impactModels.join(', ')}`);
+            }
+        }
         
         this.strategy = strategy;
         this.startDate = startDate;
@@ -125,18 +199,66 @@ export default class Backtest {
         this.swaps = [];
         this.trades = [];
         this.equityCurve = [];
-        this.delistCounter = {};
+        this.delistCounter = {};  // consecutive bars a held stock has been missing
+        this.lastSeen = {};       // timestamp of each stock's latest bar
         this.stockFeatures = {};  // features set at buy, cleared when position closed
+        this.ledger = new Ledger(lotMatching);  // open lots of every position
+        this.orders = [];         // every order placed, in placement order
+        this.openOrders = {};     // working orders by stock
+        this.nextOrderId = 1;
+        this.lastRebalance = null;  // start of the period of the last scheduled rebalance
+        this.indicators = {};     // IndicatorSet of each stock, when the strategy declares indicators
+        this.states = {};         // the strategy's state of each stock
+        this.signals = null;      // SignalList collecting the trades of a scan
+        this.events = [];         // strategy hooks waiting to be called: [hook, args]
+        this.currentDay = null;   // day of the last tick, until its onDayEnd
+        this.dayClose = null;     // time of the current day's last bar
 
         this.broker = broker;
+        this.calendar = calendar;
+        this.source = dataset ?? loader;  // where candles are read from
         this.totalFees = 0;
+        this.shorting = shorting;
+        this.borrowFees = {};     // borrow fees accrued on open short positions
+        this.totalBorrowFees = 0;
+        this.lastBorrowDay = null;
         this.buffers = {};
 
         this.logs = logs;
         this.featuresDef = features;
+        this.execution = execution;
+        this.intrabar = intrabar;
+        this.fillModel = fillModel;
+        this.volumeUsed = {};     // shares filled per stock on its current bar: { timestamp, quantity }
+
+        this.adjusted = prices === 'adjusted';
+        this.corporateActions = null;  // splits and dividends, loaded for unadjusted runs
+        this.actionIndex = {};         // next split/dividend to apply, by stock
+        this.dividends = {};           // dividends accrued on open positions
+        this.totalDividends = 0;
+        this.corporateActionLog = [];
+
+        this.delisting = delisting;
+        this.delistingReturns = null;  // loaded for the 'returns' policy
+        this.delisted = [];            // { stockName, timestamp, lastSeen, quantity, price }
+
+        this.sectors = sectors;
+        this.exchanges = exchanges;
+
+        this.checkpoint = checkpoint;
+        this.resumeChunk = 0;          // first chunk of the next runOnAllStocks, set by resume
+
+        this.benchmark = benchmark;
+        this.benchmarkName = typeof benchmark === 'string' ? benchmark : 'Benchmark';
+        this.benchmarkSeries = Array.isArray(benchmark) ? benchmark.toSorted((a, b) => a[0] - b[0]) : null;
     }
 
     async runOnStock(stockName) {
+        if (this.strategy.rebalance) {
+            throw new Error('Scheduled rebalancing needs runOnAllStocks');
+        }
+        await this.loadCorporateActions();
+        await this.loadBenchmark();
         if(!this.buffers[stockName]) {
             this.buffers[stockName] = {};
         }
@@ -145,7 +267,7 @@ export default class Backtest {
         for(let iv in this.strategy.intervals) {
             const interval = this.strategy.intervals[iv];
             if(interval.preload) {
-                buffers[interval.name] = new CandleBuffer(stockName, interval.name, this.startDate, this.endDate, interval.count, oneStockPreloadAmounts[interval.name]);
+                buffers[interval.name] = new CandleBuffer(stockName, interval.name, this.startDate, this.endDate, interval.count, oneStockPreloadAmounts[interval.name], this.adjusted, this.calendar, this.source);
             }
         }
         // preload initial chunks
@@ -162,7 +284,7 @@ export default class Backtest {
             if(!interval.preload) {
                 return new Promise(async (resolve, reject) => {
                     try {
-                        const stock = await loadStockBeforeTimestamp(stockName, interval.name, new Date(ts), count*2);
+                        const stock = await this.source.loadStockBeforeTimestamp(stockName, interval.name, new Date(ts), count*2, this.adjusted, this.calendar);
                         if(stock.size < count) {
                             return resolve(null);
                         }
@@ -174,29 +296,46 @@ export default class Backtest {
             }
             const candles = buffers[intervalName].getLast(count, ts);
             if(candles.length < count) {
-                return resolve(null);
+                return null;
             }
-            return resolve(candles.reverse().slice(0, count));
+            return candles;
         };
 
+        await this.strategy.onStart?.(this);
+
+        // bars before the full lookback only warm up the indicators
+        for (let i = 0; i < lookback - 1 && i < mainBuf.length; i++) {
+            this.indicatorsOf(stockName)?.update(mainBuf[i]);
+        }
+
         // iterate once we have full lookback
         for (let i = lookback - 1; i < mainBuf.length; i++) {
             const mainCandle = mainBuf[i];
             const ts = mainCandle.timestamp;
             if (ts >= this.endDate) break;
+            const indicators = this.indicatorsOf(stockName)?.update(mainCandle) ?? {};
+            if (ts < this.startDate) continue;
 
             // top up all buffers as we advance
             await Promise.all(
                 Object.values(buffers).map(buf => buf.ensure(ts))
             );
 
+            await this.startDay(ts);
+            this.chargeBorrowFees(ts);
+            this.applyCorporateActions(stockName, ts);
+            await this.processOrders(stockName, mainCandle);
+            this.ledger.track(stockName, mainCandle);
             this.stockPrices[stockName] = mainCandle.close;
+            await this.dispatchEvents();
 
             const tickObj = {
                 stockName,
                 candle: mainCandle,
                 ctx: this,
                 stockBalance: this.stockBalances[stockName] || 0,
+                indicators,
+                state: this.stateOf(stockName),
                 _features: null,
                 features: this.stockFeatures[stockName] ?? null,
                 setFeatures(features) { this._features = features; },
@@ -206,40 +345,44 @@ export default class Backtest {
                     }
                     return getCandles(ts, intervalName, count);
                 },
-                buy: (quantity, price) => this.buy(stockName, quantity, price, mainCandle.timestamp, tickObj._features),
-                sell: (quantity, price) => this.sell(stockName, quantity, price, mainCandle.timestamp),
+                buy: (quantity, price) => this.submit(stockName, 'buy', quantity, price, mainCandle, mainCandle.timestamp, tickObj._features),
+                sell: (quantity, price) => this.submit(stockName, 'sell', quantity, price, mainCandle, mainCandle.timestamp, tickObj._features),
+                buyNotional: (amount, price = mainCandle.close) => this.submitNotional(stockName, 'buy', amount, price, mainCandle, mainCandle.timestamp, tickObj._features),
+                sellNotional: (amount, price = mainCandle.close) => this.submitNotional(stockName, 'sell', amount, price, mainCandle, mainCandle.timestamp, tickObj._features),
+                orders: this.openOrders[stockName] ?? [],
+                placeOrder: (params) => this.placeOrder(stockName, params, mainCandle, mainCandle.timestamp, tickObj._features),
+                cancelOrder: (id) => this.cancelOrder(id),
+                modifyOrder: (id, changes) => this.modifyOrder(id, changes),
             };
             await this.strategy.onTick(tickObj);
+            this.checkMargin(ts);
+            await this.dispatchEvents();
 
-            this.equityCurve.push([mainCandle.timestamp, this.totalValue(), this.cashBalance]);
+            this.equityCurve.push([mainCandle.timestamp, this.totalValue(), this.cashBalance, this.grossExposure()]);
+            if (ts >= this.dayClose) await this.endDay();
         }
 
+        await this.endDay();
+        await this.strategy.onEnd?.(this);
         return this.getMetrics();
     }
 
     async runOnAllStocks() {
+        await this.loadCorporateActions();
+        await this.loadBenchmark();
+        if(this.delisting.policy === 'returns' && !this.delistingReturns) {
+            this.delistingReturns = await this.source.loadDelistingReturns(this.startDate);
+        }
         const interval = this.strategy.mainInterval.name;
-        const intervalFns = {
-            '1d': eachDayOfInterval,
-            '1h': eachHourOfInterval,
-            '5m': (opts) => eachStepMinuteOfInterval(opts, 5),
-            '1m': eachMinuteOfInterval,
-        };
-        const intervalFn = intervalFns[interval] ?? eachMinuteOfInterval;
-        const dates = intervalFn({ start: this.startDate, end: this.endDate });
+        // one tick per bar of every trading session
+        const dates = this.calendar.barTimes(interval, this.startDate, this.endDate);
         const chunks = splitArray(dates, allStocksPreloadAmounts[interval]);
         const start = Date.now();
-
-        if(interval === '1d') {
-            for(const date of dates) {
-                // set to 4 PM EST (closing time)
-                const nyDate = setHoursDifferentTZ(date, 'America/New_York', [16, 0, 0]);
-                date.setTime(nyDate.getTime());
-            }
-        }
+        const first = this.resumeChunk;
+        this.resumeChunk = 0;
 
         const dbFallback = (stockName, intervalName, ts, count) => {
-            return loadStockBeforeTimestamp(stockName, intervalName, new Date(ts), count * 2)
+            return this.source.loadStockBeforeTimestamp(stockName, intervalName, new Date(ts), count * 2, this.adjusted, this.calendar)
                 .then(loaded => {
                     if(loaded.size < count) return null;
                     return [...loaded].slice(0, count);
@@ -266,7 +409,7 @@ export default class Backtest {
                     const windowMs = preloadWindowMs[ivName];
                     const startDate = new Date(ts - lookbackMs);
                     const endDate = new Date(ts + windowMs);
-                    preloadedStocks[ivName] = await loadAllStocksInRange(ivName, startDate, endDate);
+                    preloadedStocks[ivName] = await this.source.loadAllStocksInRange(ivName, startDate, endDate, this.adjusted);
                     preloadWindowEnd[ivName] = endDate.getTime();
                 }
             }
@@ -315,33 +458,42 @@ export default class Backtest {
             return arr.reverse().slice(0, count);
         }
 
-        let min = this.strategy.mainInterval.count;
-        for(let i = 0; i < chunks.length; i++) {
+        if (first > 0) {
+            await this.replayIndicators(chunks.slice(0, first));
+        } else {
+            await this.strategy.onStart?.(this);
+        }
+
+        for(let i = first; i < chunks.length; i++) {
             const chunk = chunks[i];
             console.log(`++++++++++++++++++++ ${((i / chunks.length) * 100).toFixed(2)}%`);
-            const stocks = await loadAllStocksInRange(interval, subDays(chunk[0], min*2), addDays(chunk[chunk.length - 1], 4));
+            const stocks = await this.loadChunk(chunk);
             for(const currentDate of chunk) {
                 await ensurePreloaded(currentDate);
-                const day = currentDate.toLocaleDateString('en-US', { weekday: 'short', timeZone: "UTC" });
-                if(day === 'Sat' || day === 'Sun') {
-                    continue;
-                }
-                if(currentDate < chunk[0]) {
-                    continue;
-                }
+                await this.startDay(currentDate);
+                this.chargeBorrowFees(currentDate);
                 const arr = [];
+                const universe = [];
 
                 for(const stockName in stocks) {
                     const stock = stocks[stockName];
-                    const candle = stock.getCandle(stock.getIndex(currentDate));
+                    const index = stock.getIndex(currentDate);
+                    const candle = stock.getCandle(index);
                     if(!candle) continue;
+                    const indicators = this.updateIndicators(stockName, stock, index);
 
+                    this.applyCorporateActions(stockName, candle.timestamp);
+                    await this.processOrders(stockName, candle);
+                    this.ledger.track(stockName, candle);
                     this.stockPrices[stockName] = candle.close;
+                    this.lastSeen[stockName] = candle.timestamp;
 
                     const item = {
                         stockName,
                         candle,
                         stockBalance: this.stockBalances[stockName] || 0,
+                        indicators,
+                        state: this.stateOf(stockName),
                         _features: null,
                         features: this.stockFeatures[stockName] ?? null,
                         setFeatures(features) { this._features = features; },
@@ -351,61 +503,465 @@ export default class Backtest {
                             }
                             return getCandles(ts, stock, intervalName, count);
                         },
-                        buy: (quantity, price) => this.buy(stockName, quantity, price, currentDate, item._features),
-                        sell: (quantity, price) => this.sell(stockName, quantity, price, currentDate),
+                        buy: (quantity, price) => this.submit(stockName, 'buy', quantity, price, candle, currentDate, item._features),
+                        sell: (quantity, price) => this.submit(stockName, 'sell', quantity, price, candle, currentDate, item._features),
+                        buyNotional: (amount, price = candle.close) => this.submitNotional(stockName, 'buy', amount, price, candle, currentDate, item._features),
+                        sellNotional: (amount, price = candle.close) => this.submitNotional(stockName, 'sell', amount, price, candle, currentDate, item._features),
+                        orders: this.openOrders[stockName] ?? [],
+                        placeOrder: (params) => this.placeOrder(stockName, params, candle, currentDate, item._features),
+                        cancelOrder: (id) => this.cancelOrder(id),
+                        modifyOrder: (id, changes) => this.modifyOrder(id, changes),
                     };
                     arr.push(item);
+                    if(!this.strategy.universe || this.strategy.universe.includes(item, stock, index, this.exchangeOf(stockName))) {
+                        universe.push(item);
+                    }
                 }
 
                 if(arr.length > 0) {
                     // delisted stocks
-                    if(Object.keys(this.stockBalances).length > 0) {
-                        for(const stockName in this.stockBalances) {
-                            if(!arr.find(s => s.stockName === stockName)) {
-                                this.delistCounter[stockName] = (this.delistCounter[stockName] || 0) + 1;
-                                if(this.delistCounter[stockName] > 10) {
-                                    delete this.stockBalances[stockName];
-                                    console.log(chalk.red(`${stockName} DELISTED ON ${formatDate(subDays(currentDate, interval === '1d' ? 10 : 0))}`));
-                                }
-                            }
+                    for(const stockName in this.stockBalances) {
+                        if(arr.find(s => s.stockName === stockName)) {
+                            delete this.delistCounter[stockName];
+                            continue;
+                        }
+                        this.delistCounter[stockName] = (this.delistCounter[stockName] || 0) + 1;
+                        if(this.delistCounter[stockName] > this.delisting.missingBars) {
+                            this.delist(stockName, currentDate);
                         }
                     }
+                    await this.dispatchEvents();
 
-                    await this.strategy.onTick({
+                    const candles = Object.fromEntries(arr.map(item => [item.stockName, item.candle]));
+                    const context = {
                         raw: stocks,
                         currentDate,
                         ctx: this,
-                        stocks: arr
-                    });
-                    this.equityCurve.push([currentDate, this.totalValue(), this.cashBalance]);
+                        stocks: universe,
+                        rebalance: (targets, options) => this.rebalance(targets, candles, currentDate, options),
+                        rank: (score, options) => rank(universe, score, options),
+                        percentile: (score) => percentileRank(universe, score),
+                        zscore: (score) => zScores(universe, score),
+                        top: (n, score, options) => top(universe, n, score, options),
+                    };
+                    await this.scheduledRebalance(context);
+                    await this.strategy.onTick(context);
+                    this.checkMargin(currentDate);
+                    await this.dispatchEvents();
+                    this.equityCurve.push([currentDate, this.totalValue(), this.cashBalance, this.grossExposure()]);
                 }
+                if (+currentDate >= this.dayClose) await this.endDay();
+            }
+            if (this.checkpoint && i + 1 < chunks.length && (i + 1) % this.checkpoint.every === 0) {
+                this.saveCheckpoint(i + 1, chunks.length);
             }
         }
 
+        await this.endDay();
+        await this.strategy.onEnd?.(this);
         console.log('Backtest finished in', ms(Date.now() - start));
         return this.getMetrics();
     }
 
+    /**
+     * Loads the main interval of every stock for a chunk of tick dates, with the lookback before it.
+     * @param {Date[]} chunk
+     * @returns {Promise<Object<string, Stock>>}
+     */
+    loadChunk(chunk) {
+        const interval = this.strategy.mainInterval.name;
+        return this.source.loadAllStocksInRange(interval, this.calendar.lookbackStart(interval, chunk[0], this.strategy.mainInterval.count), addDays(chunk[chunk.length - 1], 4), this.adjusted);
+    }
+
+    /**
+     * Feeds the indicators the bars of the chunks a resumed run skips, the same way the run did.
+     * @param {Date[][]} chunks
+     */
+    async replayIndicators(chunks) {
+        if (!this.strategy.createIndicators()) return;
+        for (const chunk of chunks) {
+            const stocks = await this.loadChunk(chunk);
+            for (const currentDate of chunk) {
+                for (const stockName in stocks) {
+                    const stock = stocks[stockName];
+                    const index = stock.getIndex(currentDate);
+                    if (!stock.getCandle(index)) continue;
+                    this.updateIndicators(stockName, stock, index);
+                }
+            }
+        }
+    }
+
+    /**
+     * Writes the state of `runOnAllStocks` to `checkpoint.file`, replacing the previous checkpoint.
+     * @param {number} nextChunk   - Chunk to resume from
+     * @param {number} chunkCount  - Chunks of the run
+     */
+    saveCheckpoint(nextChunk, chunkCount) {
+        const state = Object.fromEntries(checkpointFields.map(field => [field, this[field]]));
+        const data = v8.serialize({
+            version: 1,
+            interval: this.strategy.mainInterval.name,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            startCashBalance: this.startCashBalance,
+            chunkCount,
+            nextChunk,
+            state,
+        });
+        // written next to it first, so a crash while writing keeps the previous checkpoint
+        fs.writeFileSync(`${this.checkpoint.file}.tmp`, data);
+        fs.renameSync(`${this.checkpoint.file}.tmp`, this.checkpoint.file);
+    }
+
+    /**
+     * Continues a `runOnAllStocks` from a checkpoint, with the results of an uninterrupted run.
+     * The Backtest must be created with the same options (and strategy) as the checkpointed one;
+     * `onStart` isn't called again.
+     * @param {string} file - Checkpoint written with the `checkpoint` option
+     * @returns {Promise<Object>} Metrics, see `getMetrics`
+     * @throws {Error} If the checkpoint belongs to a different backtest
+     */
+    async resume(file) {
+        const checkpoint = v8.deserialize(fs.readFileSync(file));
+        const interval = this.strategy.mainInterval.name;
+        const chunkCount = splitArray(this.calendar.barTimes(interval, this.startDate, this.endDate), allStocksPreloadAmounts[interval]).length;
+        if (checkpoint.version !== 1 || checkpoint.interval !== interval || +checkpoint.startDate !== +this.startDate ||
+            +checkpoint.endDate !== +this.endDate || checkpoint.startCashBalance !== this.startCashBalance || checkpoint.chunkCount !== chunkCount) {
+            throw new Error(`Checkpoint ${file} was made by a different backtest`);
+        }
+        Object.assign(this, checkpoint.state);
+        Object.setPrototypeOf(this.ledger, Ledger.prototype);
+        for (const order of this.orders) {
+            Object.setPrototypeOf(order, Order.prototype);
+        }
+        this.indicators = {};
+        this.resumeChunk = checkpoint.nextChunk;
+        console.log(chalk.gray(`Resuming from chunk ${checkpoint.nextChunk + 1} of ${chunkCount}`));
+        return this.runOnAllStocks();
+    }
+
+    /**
+     * Runs the strategy on a single bar to see what it wants to trade now. Only the lookback of
+     * each interval is loaded, and trades are collected as signals instead of being executed.
+     * Without `stockNames`, `onTick` gets the all-stocks context once (filtered by the universe);
+     * with them, each stock's single-stock context.
+     * @param {Date|string|null} [date=null]       - Scan the last bar at or before this time, or of this 'YYYY-MM-DD' day; now by default
+     * @param {Object} [options]
+     * @param {string[]} [options.stockNames]      - Stocks to scan one at a time
+     * @param {Object<string, number>} [options.holdings={}] - Shares held by ticker (negative when short), seen as `stockBalance`
+     * @param {number} [options.cash]              - Cash balance, `startCashBalance` by default
+     * @param {Object<string, Object>} [options.states={}] - The strategy's state of each stock to start from, e.g. `states` after an earlier scan
+     * @returns {Promise<SignalList>}
+     * @throws {TypeError} on invalid parameters
+     * @throws {Error} If there is no bar to scan
+     */
+    async scan(date = null, { stockNames = null, holdings = {}, cash = this.startCashBalance, states = {} } = {}) {
+        if (date !== null && !(date instanceof Date) && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new TypeError("date must be a Date or a 'YYYY-MM-DD' day");
+        }
+        if (stockNames !== null && !Array.isArray(stockNames)) {
+            throw new TypeError('stockNames must be an array of tickers');
+        }
+        if (typeof holdings !== 'object' || holdings === null || Object.values(holdings).some(q => typeof q !== 'number')) {
+            throw new TypeError('holdings must be an object of quantities by ticker');
+        }
+        if (stockNames && this.strategy.rebalance) {
+            throw new Error('Scheduled rebalancing needs a scan of all stocks');
+        }
+        const interval = this.strategy.mainInterval.name;
+        const lookback = this.strategy.mainInterval.count;
+        const until = typeof date === 'string'
+            ? new Date((this.calendar.session(date) ?? this.calendar.previousSession(date)).regularClose)
+            : date ?? new Date();
+
+        const from = this.calendar.lookbackStart(interval, until, lookback);
+        const stocks = stockNames
+            ? Object.fromEntries(await Promise.all(stockNames.map(async stockName => [stockName, await this.source.loadStockInRange(stockName, interval, from, new Date(+until + 1), this.adjusted)])))
+            : await this.source.loadAllStocksInRange(interval, from, until, this.adjusted);
+
+        // the scanned bar is the latest one loaded, stocks without it are stale
+        let ts = -Infinity;
+        for (const stock of Object.values(stocks)) {
+            if (stock.size > 0) ts = Math.max(ts, stock.timestamps.buffer[stock.size - 1]);
+        }
+        if (ts === -Infinity) {
+            throw new Error(`No ${interval} bars at or before ${until.toISOString()}`);
+        }
+        const currentDate = new Date(ts);
+        const current = Object.values(stocks).filter(stock => stock.size > 0 && stock.timestamps.buffer[stock.size - 1] === ts);
+
+        const preloaded = {};
+        if (!stockNames) {
+            for (const iv of Object.values(this.strategy.intervals)) {
+                if (iv.preload && iv.name !== interval) {
+                    preloaded[iv.name] = await this.source.loadAllStocksInRange(iv.name, this.calendar.lookbackStart(iv.name, currentDate, iv.count), currentDate, this.adjusted);
+                }
+            }
+        }
+        const getCandles = async (stock, intervalName, count, ts) => {
+            if (!this.strategy.intervals[intervalName]) {
+                throw new Error(`Interval ${intervalName} not found. You need to request it in the strategy constructor.`);
+            }
+            if (+ts > +currentDate) {
+                throw new Error(`Requested candles in the future: ${new Date(ts).toISOString()} > ${currentDate.toISOString()}`);
+            }
+            const loaded = intervalName === interval ? stock : preloaded[intervalName]?.[stock.name];
+            const candles = loaded && lastCandles(loaded, +ts, count);
+            if (candles) return candles;
+            const fetched = await this.source.loadStockBeforeTimestamp(stock.name, intervalName, new Date(ts), count * 2, this.adjusted, this.calendar);
+            return fetched.size < count ? null : [...fetched].slice(0, count);
+        };
+        const itemOf = (stock) => {
+            const stockName = stock.name;
+            const index = stock.size - 1;
+            const candle = stock.getCandle(index);
+            const item = {
+                stockName,
+                candle,
+                ctx: this,
+                stockBalance: this.stockBalances[stockName] || 0,
+                indicators: this.updateIndicators(stockName, stock, index),
+                state: this.stateOf(stockName),
+                _features: null,
+                features: null,
+                setFeatures(features) { this._features = features; },
+                getCandles: (intervalName, count, ts = currentDate) => getCandles(stock, intervalName, count, ts),
+                buy: (quantity, price) => this.submit(stockName, 'buy', quantity, price, candle, currentDate, item._features),
+                sell: (quantity, price) => this.submit(stockName, 'sell', quantity, price, candle, currentDate, item._features),
+                buyNotional: (amount, price = candle.close) => this.submitNotional(stockName, 'buy', amount, price, candle, currentDate, item._features),
+                sellNotional: (amount, price = candle.close) => this.submitNotional(stockName, 'sell', amount, price, candle, currentDate, item._features),
+                orders: [],
+                placeOrder: (params) => this.placeOrder(stockName, params, candle, currentDate, item._features),
+                cancelOrder: (id) => this.cancelOrder(id),
+                modifyOrder: (id, changes) => this.modifyOrder(id, changes),
+            };
+            return item;
+        };
+
+        // the scan trades on a scratch account, the backtest's own state is put back afterwards
+        const saved = Object.fromEntries([...checkpointFields, 'indicators', 'logs'].map(field => [field, this[field]]));
+        this.signals = new SignalList(currentDate, { ...holdings });
+        try {
+            this.cashBalance = cash;
+            this.stockBalances = { ...holdings };
+            this.stockPrices = { ...this.stockPrices };
+            this.ledger = new Ledger(this.ledger.method);
+            this.holdSince = {};
+            this.stockFeatures = {};
+            this.borrowFees = {};
+            this.dividends = {};
+            this.swaps = [];
+            this.trades = [];
+            this.orders = [];
+            this.openOrders = {};
+            this.totalFees = 0;
+            this.indicators = {};
+            this.states = structuredClone(states);
+            this.logs = {};
+            for (const stock of Object.values(stocks)) {
+                if (stock.size > 0) this.stockPrices[stock.name] = stock.closes.buffer[stock.size - 1];
+            }
+            // held positions are opened at the scanned close, so selling them works like in a run
+            for (const [stockName, quantity] of Object.entries(holdings)) {
+                if (quantity) this.openPosition(stockName, quantity > 0 ? 'long' : 'short', Math.abs(quantity), this.stockPrices[stockName] ?? 0, currentDate, 0);
+            }
+
+            if (stockNames) {
+                for (const stock of current) {
+                    if (stock.size < lookback) continue;
+                    await this.strategy.onTick(itemOf(stock));
+                }
+                return this.signals;
+            }
+
+            const arr = current.map(itemOf);
+            const universe = arr.filter((item, i) =>
+                !this.strategy.universe || this.strategy.universe.includes(item, current[i], current[i].size - 1, this.exchangeOf(item.stockName)));
+            const candles = Object.fromEntries(arr.map(item => [item.stockName, item.candle]));
+            const context = {
+                raw: stocks,
+                currentDate,
+                ctx: this,
+                stocks: universe,
+                rebalance: (targets, options) => this.rebalance(targets, candles, currentDate, options),
+                rank: (score, options) => rank(universe, score, options),
+                percentile: (score) => percentileRank(universe, score),
+                zscore: (score) => zScores(universe, score),
+                top: (n, score, options) => top(universe, n, score, options),
+            };
+            // a scheduled rebalance is due if the previous bar was in an earlier period
+            const previous = this.calendar.lookbackStart(interval, currentDate, 2);
+            this.lastRebalance = this.strategy.rebalance ? periodStart(marketDay(previous), this.strategy.rebalance.every) : null;
+            await this.scheduledRebalance(context);
+            await this.strategy.onTick(context);
+            return this.signals;
+        } finally {
+            this.signals.states = this.states;
+            Object.assign(this, saved);
+            this.signals = null;
+        }
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {string|null} Exchange of a ticker, null if it isn't in `exchanges`
+     */
+    exchangeOf(stockName) {
+        return (typeof this.exchanges === 'function' ? this.exchanges(stockName) : this.exchanges[stockName]) ?? null;
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {IndicatorSet|null} The stock's indicators, created on first use; null if the strategy has none
+     */
+    indicatorsOf(stockName) {
+        if (!(stockName in this.indicators)) {
+            this.indicators[stockName] = this.strategy.createIndicators();
+        }
+        return this.indicators[stockName];
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {Object} The strategy's state of a stock, created on first use
+     */
+    stateOf(stockName) {
+        if (!(stockName in this.states)) {
+            this.states[stockName] = this.strategy.createState();
+        }
+        return this.states[stockName];
+    }
+
+    /**
+     * Feeds a loaded stock's bars up to `index` that its indicators haven't seen yet, from the
+     * start of the loaded range the first time (the lookback covers the warm-up).
+     * @param {string} stockName
+     * @param {Stock} stock
+     * @param {number} index
+     * @returns {Object<string, any>} Indicator values by name
+     */
+    updateIndicators(stockName, stock, index) {
+        const set = this.indicatorsOf(stockName);
+        if (!set) return {};
+        const timestamps = stock.timestamps.buffer;
+        let i = index;
+        while (i > 0 && timestamps[i - 1] > set.lastTimestamp) i--;
+        for (; i <= index; i++) {
+            set.update(stock.getCandle(i));
+        }
+        return set.values;
+    }
+
+    /**
+     * Queues a strategy hook, called at the next `dispatchEvents`: fills, rejections and
+     * delistings happen where the hook can't be awaited.
+     * @param {string} hook - Name of the Strategy hook
+     * @param {...any} args
+     */
+    emit(hook, ...args) {
+        if (this.strategy[hook]) {
+            this.events.push([hook, args]);
+        }
+    }
+
+    /**
+     * Queues `onFill` for shares bought or sold.
+     * @param {string} stockName
+     * @param {'buy'|'sell'} side
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {Order|null} order - The order filled, null for immediate `buy`/`sell` calls and margin buy-ins
+     */
+    emitFill(stockName, side, quantity, price, timestamp, order) {
+        const fee = this.broker.calculateFees(quantity, price, side);
+        this.emit('onFill', { stockName, side, quantity, price, fee, timestamp: +timestamp, order });
+    }
+
+    /** Calls the queued hooks in order, including the ones they queue themselves. */
+    async dispatchEvents() {
+        while (this.events.length > 0) {
+            const [hook, args] = this.events.shift();
+            await this.strategy[hook](...args);
+        }
+    }
+
+    /**
+     * Calls `onDayEnd` of the previous day and `onDayStart` when a tick is the first of its day.
+     * @param {Date|number} timestamp - Time of the tick
+     */
+    async startDay(timestamp) {
+        const day = marketDay(timestamp);
+        if (day === this.currentDay) return;
+        await this.endDay();
+        const session = this.calendar.session(day);
+        this.currentDay = day;
+        this.dayClose = session ? this.calendar.barsOf(this.strategy.mainInterval.name, session).at(-1) : Infinity;
+        await this.strategy.onDayStart?.(this, day);
+    }
+
+    /** Calls `onDayEnd` of the current day, if it has started and not ended yet. */
+    async endDay() {
+        if (this.currentDay === null) return;
+        const day = this.currentDay;
+        this.currentDay = null;
+        this.dayClose = null;
+        await this.strategy.onDayEnd?.(this, day);
+    }
+
+    /**
+     * Value of the long and short positions, both counted as positive.
+     * @returns {number}
+     */
+    grossExposure() {
+        return Object.entries(this.stockBalances).reduce((acc, [stockName, quantity]) => acc + Math.abs(quantity * this.stockPrices[stockName]), 0);
+    }
+
+    /**
+     * Rebalances to the strategy's `rebalance.weights` on the first tick of each period.
+     * @param {Object} context - The tick's context
+     */
+    async scheduledRebalance(context) {
+        const schedule = this.strategy.rebalance;
+        if (!schedule) return;
+        const period = periodStart(marketDay(context.currentDate), schedule.every);
+        if (period === this.lastRebalance) return;
+        this.lastRebalance = period;
+        const targets = await schedule.weights(context);
+        if (targets) {
+            context.rebalance(targets, schedule.options);
+        }
+    }
+
     totalValue() {
 
         return this.cashBalance + Object.entries(this.stockBalances).reduce((acc, [stockName, quantity]) => acc + quantity * this.stockPrices[stockName], 0);
     }
 
-    buy(stockName, quantity, price, timestamp, features) {
+    /**
+     * Buys shares, covering a short position first if there is one.
+     * @param {string} stockName
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {number[]} [features] - Features recorded with the opened position
+     * @param {boolean} [force=false] - Skip the cash check (forced buy-ins)
+     * @throws {Error} If there is not enough free cash
+     */
+    buy(stockName, quantity, price, timestamp, features, force = false) {
+        const held = this.stockBalances[stockName] || 0;
         const cost = quantity * price;
         const fee = this.broker.calculateFees(quantity, price, 'buy');
-        if (cost + fee > this.cashBalance) {
-            throw new Error(`Insufficient cash: need ${cost + fee}, have ${this.cashBalance}`);
+        const available = this.cashBalance - this.shortRequirement(stockName, held + quantity, price);
+        if (!force && cost + fee > available) {
+            throw new Error(`Insufficient cash: need ${cost + fee}, have ${available}`);
         }
         this.cashBalance -= (cost + fee);
-        this.stockBalances[stockName] = (this.stockBalances[stockName] || 0) + quantity;
+        this.stockBalances[stockName] = held + quantity;
         this.totalFees += fee;
         this.swaps.push({ type: 'buy', quantity, price, timestamp, fee, stockName });
         this.stockPrices[stockName] = price;
-        this.holdSince[stockName] = timestamp;
-        if (features != null && Array.isArray(features)) {
-            this.stockFeatures[stockName] = features;
-        }
 
         if(this.logs.swaps) {
             const equity = this.totalValue();
@@ -413,7 +969,7 @@ export default class Backtest {
                 chalk.gray(`${formatDate(new Date(timestamp))} `) +
                 chalk.bold(`${stockName.padEnd(7)} `) +
                 chalk.greenBright(`BUY  `) +
-                chalk.white(`${quantity.toLocaleString('en-US')} `.padEnd(8)) +
+                chalk.white(`${formatQuantity(quantity)} `.padEnd(8)) +
                 chalk.white(`@ $${price.toLocaleString('en-US')} `.padEnd(10)) +
                 chalk.gray(` | `) +
                 chalk.white(`$${Math.round(price * quantity).toLocaleString('en-US')}`.padEnd(11)) +
@@ -421,20 +977,51 @@ export default class Backtest {
                 chalk.gray(`CASH $${Math.round(this.cashBalance).toLocaleString('en-US')} | EQUITY $${Math.round(equity).toLocaleString('en-US')}`.padEnd(10))
             );
         }
-    }
 
-    sell(stockName, quantity, price, timestamp) {
-        if(!this.stockBalances[stockName]) {
-            throw new Error(`Insufficient shares: have 0, trying to sell ${quantity}`);
+        // a quantity within epsilon of the short covers all of it
+        const covered = held < 0 ? (Math.abs(quantity + held) < quantityEpsilon ? -held : Math.min(quantity, -held)) : 0;
+        if (covered > 0) {
+            this.closePosition(stockName, covered, price, timestamp, fee * Math.min(covered / quantity, 1));
         }
-        if (quantity > this.stockBalances[stockName]) {
-            throw new Error(`Insufficient shares: have ${this.stockBalances[stockName]}, trying to sell ${quantity}`);
+        if (quantity - covered > quantityEpsilon) {
+            this.openPosition(stockName, 'long', quantity - covered, price, timestamp, fee * (quantity - covered) / quantity, features);
+        }
+        this.clearIfFlat(stockName);
+    }
+
+    /**
+     * Sells shares. With `shorting` enabled, selling more than is held opens a short position.
+     * @param {string} stockName
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {number[]} [features] - Features recorded with an opened short
+     * @throws {Error} If there are not enough shares or margin
+     */
+    sell(stockName, quantity, price, timestamp, features) {
+        const held = this.stockBalances[stockName] || 0;
+        if (!this.shorting) {
+            if(!held) {
+                throw new Error(`Insufficient shares: have 0, trying to sell ${quantity}`);
+            }
+            if (quantity > held + quantityEpsilon) {
+                throw new Error(`Insufficient shares: have ${held}, trying to sell ${quantity}`);
+            }
         }
         const proceeds = quantity * price;
         const fee = this.broker.calculateFees(quantity, price, 'sell');
+        // a quantity within epsilon of the position closes all of it
+        const closed = held > 0 ? (Math.abs(quantity - held) < quantityEpsilon ? held : Math.min(quantity, held)) : 0;
+        if (quantity - closed > quantityEpsilon) {
+            const available = this.cashBalance + proceeds - fee - this.shortRequirement(stockName, held - quantity, price);
+            if (available < 0) {
+                throw new Error(`Insufficient margin: need $${-available} more to short ${quantity - closed} ${stockName}`);
+            }
+        }
         this.cashBalance += (proceeds - fee);
-        this.stockBalances[stockName] -= quantity;
+        this.stockBalances[stockName] = held - quantity;
         this.totalFees += fee;
+        this.swaps.push({ type: 'sell', quantity, price, timestamp, fee, stockName });
         this.stockPrices[stockName] = price;
 
         if(this.logs.swaps) {
@@ -443,7 +1030,7 @@ export default class Backtest {
                 chalk.gray(`${formatDate(new Date(timestamp))} `) +
                 chalk.bold(`${stockName.padEnd(7)} `) +
                 chalk.redBright(`SELL `) +
-                chalk.white(`${quantity.toLocaleString('en-US')} `.padEnd(8)) +
+                chalk.white(`${formatQuantity(quantity)} `.padEnd(8)) +
                 chalk.white(`@ $${price.toLocaleString('en-US')} `.padEnd(10)) +
                 chalk.gray(` | `) +
                 chalk.white(`$${Math.round(price * quantity).toLocaleString('en-US')}`.padEnd(11)) +
@@ -451,39 +1038,874 @@ export default class Backtest {
                 chalk.gray(`CASH $${Math.round(this.cashBalance).toLocaleString('en-US')} | EQUITY $${Math.round(equity).toLocaleString('en-US')}`.padEnd(10))
             );
         }
-        const swaps = this.swaps.toReversed().filter(t => t.stockName === stockName);
-        const lastSell = swaps.findIndex(t => t.type === 'sell');
-        const buys = swaps.slice(0, lastSell === -1 ? swaps.length : lastSell).filter(t => t.type === 'buy');
-        const cost = buys.reduce((acc, t) => acc + t.quantity * t.price, 0);
-        const buyFees = buys.reduce((acc, t) => acc + t.fee, 0);
-        const profit = proceeds - cost - buyFees - fee;
-        const profitPercent = cost ? profit / cost : 0;
-        const features = this.stockFeatures[stockName];
-        this.trades.push({ stockName, quantity, price, timestamp, fee, profit, profitPercent, features: features ?? undefined });
-
-        if(this.logs.trades) {
-            const holdTime = ms(timestamp - this.holdSince[stockName]);
-            let line = chalk.gray(`${formatDate(new Date(timestamp))} `) +
-                chalk.bold(`${stockName.padEnd(7)} `) +
-                chalk[profit > 0 ? 'green' : 'red'](
-                    `${profit > 0 ? '+$' : '-$'}${(+Math.abs(profit).toFixed(2)).toLocaleString('en-US').padEnd(10)} ` +
-                    `(${(profitPercent * 100).toFixed(1)}%)`.padEnd(12)
-                ) +
-                chalk.white(`${holdTime}`.padEnd(5)) +
-                chalk.gray(`CASH $${Math.round(this.cashBalance).toLocaleString('en-US')} | EQUITY $${Math.round(this.totalValue()).toLocaleString('en-US')}`);
-            if (features != null && features.length > 0) {
-                line += chalk.cyan(` [${features.map(f => typeof f === 'number' ? f.toFixed(4) : f).join(', ')}]`);
+
+        if (closed > 0) {
+            this.closePosition(stockName, closed, price, timestamp, fee * Math.min(closed / quantity, 1));
+        }
+        if (quantity - closed > quantityEpsilon) {
+            this.openPosition(stockName, 'short', quantity - closed, price, timestamp, fee * (quantity - closed) / quantity, features);
+        }
+        this.clearIfFlat(stockName);
+    }
+
+    /**
+     * Adds an entry to the open position of a stock, as a new lot in the ledger.
+     * @param {string} stockName
+     * @param {'long'|'short'} side
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {number} fee - Part of the order's fee paid for this entry
+     * @param {number[]} [features]
+     */
+    openPosition(stockName, side, quantity, price, timestamp, fee, features) {
+        if (!this.ledger.lots[stockName]) {
+            this.holdSince[stockName] = timestamp;
+        }
+        if (features != null && !Array.isArray(features)) {
+            features = null;
+        }
+        this.ledger.open(stockName, side, quantity, price, timestamp, fee, features);
+        if (features != null) {
+            this.stockFeatures[stockName] = features;
+        }
+    }
+
+    /**
+     * Closes part of the open position of a stock, matching it against the ledger's lots,
+     * and records a trade for each lot it closes.
+     * @param {string} stockName
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {number} fee - Part of the order's fee paid for this exit
+     */
+    closePosition(stockName, quantity, price, timestamp, fee) {
+        // borrow fees and dividends accrue on the whole position, closed lots take their share
+        const total = this.ledger.quantity(stockName);
+        const accruedBorrow = this.borrowFees[stockName] || 0;
+        const accruedDividends = this.dividends[stockName] || 0;
+
+        for (const part of this.ledger.close(stockName, quantity)) {
+            const { lot } = part;
+            const share = part.quantity / total;
+            const exitFee = fee * part.quantity / quantity;
+            const borrowFee = accruedBorrow * share;
+            const dividends = accruedDividends * share;
+            const gross = lot.side === 'long' ? part.quantity * price - part.cost : part.cost - part.quantity * price;
+            const profit = gross - part.fees - exitFee - borrowFee + dividends;
+            const profitPercent = part.cost ? profit / part.cost : 0;
+            // max adverse / favorable excursion from the entry price
+            const entryPrice = part.cost / part.quantity;
+            const high = Math.max(lot.high, price) / entryPrice - 1;
+            const low = Math.min(lot.low, price) / entryPrice - 1;
+            const [mae, mfe] = !entryPrice ? [0, 0] : lot.side === 'long' ? [low, high] : [-high, -low];
+            this.trades.push({
+                stockName, side: lot.side, quantity: part.quantity, price, timestamp, lotId: lot.id, entryPrice, entryTimestamp: lot.timestamp,
+                fee: exitFee, borrowFee, dividends, profit, profitPercent, mae, mfe, features: lot.features ?? undefined,
+            });
+
+            if (this.borrowFees[stockName]) {
+                this.borrowFees[stockName] -= borrowFee;
+            }
+            if (this.dividends[stockName]) {
+                this.dividends[stockName] -= dividends;
+            }
+
+            if(this.logs.trades) {
+                const holdTime = ms(timestamp - lot.timestamp);
+                let line = chalk.gray(`${formatDate(new Date(timestamp))} `) +
+                    chalk.bold(`${stockName.padEnd(7)} `) +
+                    chalk[profit > 0 ? 'green' : 'red'](
+                        `${profit > 0 ? '+$' : '-$'}${(+Math.abs(profit).toFixed(2)).toLocaleString('en-US').padEnd(10)} ` +
+                        `(${(profitPercent * 100).toFixed(1)}%)`.padEnd(12)
+                    ) +
+                    chalk.white(`${holdTime}`.padEnd(5)) +
+                    chalk.gray(`CASH $${Math.round(this.cashBalance).toLocaleString('en-US')} | EQUITY $${Math.round(this.totalValue()).toLocaleString('en-US')}`);
+                if (lot.side === 'short') {
+                    line += chalk.magenta(' SHORT');
+                }
+                if (lot.features != null && lot.features.length > 0) {
+                    line += chalk.cyan(` [${lot.features.map(f => typeof f === 'number' ? f.toFixed(4) : f).join(', ')}]`);
+                }
+                console.log(line);
             }
-            console.log(line);
         }
 
-        if(this.stockBalances[stockName] === 0) {
-            delete this.stockBalances[stockName];
+        if (!this.ledger.lots[stockName]) {
             delete this.holdSince[stockName];
             delete this.stockFeatures[stockName];
+            delete this.borrowFees[stockName];
+            delete this.dividends[stockName];
+            if (this.strategy.state.clearOnClose && this.states[stockName]) {
+                this.strategy.resetState(this.states[stockName]);
+            }
         }
+    }
 
-        this.swaps.push({ type: 'sell', quantity, price, timestamp, fee, stockName });
+    clearIfFlat(stockName) {
+        if (Math.abs(this.stockBalances[stockName]) < quantityEpsilon) {
+            delete this.stockBalances[stockName];
+        }
+    }
+
+    /**
+     * Cash that has to stay in the account to back short positions:
+     * the short value plus the initial margin on it.
+     * @param {string} stockName - Stock whose balance is about to change
+     * @param {number} balance   - Its balance after the change
+     * @param {number} price     - Its price
+     * @returns {number}
+     */
+    shortRequirement(stockName, balance, price) {
+        if (!this.shorting) return 0;
+        let shortValue = balance < 0 ? -balance * price : 0;
+        for (const name in this.stockBalances) {
+            const quantity = this.stockBalances[name];
+            if (name !== stockName && quantity < 0) {
+                shortValue -= quantity * this.stockPrices[name];
+            }
+        }
+        return shortValue * (1 + this.shorting.initialMargin);
+    }
+
+    /**
+     * Gets the annualised borrow rate for shorting a stock.
+     * @param {string} stockName
+     * @returns {number}
+     */
+    borrowRate(stockName) {
+        const rate = this.shorting.borrowRate;
+        return typeof rate === 'number' ? rate : (rate[stockName] ?? rate.default ?? 0);
+    }
+
+    /**
+     * Charges borrow fees on short positions for every calendar day since the last charge.
+     * @param {Date|number} timestamp - Current time
+     */
+    chargeBorrowFees(timestamp) {
+        if (!this.shorting) return;
+        const day = marketDay(timestamp);
+        const lastDay = this.lastBorrowDay;
+        this.lastBorrowDay = day;
+        if (!lastDay || lastDay === day) return;
+
+        const days = (Date.parse(day) - Date.parse(lastDay)) / (24 * 3600 * 1e3);
+        for (const stockName in this.stockBalances) {
+            const quantity = this.stockBalances[stockName];
+            if (quantity >= 0) continue;
+            const fee = -quantity * this.stockPrices[stockName] * this.borrowRate(stockName) * days / 360;
+            this.cashBalance -= fee;
+            this.totalBorrowFees += fee;
+            this.borrowFees[stockName] = (this.borrowFees[stockName] || 0) + fee;
+        }
+    }
+
+    /**
+     * Forces buy-ins of short positions, largest first, while equity is below
+     * the maintenance margin on the remaining short value.
+     * @param {Date|number} timestamp - Current time
+     */
+    checkMargin(timestamp) {
+        if (!this.shorting) return;
+        const shortValue = () => Object.entries(this.stockBalances)
+            .reduce((acc, [stockName, quantity]) => quantity < 0 ? acc - quantity * this.stockPrices[stockName] : acc, 0);
+        const inCall = () => {
+            const value = shortValue();
+            return value > 0 && this.totalValue() < this.shorting.maintenanceMargin * value;
+        };
+        if (!inCall()) return;
+
+        const shorts = Object.keys(this.stockBalances)
+            .filter(stockName => this.stockBalances[stockName] < 0)
+            .sort((a, b) => this.stockBalances[a] * this.stockPrices[a] - this.stockBalances[b] * this.stockPrices[b]);
+        for (const stockName of shorts) {
+            console.log(chalk.red(`${stockName} BOUGHT IN ON ${formatDate(new Date(timestamp))} (margin call)`));
+            const quantity = -this.stockBalances[stockName];
+            this.buy(stockName, quantity, this.stockPrices[stockName], timestamp, null, true);
+            this.emitFill(stockName, 'buy', quantity, this.stockPrices[stockName], timestamp, null);
+            if (!inCall()) break;
+        }
+    }
+
+    /**
+     * Handles a strategy's `buy`/`sell` call. With `sameBarClose` execution it
+     * fills right away at `price`, otherwise it becomes a day market order that fills
+     * on the stock's next bar and `price` is ignored. With a `fillModel` it is
+     * always sent as a market order so volume limits and impact apply.
+     * @param {string} stockName
+     * @param {'buy'|'sell'} side
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Candle} candle          - Current bar of the stock
+     * @param {Date|number} timestamp  - Current time
+     * @param {number[]} [features]    - Features recorded with the opened position
+     * @returns {Order|undefined} The queued order, or the rejected one if the broker refused it
+     */
+    submit(stockName, side, quantity, price, candle, timestamp, features) {
+        if (this.signals) {
+            return this.placeOrder(stockName, { side, type: 'market', qty: quantity, tif: 'day' }, candle, timestamp, features, price);
+        }
+        if (this.execution === 'sameBarClose' && !this.fillModel) {
+            const reason = this.broker.validateOrder({ stockName, side, type: 'market', qty: quantity, tif: 'day' }, { position: this.stockBalances[stockName] || 0, price });
+            if (reason) {
+                // rejected the same way as a queued order, so strategies don't depend on the execution mode
+                const order = new Order({ id: this.nextOrderId++, stockName, side, type: 'market', qty: quantity, tif: 'day', timestamp, features });
+                order.status = 'rejected';
+                order.reason = reason;
+                this.orders.push(order);
+                this.emit('onOrderRejected', order, reason);
+                return order;
+            }
+            if (side === 'buy') {
+                this.buy(stockName, quantity, price, timestamp, features);
+            } else {
+                this.sell(stockName, quantity, price, timestamp, features);
+            }
+            this.emitFill(stockName, side, quantity, price, timestamp, null);
+            return;
+        }
+        const order = this.placeOrder(stockName, { side, type: 'market', qty: quantity, tif: 'day' }, candle, timestamp, features);
+        // queued for the next bar (or what the fillModel left of it), so it lives until the end of that bar's session
+        if (order.status === 'working') order.session = null;
+        return order;
+    }
+
+    /**
+     * Buys or sells shares worth `amount` dollars at `price`, rounded towards zero with the
+     * broker's `roundQuantity` (fractional shares where it supports them, whole ones otherwise).
+     * Nothing is sent if that rounds to zero shares.
+     * @param {string} stockName
+     * @param {'buy'|'sell'} side
+     * @param {number} amount           - Notional value, in $, fees not included
+     * @param {number} price
+     * @param {Candle} candle
+     * @param {Date|number} timestamp
+     * @param {number[]} [features]
+     * @returns {Order|undefined} The queued order, if any
+     * @throws {TypeError} If amount or price isn't > 0
+     */
+    submitNotional(stockName, side, amount, price, candle, timestamp, features) {
+        if (!(amount > 0) || !(price > 0)) {
+            throw new TypeError('Notional amount and price must be > 0');
+        }
+        const quantity = this.broker.roundQuantity(amount / price, stockName);
+        if (quantity <= 0) return;
+        return this.submit(stockName, side, quantity, price, candle, timestamp, features);
+    }
+
+    /**
+     * Trades towards target weights at the current prices. Sells are sent first, so the buys
+     * can use their proceeds; buys are cut down to what the cash left (after fees) can pay for.
+     * With queued execution the orders fill on the next bar, sells aren't guaranteed to fill first.
+     * @param {Object<string, number>} targets - Fraction of equity (after the cash buffer) by ticker, negative to short
+     * @param {Object<string, Candle>} candles - Current bar of each stock that can trade now
+     * @param {Date|number} timestamp
+     * @param {Object} [options]
+     * @param {number} [options.cashBuffer=0]     - Fraction of equity kept in cash
+     * @param {number} [options.minTradeValue=0]  - Skip trades worth less than this, in $
+     * @param {boolean} [options.fractional=false] - Trade fractional shares (where the broker supports them) instead of whole ones
+     * @param {boolean} [options.liquidate=true]  - Close held positions that aren't in `targets`
+     * @returns {{ stockName: string, side: 'buy'|'sell', quantity: number, price: number, order?: Order }[]} Trades sent
+     * @throws {TypeError} on invalid targets or options
+     */
+    rebalance(targets, candles, timestamp, { cashBuffer = 0, minTradeValue = 0, fractional = false, liquidate = true } = {}) {
+        if (typeof targets !== 'object' || targets === null || Object.values(targets).some(w => !Number.isFinite(w))) {
+            throw new TypeError('targets must be an object of weights by ticker');
+        }
+        if (!this.shorting && Object.values(targets).some(w => w < 0)) {
+            throw new TypeError('Negative weights need shorting to be enabled');
+        }
+        if (Object.values(targets).reduce((sum, w) => sum + Math.max(w, 0), 0) > 1 + 1e-9) {
+            throw new TypeError('Long weights must not add up to more than 1');
+        }
+        if (!(cashBuffer >= 0 && cashBuffer < 1)) {
+            throw new TypeError('cashBuffer must be between 0 and 1');
+        }
+
+        const equity = this.totalValue();
+        const investable = equity * (1 - cashBuffer);
+        // round towards zero, to whole shares or to the broker's fractional precision
+        const roundFor = stockName => q => fractional ? this.broker.roundQuantity(q, stockName) : Math.trunc(q);
+
+        const names = new Set(Object.keys(targets));
+        if (liquidate) {
+            for (const stockName in this.stockBalances) names.add(stockName);
+        }
+        const plan = [];
+        for (const stockName of names) {
+            const candle = candles[stockName];
+            if (!candle) continue;  // no bar to trade on
+            const held = this.stockBalances[stockName] || 0;
+            const round = roundFor(stockName);
+            const target = (targets[stockName] ?? 0) === 0 ? 0 : round(targets[stockName] * investable / candle.close);
+            const quantity = Math.abs(target - held);
+            if (quantity === 0 || quantity * candle.close < minTradeValue) continue;
+            plan.push({ stockName, side: target > held ? 'buy' : 'sell', quantity, price: candle.close });
+        }
+
+        const sent = [];
+        let cash = this.cashBalance;
+        for (const trade of plan.filter(t => t.side === 'sell')) {
+            cash += trade.quantity * trade.price - this.broker.calculateFees(trade.quantity, trade.price, 'sell');
+            sent.push({ ...trade, order: this.submit(trade.stockName, 'sell', trade.quantity, trade.price, candles[trade.stockName], timestamp) });
+        }
+        for (const trade of plan.filter(t => t.side === 'buy')) {
+            const free = cash - equity * cashBuffer;
+            let { quantity } = trade;
+            const round = roundFor(trade.stockName);
+            const cost = q => q * trade.price + this.broker.calculateFees(q, trade.price, 'buy');
+            if (cost(quantity) > free) {
+                quantity = round(Math.max(free - this.broker.calculateFees(quantity, trade.price, 'buy'), 0) / trade.price);
+                while (quantity > 0 && cost(quantity) > free) {
+                    quantity = round(fractional ? quantity * 0.999 : quantity - 1);
+                }
+            }
+            if (quantity <= 0 || quantity * trade.price < minTradeValue) continue;
+            cash -= cost(quantity);
+            sent.push({ ...trade, quantity, order: this.submit(trade.stockName, 'buy', quantity, trade.price, candles[trade.stockName], timestamp) });
+        }
+        return sent;
+    }
+
+    /**
+     * Places an order. With `sameBarClose` execution market orders fill right away
+     * at the close of `candle`, everything else is kept working and matched
+     * against the following bars. Prices are rounded to the broker's tick size first, and
+     * an order the broker's `validateOrder` refuses is rejected with its reason.
+     * @param {string} stockName
+     * @param {Object} params          - { side, type, qty, limitPrice, stopPrice, tif }, see Order
+     * @param {Candle} candle          - Current bar of the stock
+     * @param {Date|number} timestamp  - Current time
+     * @param {number[]} [features]    - Features recorded with the opened position
+     * @param {number} [price]         - Price a scan's signal is sized at, the close by default
+     * @returns {Order} The order, already filled or rejected if it was a market order or the broker refused it
+     */
+    placeOrder(stockName, params, candle, timestamp, features, price = candle.close) {
+        const order = new Order({ ...params, id: this.nextOrderId++, stockName, timestamp, features });
+        // a day order lives until the end of the session it was placed in, even when that was its last bar
+        order.session = marketDay(order.createdAt);
+        this.orders.push(order);
+        if (order.limitPrice != null) order.limitPrice = this.broker.roundPrice(order.limitPrice, order.side);
+        // a stop is rounded away from the market, so it doesn't trigger earlier than asked
+        if (order.stopPrice != null) order.stopPrice = this.broker.roundPrice(order.stopPrice, order.side === 'buy' ? 'sell' : 'buy');
+        const reason = this.broker.validateOrder(order, { position: this.stockBalances[stockName] || 0, price: candle.close });
+        if (reason) {
+            order.status = 'rejected';
+            order.reason = reason;
+        }
+        // a scan only records what would be traded, market orders fill on its scratch account
+        // like with sameBarClose, so cash and positions limit the signals after them
+        if (this.signals) {
+            if (!reason && order.type === 'market') {
+                try {
+                    if (order.side === 'buy') {
+                        this.buy(stockName, order.qty, price, timestamp, features);
+                    } else {
+                        this.sell(stockName, order.qty, price, timestamp, features);
+                    }
+                    order.status = 'filled';
+                    order.filledQty = order.qty;
+                    order.fillPrice = price;
+                } catch (e) {
+                    order.status = 'rejected';
+                    order.reason = e.message;
+                }
+            }
+            this.signals.add(order, price);
+            return order;
+        }
+        if (reason) {
+            this.emit('onOrderRejected', order, reason);
+            return order;
+        }
+        if (order.type === 'market' && this.execution === 'sameBarClose') {
+            this.fillOrder(order, candle.close, timestamp, candle);
+            // a partial fill keeps the rest working
+            if (order.status !== 'working') {
+                return order;
+            }
+        }
+        if (!this.openOrders[stockName]) {
+            this.openOrders[stockName] = [];
+        }
+        this.openOrders[stockName].push(order);
+        return order;
+    }
+
+    /**
+     * Cancels a working order.
+     * @param {number} id - The order id.
+     * @returns {boolean} Whether a working order was cancelled.
+     */
+    cancelOrder(id) {
+        for (const stockName in this.openOrders) {
+            const orders = this.openOrders[stockName];
+            const index = orders.findIndex(o => o.id === id);
+            if (index === -1) continue;
+            orders[index].status = 'cancelled';
+            orders.splice(index, 1);
+            if (orders.length === 0) delete this.openOrders[stockName];
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Modifies a working order.
+     * @param {number} id      - The order id.
+     * @param {Object} changes - Any of `qty`, `limitPrice`, `stopPrice`, `tif`.
+     * @returns {Order} The modified order, unchanged if the broker refuses the changes.
+     * @throws {Error} If there is no such order.
+     */
+    modifyOrder(id, changes) {
+        const order = this.orders.find(o => o.id === id);
+        if (!order) {
+            throw new Error(`Order ${id} not found`);
+        }
+        const prev = { qty: order.qty, limitPrice: order.limitPrice, stopPrice: order.stopPrice, tif: order.tif };
+        order.modify(changes);
+        if (order.limitPrice != null) order.limitPrice = this.broker.roundPrice(order.limitPrice, order.side);
+        if (order.stopPrice != null) order.stopPrice = this.broker.roundPrice(order.stopPrice, order.side === 'buy' ? 'sell' : 'buy');
+        // checked at the last price like a new order, so a change can't slip under the minimum notional
+        const price = this.stockPrices[order.stockName] ?? order.limitPrice;
+        const reason = this.broker.validateOrder(order, { position: this.stockBalances[order.stockName] || 0, price });
+        if (reason) {
+            // the order keeps working as it was, like a refused replace at a broker
+            Object.assign(order, prev);
+            this.emit('onOrderRejected', order, reason);
+        }
+        return order;
+    }
+
+    /**
+     * Matches the working orders of a stock against its new bar, filling them in
+     * the order the bar's price path reaches them. If any order fills and
+     * `intrabar.interval` is set, the bar's finer candles are loaded and used as the path.
+     * @param {string} stockName
+     * @param {Candle} candle
+     */
+    async processOrders(stockName, candle) {
+        const orders = this.openOrders[stockName];
+        if (!orders) return;
+
+        const day = marketDay(candle.timestamp);
+        const active = [];
+        for (const order of orders) {
+            // stale candle (no new bar for this stock) or the bar the order was placed on
+            if (candle.timestamp <= order.lastBarTs) continue;
+            order.lastBarTs = candle.timestamp;
+            if (order.tif === 'day') {
+                if (!order.session) order.session = day;
+                if (order.session !== day) {
+                    order.status = 'expired';
+                    continue;
+                }
+            }
+            active.push(order);
+        }
+
+        const triggered = active.map(o => o.triggered);
+        let fills = this.matchOrders(active, [candle]);
+        if (fills.length > 0 && this.intrabar.interval) {
+            const finer = await this.loadIntrabar(stockName, candle);
+            if (finer.length > 0) {
+                active.forEach((o, i) => o.triggered = triggered[i]);
+                fills = this.matchOrders(active, finer);
+            }
+        }
+
+        for (const { order, price } of fills) {
+            // may have been cancelled by an earlier fill in its OCO group
+            if (order.status !== 'working') continue;
+            this.fillOrder(order, price, candle.timestamp, candle);
+        }
+
+        const working = orders.filter(o => o.status === 'working');
+        if (working.length > 0) {
+            this.openOrders[stockName] = working;
+        } else {
+            delete this.openOrders[stockName];
+        }
+    }
+
+    /**
+     * Finds where orders fill along the path of consecutive candles.
+     * @param {Order[]} orders
+     * @param {Candle[]} candles - One bar, or the finer bars it is made of
+     * @returns {{ order: Order, price: number, position: number }[]} Fills in the order they happen
+     */
+    matchOrders(orders, candles) {
+        const path = candles.flatMap(c => candlePath(c, this.intrabar.path));
+        let vwap;
+        if (this.execution === 'nextBarVWAP') {
+            const volume = candles.reduce((acc, c) => acc + c.volume, 0);
+            const typical = c => (c.high + c.low + c.close) / 3;
+            vwap = volume > 0
+                ? candles.reduce((acc, c) => acc + typical(c) * c.volume, 0) / volume
+                : candles.reduce((acc, c) => acc + typical(c), 0) / candles.length;
+        }
+
+        const fills = [];
+        for (const order of orders) {
+            // market orders fill at the bar's VWAP, estimated from typical prices
+            const fill = order.type === 'market' && vwap !== undefined
+                ? { price: vwap, position: 0 }
+                : order.match(path);
+            if (fill) fills.push({ order, ...fill });
+        }
+        return fills.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Loads the `intrabar.interval` candles that make up a main interval bar.
+     * @param {string} stockName
+     * @param {Candle} candle - The main interval bar
+     * @returns {Promise<Candle[]>}
+     */
+    async loadIntrabar(stockName, candle) {
+        const mainMs = intervalMsMap[this.strategy.mainInterval.name];
+        const stock = await this.source.loadStockInRange(stockName, this.intrabar.interval, new Date(candle.timestamp - mainMs), new Date(candle.timestamp + 1), this.adjusted);
+        return [...stock];
+    }
+
+    /**
+     * Executes an order at the given price. Orders that can't be executed
+     * (e.g. insufficient cash) are marked as rejected instead of throwing.
+     * With a `fillModel`, only part of the order may fill on this bar and
+     * market impact is added to market and stop fills.
+     * @param {Order} order
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {Candle} candle - Bar the order fills on
+     * @returns {boolean} Whether the order was (partially) filled.
+     */
+    fillOrder(order, price, timestamp, candle) {
+        let quantity = order.qty - order.filledQty;
+        if (this.fillModel) {
+            quantity = Math.min(quantity, this.volumeAvailable(order.stockName, candle));
+            if (order.type === 'market' || order.type === 'stop') {
+                price = this.impactPrice(order.side, quantity, price, candle);
+            }
+        }
+        if (quantity <= 0) {
+            if (this.fillModel?.remainder === 'cancel') {
+                order.status = 'cancelled';
+            }
+            return false;
+        }
+
+        try {
+            if (order.side === 'buy') {
+                this.buy(order.stockName, quantity, price, timestamp, order.features);
+            } else {
+                this.sell(order.stockName, quantity, price, timestamp, order.features);
+            }
+        } catch (e) {
+            order.status = 'rejected';
+            order.reason = e.message;
+            this.emit('onOrderRejected', order, order.reason);
+            return false;
+        }
+        if (this.fillModel) {
+            const used = this.volumeUsed[order.stockName];
+            this.volumeUsed[order.stockName] = {
+                timestamp: candle.timestamp,
+                quantity: (used?.timestamp === candle.timestamp ? used.quantity : 0) + quantity,
+            };
+        }
+
+        order.fillPrice = ((order.fillPrice ?? 0) * order.filledQty + price * quantity) / (order.filledQty + quantity);
+        order.filledQty += quantity;
+        order.filledAt = +timestamp;
+        if (order.filledQty >= order.qty) {
+            order.status = 'filled';
+        } else if (this.fillModel?.remainder === 'cancel') {
+            order.status = 'cancelled';
+        }
+        this.emitFill(order.stockName, order.side, quantity, price, timestamp, order);
+        if (order.ocoGroup != null) {
+            for (const other of [...(this.openOrders[order.stockName] ?? [])]) {
+                if (other === order || other.ocoGroup !== order.ocoGroup || other.status !== 'working') continue;
+                // a partial fill only shrinks the other orders, so a stop still covers the unfilled rest
+                if (order.status !== 'filled' && other.qty - quantity > other.filledQty + quantityEpsilon) {
+                    other.qty -= quantity;
+                } else {
+                    this.cancelOrder(other.id);
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Gets how many more shares of a stock can fill on its bar under `fillModel.maxVolumeFraction`,
+     * rounded towards zero to what the broker trades (fractional shares where it supports them).
+     * @param {string} stockName
+     * @param {Candle} candle
+     * @returns {number}
+     */
+    volumeAvailable(stockName, candle) {
+        const used = this.volumeUsed[stockName];
+        const usedQuantity = used?.timestamp === candle.timestamp ? used.quantity : 0;
+        return Math.max(0, this.broker.roundQuantity(this.fillModel.maxVolumeFraction * candle.volume - usedQuantity, stockName));
+    }
+
+    /**
+     * Moves a fill price against the trade by the `fillModel` market impact.
+     * `sqrt`: coefficient × (high − low) / close × √(quantity / volume)
+     * `linear`: coefficient × quantity / volume
+     * @param {'buy'|'sell'} side
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Candle} candle
+     * @returns {number} The price after impact
+     */
+    impactPrice(side, quantity, price, candle) {
+        const { impact, impactCoefficient } = this.fillModel;
+        if (!impact || !candle.volume) return price;
+
+        let fraction;
+        if (typeof impact === 'function') {
+            fraction = impact(quantity, candle, side);
+        } else if (impact === 'linear') {
+            fraction = impactCoefficient * quantity / candle.volume;
+        } else {
+            fraction = impactCoefficient * ((candle.high - candle.low) / candle.close) * Math.sqrt(quantity / candle.volume);
+        }
+        return side === 'buy' ? price * (1 + fraction) : price * (1 - fraction);
+    }
+
+    /**
+     * Closes the position in a stock that stopped trading, at a price set by the delisting policy,
+     * and cancels its working orders. The close is recorded as a trade without broker fees.
+     * @param {string} stockName
+     * @param {Date} timestamp - Time the delisting is noticed
+     */
+    delist(stockName, timestamp) {
+        const held = this.stockBalances[stockName];
+        const lastSeen = this.lastSeen[stockName];
+        const lastPrice = this.stockPrices[stockName];
+        let price = lastPrice;
+        if (this.delisting.policy === 'zero') {
+            price = 0;
+        } else if (this.delisting.policy === 'returns') {
+            // the first delisting return from the last bar's day onwards
+            const day = marketDay(lastSeen);
+            const row = this.delistingReturns[stockName]?.find(r => marketDay(r.timestamp) >= day);
+            if (row) {
+                price = Math.max(0, lastPrice * (1 + row.return));
+            }
+        }
+
+        for (const order of [...(this.openOrders[stockName] ?? [])]) {
+            this.cancelOrder(order.id);
+        }
+        this.cashBalance += held * price;
+        this.stockPrices[stockName] = price;
+        this.stockBalances[stockName] = 0;
+        this.closePosition(stockName, Math.abs(held), price, timestamp, 0);
+        this.clearIfFlat(stockName);
+        delete this.delistCounter[stockName];
+        if (this.strategy.state.clearOnDelist) {
+            delete this.states[stockName];
+        }
+        this.delisted.push({ stockName, timestamp: +timestamp, lastSeen, quantity: held, price });
+        this.emit('onDelisted', stockName, this.delisted.at(-1));
+
+        console.log(
+            chalk.red(`${stockName} DELISTED ON ${formatDate(new Date(lastSeen))}, `) +
+            chalk.white(`${formatQuantity(held)} shares closed @ $${price.toLocaleString('en-US')}`)
+        );
+    }
+
+    /**
+     * Loads the splits and dividends for the backtest period when running on unadjusted prices.
+     */
+    async loadCorporateActions() {
+        if (this.adjusted || this.corporateActions) return;
+        this.corporateActions = await this.source.loadCorporateActions(this.startDate, this.endDate);
+    }
+
+    /**
+     * Loads the closes of the benchmark ticker on the main interval, always on adjusted prices
+     * so splits and dividends don't show up as jumps.
+     * @throws {Error} when the ticker has no candles in the backtest period
+     */
+    async loadBenchmark() {
+        if (typeof this.benchmark !== 'string' || this.benchmarkSeries) return;
+        const interval = this.strategy.mainInterval.name;
+        const stock = await this.source.loadStockInRange(this.benchmark, interval, this.calendar.lookbackStart(interval, this.startDate, 1), this.endDate, true);
+        if (stock.size === 0) {
+            throw new Error(`No ${interval} candles for benchmark ${this.benchmark}`);
+        }
+        this.benchmarkSeries = [...stock].map(c => [c.timestamp, c.close]);
+    }
+
+    /**
+     * Benchmark values at each point of the equity curve, null before the benchmark starts.
+     * @param {Array} sortedEquity - Equity curve sorted by timestamp
+     * @returns {(number|null)[]|null} null without a benchmark
+     */
+    benchmarkValues(sortedEquity) {
+        if (!this.benchmarkSeries) return null;
+        return alignSeries(sortedEquity.map(e => e[0]), this.benchmarkSeries);
+    }
+
+    /**
+     * Applies the splits and dividends of a stock with an ex-date up to `timestamp`
+     * that haven't been applied yet. Only used with unadjusted prices.
+     * @param {string} stockName
+     * @param {Date|number} timestamp - Time of the stock's new bar
+     */
+    applyCorporateActions(stockName, timestamp) {
+        if (!this.corporateActions) return;
+        const splits = this.corporateActions.splits[stockName];
+        const dividends = this.corporateActions.dividends[stockName];
+        if (!splits && !dividends) return;
+
+        if (!this.actionIndex[stockName]) {
+            this.actionIndex[stockName] = { splits: 0, dividends: 0 };
+        }
+        const index = this.actionIndex[stockName];
+        while (splits && index.splits < splits.length && splits[index.splits].timestamp <= timestamp) {
+            this.applySplit(stockName, splits[index.splits++]);
+        }
+        while (dividends && index.dividends < dividends.length && dividends[index.dividends].timestamp <= timestamp) {
+            this.payDividend(stockName, dividends[index.dividends++]);
+        }
+    }
+
+    /**
+     * Splits a position and the stock's working orders. Fractional shares left
+     * over are sold for cash at the post-split price.
+     * @param {string} stockName
+     * @param {{ timestamp: number, ratio: number }} split
+     */
+    applySplit(stockName, { timestamp, ratio }) {
+        for (const order of [...(this.openOrders[stockName] ?? [])]) {
+            order.qty = this.broker.roundQuantity(order.qty * ratio, stockName);
+            order.filledQty = this.broker.roundQuantity(order.filledQty * ratio, stockName);
+            if (order.limitPrice) order.limitPrice /= ratio;
+            if (order.stopPrice) order.stopPrice /= ratio;
+            if (order.qty <= order.filledQty) {
+                this.cancelOrder(order.id);
+            }
+        }
+
+        const held = this.stockBalances[stockName];
+        if (!held) return;
+        const quantity = held * ratio;
+        // whole shares, or the fractional ones the broker keeps
+        const kept = this.broker.roundQuantity(quantity, stockName);
+        const price = this.stockPrices[stockName] / ratio;
+        this.stockPrices[stockName] = price;
+        this.stockBalances[stockName] = quantity;
+        this.ledger.split(stockName, ratio);
+        if (Math.abs(quantity - kept) > quantityEpsilon) {
+            // cash in lieu of the fraction
+            this.cashBalance += (quantity - kept) * price;
+            this.stockBalances[stockName] = kept;
+            this.closePosition(stockName, Math.abs(quantity - kept), price, timestamp, 0);
+        }
+        this.clearIfFlat(stockName);
+        this.corporateActionLog.push({ type: 'split', stockName, timestamp, ratio, quantity: kept });
+
+        if (this.logs.swaps) {
+            console.log(
+                chalk.gray(`${formatDate(new Date(timestamp))} `) +
+                chalk.bold(`${stockName.padEnd(7)} `) +
+                chalk.yellowBright(`SPLIT `) +
+                chalk.white(`${ratio} for 1, ${formatQuantity(held)} → ${formatQuantity(kept)} shares`)
+            );
+        }
+    }
+
+    /**
+     * Credits (or for shorts, charges) a cash dividend on a position.
+     * @param {string} stockName
+     * @param {{ timestamp: number, amount: number }} dividend
+     */
+    payDividend(stockName, { timestamp, amount }) {
+        const held = this.stockBalances[stockName];
+        if (!held) return;
+        const cash = held * amount;
+        this.cashBalance += cash;
+        this.totalDividends += cash;
+        this.dividends[stockName] = (this.dividends[stockName] || 0) + cash;
+        this.corporateActionLog.push({ type: 'dividend', stockName, timestamp, amount, cash });
+
+        if (this.logs.swaps) {
+            console.log(
+                chalk.gray(`${formatDate(new Date(timestamp))} `) +
+                chalk.bold(`${stockName.padEnd(7)} `) +
+                chalk.yellowBright(`DIV   `) +
+                chalk.white(`$${amount} × ${formatQuantity(held)} = ${cash < 0 ? '-' : ''}$${Math.abs(cash).toFixed(2)}`)
+            );
+        }
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {string} Sector of a ticker, 'Unknown' if it isn't in `sectors`
+     */
+    sectorOf(stockName) {
+        return (typeof this.sectors === 'function' ? this.sectors(stockName) : this.sectors[stockName]) ?? 'Unknown';
+    }
+
+    /**
+     * Profit of a stock's open position if it were closed at its last price, with the borrow
+     * fees and dividends accrued on it.
+     * @param {string} stockName
+     * @returns {number}
+     */
+    unrealizedPnl(stockName) {
+        if (!this.ledger.lots[stockName]) return 0;
+        return this.ledger.unrealized(stockName, this.stockPrices[stockName]) - (this.borrowFees[stockName] || 0) + (this.dividends[stockName] || 0);
+    }
+
+    /**
+     * P&L by ticker and by sector: realised from the closed trades, unrealised from the open lots.
+     * `contribution` is the P&L as a fraction of the starting cash, so they add up to the total return.
+     * @returns {{ symbols: Object[], sectors: Object[] }} Largest P&L first
+     */
+    attribution() {
+        const symbols = {};
+        const symbol = stockName => symbols[stockName] ??= { stockName, sector: this.sectorOf(stockName), trades: 0, realized: 0, unrealized: 0 };
+        for (const t of this.trades) {
+            const row = symbol(t.stockName);
+            row.trades++;
+            row.realized += t.profit;
+        }
+        for (const stockName in this.ledger.lots) {
+            symbol(stockName).unrealized = this.unrealizedPnl(stockName);
+        }
+
+        const sectors = {};
+        for (const row of Object.values(symbols)) {
+            row.pnl = row.realized + row.unrealized;
+            row.contribution = row.pnl / this.startCashBalance;
+            const sector = sectors[row.sector] ??= { sector: row.sector, symbols: 0, trades: 0, realized: 0, unrealized: 0, pnl: 0 };
+            sector.symbols++;
+            sector.trades += row.trades;
+            sector.realized += row.realized;
+            sector.unrealized += row.unrealized;
+            sector.pnl += row.pnl;
+        }
+        for (const sector of Object.values(sectors)) {
+            sector.contribution = sector.pnl / this.startCashBalance;
+        }
+
+        const byPnl = (a, b) => b.pnl - a.pnl;
+        return { symbols: Object.values(symbols).sort(byPnl), sectors: Object.values(sectors).sort(byPnl) };
+    }
+
+    /**
+     * Bars of the main interval per year, to annualise per-bar statistics.
+     * @returns {number}
+     */
+    periodsPerYear() {
+        return this.calendar.periodsPerYear(this.strategy.mainInterval.name, this.startDate, this.endDate);
     }
 
     getMetrics() {
@@ -492,45 +1914,73 @@ export default class Backtest {
         }
 
         /* ---------- equity series & simple returns ---------------------- */
-        const series = this.equityCurve
-            .toSorted((a, b) => a[0] - b[0])       // sort by timestamp
-            .map(e => e[1]);                       // strip to equity values
+        const sortedEquity = this.equityCurve.toSorted((a, b) => a[0] - b[0]);
+        const series = sortedEquity.map(e => e[1]);
 
-        const periodRets = [];
-        for (let i = 1; i < series.length; i++) {
-            periodRets.push(series[i] / series[i - 1] - 1);
-        }
+        const periodRets = periodReturns(series);
 
         /* ---------- totals & CAGR -------------------------------------- */
         const finalEquity  = series.at(-1);
         const totalReturn  = finalEquity / this.startCashBalance - 1;
-        const years        = (this.endDate - this.startDate) / (365 * 24 * 3600 * 1e3);
-        const CAGR         = Math.pow(1 + totalReturn, 1 / years) - 1;
+        const CAGR         = cagr(totalReturn, this.endDate - this.startDate);
 
         /* ---------- Sharpe (annualised) -------------------------------- */
-        const periodsPerYr = sharpePeriods[this.strategy.mainInterval.name] ?? 252;
-        const meanRet      = periodRets.reduce((s, r) => s + r, 0) / periodRets.length;
-        const stdRet       = Math.sqrt(
-            periodRets.reduce((s, r) => s + (r - meanRet) ** 2, 0) / periodRets.length
-        );
-        const sharpe       = stdRet ? (meanRet / stdRet) * Math.sqrt(periodsPerYr) : 0;
+        const periodsPerYr = this.periodsPerYear();
+        const sharpe       = sharpeRatio(periodRets, periodsPerYr);
 
         /* ---------- geometric means ------------------------------------ */
-        const geoPeriodRet = Math.exp(
-            periodRets.reduce((s, r) => s + Math.log(1 + r), 0) / periodRets.length
-        ) - 1;
+        const geoPeriodRet = geometricMean(periodRets);
         const geoAnnualRet = Math.pow(1 + geoPeriodRet, periodsPerYr) - 1;
 
         /* ---------- max draw-down -------------------------------------- */
-        let peak = series[0], maxDD = 0;
-        for (const eq of series) {
-            if (eq > peak) peak = eq;
-            const dd = (eq - peak) / peak;
-            if (dd < maxDD) maxDD = dd;
-        }
+        const maxDD = maxDrawdown(series);
 
         const avgDaily = periodRets.reduce((s, r) => s + r, 0) / periodRets.length;
 
+        /* ---------- risk ----------------------------------------------- */
+        const sortino = sortinoRatio(periodRets, periodsPerYr);
+        const calmar = maxDD < 0 ? CAGR / -maxDD : 0;
+        const { maxDrawdownDuration, recoveryTime } = drawdownDurations(sortedEquity.map(e => e[0]), series);
+
+        /* ---------- exposure & turnover -------------------------------- */
+        const gross = sortedEquity.map(e => e[3] ?? 0);
+        const exposure = gross.filter(g => g > 0).length / gross.length;
+        const avgExposure = sortedEquity.reduce((s, e) => s + (e[1] > 0 ? (e[3] ?? 0) / e[1] : 0), 0) / sortedEquity.length;
+        const traded = this.swaps.reduce((s, sw) => s + sw.quantity * sw.price, 0);
+        const avgEquity = series.reduce((s, eq) => s + eq, 0) / series.length;
+        const years = (this.endDate - this.startDate) / (365 * 24 * 3600 * 1e3);
+        const turnover = avgEquity > 0 ? traded / 2 / avgEquity / years : 0;
+
+        /* ---------- benchmark ------------------------------------------ */
+        let benchmark = {};
+        const benchValues = this.benchmarkValues(sortedEquity);
+        if (benchValues) {
+            // bars where both the benchmark and the equity have a return
+            const rets = [], benchRets = [];
+            for (let i = 1; i < series.length; i++) {
+                if (benchValues[i - 1] == null) continue;
+                rets.push(periodRets[i - 1]);
+                benchRets.push(benchValues[i] / benchValues[i - 1] - 1);
+            }
+            if (benchRets.length >= 2) {
+                const first = benchValues.find(v => v != null);
+                const benchSeries = benchValues.filter(v => v != null);
+                const benchmarkReturn = benchValues.at(-1) / first - 1;
+                benchmark = {
+                    benchmarkReturn,
+                    benchmarkCAGR: cagr(benchmarkReturn, this.endDate - this.startDate),
+                    benchmarkSharpe: sharpeRatio(benchRets, periodsPerYr),
+                    benchmarkMaxDrawdown: maxDrawdown(benchSeries),
+                    ...relativeStats(rets, benchRets, periodsPerYr),
+                };
+            }
+        }
+
+        /* ---------- attribution ---------------------------------------- */
+        const attribution = this.attribution();
+        const realizedPnl = attribution.symbols.reduce((s, r) => s + r.realized, 0);
+        const unrealizedPnl = attribution.symbols.reduce((s, r) => s + r.unrealized, 0);
+
         /* --------- feature correlations ---------------------------- */
         const tradesWithFeatures = this.trades.filter(t =>
             t.features != null && Array.isArray(t.features) && t.features.length > 0 &&
@@ -556,6 +2006,8 @@ export default class Backtest {
             period        : [this.startDate, this.endDate],
             trades        : this.trades.length,
             totalFees     : this.totalFees,
+            borrowFees    : this.totalBorrowFees,
+            dividends     : this.totalDividends,
             totalReturn,
             avgDaily,
             CAGR,
@@ -563,7 +2015,20 @@ export default class Backtest {
             maxDrawdown   : maxDD,
             geoPeriodRet,
             geoAnnualRet,
+            sortino,
+            calmar,
+            ulcerIndex    : ulcerIndex(series),
+            maxDrawdownDuration,
+            recoveryTime,
+            exposure,
+            avgExposure,
+            turnover,
+            ...tradeStats(this.trades),
+            realizedPnl,
+            unrealizedPnl,
+            attribution,
             featureCorrelations,
+            ...benchmark,
         };
     }
 
@@ -572,14 +2037,37 @@ export default class Backtest {
             console.log('\n');
             console.log(chalk.bold('=== STOCKS STILL IN PORTFOLIO ==='));
             for(const stockName in this.stockBalances) {
-                console.log(`${this.stockBalances[stockName].toLocaleString('en-US').padEnd(8)} ${chalk.bold(stockName.padEnd(7))} ($${(this.stockPrices[stockName] * this.stockBalances[stockName]).toLocaleString('en-US')})`.padEnd(40) + (this.holdSince[stockName] ? ` (held since ${formatDate(this.holdSince[stockName])})` : ''));
+                console.log(`${formatQuantity(this.stockBalances[stockName]).padEnd(8)} ${chalk.bold(stockName.padEnd(7))} ($${(this.stockPrices[stockName] * this.stockBalances[stockName]).toLocaleString('en-US')})`.padEnd(40) + (this.holdSince[stockName] ? ` (held since ${formatDate(new Date(this.holdSince[stockName]))})` : ''));
             }
         }
 
+        if (m.attribution?.symbols.length > 0) {
+            const usd = v => chalk[v >= 0 ? 'greenBright' : 'redBright'](`${v >= 0 ? '+$' : '-$'}${Math.abs(Math.round(v)).toLocaleString('en-US')}`.padEnd(12));
+            const row = (name, r) => console.log(
+                chalk.bold(name.padEnd(16)) + usd(r.pnl) +
+                chalk.gray(`${(r.contribution * 100).toFixed(2)}%`.padEnd(9) + `realised ${Math.round(r.realized).toLocaleString('en-US')}, unrealised ${Math.round(r.unrealized).toLocaleString('en-US')}, ${r.trades} trades`)
+            );
+            const { symbols, sectors } = m.attribution;
+            console.log('\n' + chalk.bold('=== ATTRIBUTION ==='));
+            if (sectors.length > 1 || sectors[0].sector !== 'Unknown') {
+                for (const sector of sectors) row(sector.sector, sector);
+                console.log();
+            }
+            // best and worst 5
+            const shown = symbols.length > 10 ? [...symbols.slice(0, 5), null, ...symbols.slice(-5)] : symbols;
+            for (const r of shown) r ? row(r.stockName, r) : console.log(chalk.gray(`... ${symbols.length - 10} more`));
+        }
+
         console.log('\n' + chalk.bold('=== BACKTEST SUMMARY ==='));
         console.log(`Period            : ${this.startDate.toISOString().slice(0,10)} → ${this.endDate.toISOString().slice(0,10)}`);
         console.log(`Trades            : ${this.trades.length}  (win-rate ${(this.trades.filter(t => t.profit > 0).length / this.trades.length * 100).toFixed(2)}%) / ${this.swaps.length} swaps`);
         console.log(`Fees              : $${Math.round(this.totalFees).toLocaleString('en-US')}`);
+        if (this.shorting) {
+            console.log(`Borrow fees       : $${Math.round(this.totalBorrowFees).toLocaleString('en-US')}`);
+        }
+        if (!this.adjusted) {
+            console.log(`Dividends         : $${Math.round(this.totalDividends).toLocaleString('en-US')}`);
+        }
         console.log(`Total USD return  : ${m.totalReturn > 0 ? chalk.greenBright('+$' + (Math.round(m.totalReturn * this.startCashBalance)).toLocaleString('en-US')) : chalk.redBright('-$' + Math.abs(Math.round(m.totalReturn * this.startCashBalance)).toLocaleString('en-US'))} ($${this.startCashBalance.toLocaleString('en-US')} → $${Math.round(this.totalValue()).toLocaleString('en-US')})`);
         console.log(`Total % return    : ${m.totalReturn > 0 ? chalk.greenBright('+' + (m.totalReturn * 100).toFixed(2) + '%') : chalk.redBright('' + (m.totalReturn * 100).toFixed(2) + '%')}`);
         console.log(`Avg daily return  : ${m.avgDaily > 0 ? chalk.greenBright('+' + (m.avgDaily * 100).toFixed(2) + '%') : chalk.redBright('' + (m.avgDaily * 100).toFixed(2) + '%')}`);
@@ -591,6 +2079,26 @@ export default class Backtest {
         console.log(`Max draw-down     : ${chalk[maxDrawdownColor]((m.maxDrawdown * 100).toFixed(1) + '%')}`);
         const sharpeColor = m.sharpe > 3 ? 'cyanBright' : m.sharpe > 2 ? 'greenBright' : m.sharpe > 1 ? 'yellowBright' : 'redBright';
         console.log(`Sharpe            : ${chalk[sharpeColor](m.sharpe.toFixed(2))}`);
+        console.log(`Sortino / Calmar  : ${m.sortino.toFixed(2)} / ${m.calmar.toFixed(2)}`);
+        console.log(`Ulcer index       : ${(m.ulcerIndex * 100).toFixed(2)}%`);
+        console.log(`Draw-down length  : ${ms(m.maxDrawdownDuration)} longest, ${m.recoveryTime == null ? chalk.redBright('max draw-down not recovered') : `max draw-down recovered in ${ms(m.recoveryTime)}`}`);
+        console.log(`Exposure          : ${(m.exposure * 100).toFixed(1)}% of bars (avg ${(m.avgExposure * 100).toFixed(1)}% of equity), turnover ${m.turnover.toFixed(2)}×/year`);
+        if (this.trades.length > 0) {
+            console.log(`Profit factor     : ${chalk[m.profitFactor > 1 ? 'greenBright' : 'redBright'](m.profitFactor.toFixed(2))}  (payoff ${m.payoffRatio == null ? 'n/a' : m.payoffRatio.toFixed(2)})`);
+            console.log(`Expectancy        : ${m.expectancy >= 0 ? chalk.greenBright('+$' + m.expectancy.toFixed(2)) : chalk.redBright('-$' + Math.abs(m.expectancy).toFixed(2))} per trade, avg hold ${ms(Math.round(m.avgHoldTime))}`);
+            console.log(`Streaks           : ${m.maxWinStreak} wins / ${m.maxLossStreak} losses`);
+            console.log(`Avg MAE / MFE     : ${chalk.redBright((m.avgMAE * 100).toFixed(2) + '%')} / ${chalk.greenBright('+' + (m.avgMFE * 100).toFixed(2) + '%')}`);
+        }
+        console.log(`Realised P&L      : ${m.realizedPnl >= 0 ? chalk.greenBright('+$' + Math.round(m.realizedPnl).toLocaleString('en-US')) : chalk.redBright('-$' + Math.abs(Math.round(m.realizedPnl)).toLocaleString('en-US'))}` +
+            chalk.gray(`  (unrealised ${m.unrealizedPnl >= 0 ? '+' : '-'}$${Math.abs(Math.round(m.unrealizedPnl)).toLocaleString('en-US')})`));
+        if (m.beta !== undefined) {
+            const ratio = v => v == null ? 'n/a' : v.toFixed(2);
+            console.log(`${this.benchmarkName.padEnd(18)}: ${m.benchmarkReturn > 0 ? chalk.greenBright('+' + (m.benchmarkReturn * 100).toFixed(2) + '%') : chalk.redBright((m.benchmarkReturn * 100).toFixed(2) + '%')}` +
+                chalk.gray(`  (CAGR ${(m.benchmarkCAGR * 100).toFixed(1)}%, sharpe ${m.benchmarkSharpe.toFixed(2)}, max DD ${(m.benchmarkMaxDrawdown * 100).toFixed(1)}%)`));
+            console.log(`Alpha / Beta      : ${chalk[m.alpha > 0 ? 'greenBright' : 'redBright']((m.alpha >= 0 ? '+' : '') + (m.alpha * 100).toFixed(2) + '%')} / ${m.beta.toFixed(2)}  (correlation ${ratio(m.correlation)})`);
+            console.log(`Information ratio : ${chalk[m.informationRatio > 0 ? 'greenBright' : 'redBright'](m.informationRatio.toFixed(2))}  (tracking error ${(m.trackingError * 100).toFixed(1)}%)`);
+            console.log(`Up / down capture : ${ratio(m.upCapture)} / ${ratio(m.downCapture)}`);
+        }
         if (m.featureCorrelations && m.featureCorrelations.length > 0) {
             const parts = m.featureCorrelations.map((r, i) => {
                 const v = r == null ? 'n/a' : r.toFixed(3);
@@ -626,7 +2134,13 @@ export default class Backtest {
         console.log(chalk.bold(`\nRank              : ${chalk[rankColor](rank)}`));
     }
 
-    buildReport(m) {
+    /**
+     * Builds a HTML report with charts and tables.
+     * @param {Object} m - Metrics from `getMetrics`
+     * @param {{ id: string, title: string, html: string, js?: string }[]} [sections] - Extra sections added after the charts, listed under "Analysis"
+     * @returns {string} The HTML document
+     */
+    buildReport(m, sections = []) {
         const mean = arr => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
 
         let rank = 'F', rankColor = '#ff4444', rankGlow = '#ff444480';
@@ -663,6 +2177,10 @@ export default class Backtest {
         const equityLabels = sortedEquity.map(([ts]) => new Date(ts).toISOString().slice(0, 10));
         const equityValues = sortedEquity.map(([, eq]) => +eq.toFixed(2));
         const cashValues = sortedEquity.map(e => +(e[2] ?? 0).toFixed(2));
+        // benchmark rebased to the starting cash
+        const benchValues = this.benchmarkValues(sortedEquity);
+        const benchBase = benchValues?.find(v => v != null);
+        const benchmarkValues = benchValues?.map(v => v == null ? null : +(v / benchBase * this.startCashBalance).toFixed(2));
 
         /* ---- avg profit per day ---- */
         const dayMap = {};
@@ -705,8 +2223,8 @@ export default class Backtest {
               holdingNames.map(s => {
                   const qty = this.stockBalances[s];
                   const val = Math.round(this.stockPrices[s] * qty);
-                  const since = this.holdSince[s] ? formatDate(this.holdSince[s]) : '-';
-                  return `<tr><td style="text-align:left">${s}</td><td>${qty.toLocaleString('en-US')}</td><td>$${val.toLocaleString('en-US')}</td><td>${since}</td></tr>`;
+                  const since = this.holdSince[s] ? formatDate(new Date(this.holdSince[s])) : '-';
+                  return `<tr><td style="text-align:left">${s}</td><td>${formatQuantity(qty)}</td><td>$${val.toLocaleString('en-US')}</td><td>${since}</td></tr>`;
               }).join('') +
               '</tbody></table></details>'
             : '';
@@ -739,7 +2257,7 @@ export default class Backtest {
               this.swaps.map(s => {
                   const side = s.type === 'buy' ? 'BUY' : 'SELL';
                   const sideColor = s.type === 'buy' ? '#44ff44' : '#ff4444';
-                  return `<tr><td class="mono">${fmtD(s.timestamp)}</td><td class="bold">${s.stockName}</td><td style="color:${sideColor};font-weight:700">${side}</td><td>${s.quantity.toLocaleString('en-US')}</td><td>$${s.price.toLocaleString('en-US')}</td><td>${fmtUSD(s.quantity * s.price)}</td><td>${fmtUSD(s.fee)}</td></tr>`;
+                  return `<tr><td class="mono">${fmtD(s.timestamp)}</td><td class="bold">${s.stockName}</td><td style="color:${sideColor};font-weight:700">${side}</td><td>${formatQuantity(s.quantity)}</td><td>$${s.price.toLocaleString('en-US')}</td><td>${fmtUSD(s.quantity * s.price)}</td><td>${fmtUSD(s.fee)}</td></tr>`;
               }).join('') +
               '</tbody></table></details>'
             : '';
@@ -747,7 +2265,7 @@ export default class Backtest {
         /* ---- trades table ---- */
         const tradesHtml = this.trades.length > 0
             ? `<details id="sec-trades" style="margin-top:2rem"><summary style="cursor:pointer;font-size:1.1rem;font-weight:600">Trades (${this.trades.length})</summary>` +
-              `<table class="log-table"><thead><tr><th>Date</th><th>Stock</th><th>Profit $</th><th>Profit %</th><th>Qty</th><th>Price</th><th>Fee</th>` +
+              `<table class="log-table"><thead><tr><th>Date</th><th>Stock</th><th>Profit $</th><th>Profit %</th><th>Qty</th><th>Entry</th><th>Price</th><th>Fee</th><th>Held</th><th>MAE</th><th>MFE</th>` +
               (this.featuresDef.length > 0 ? '<th>Features</th>' : '') +
               `</tr></thead><tbody>` +
               this.trades.map(t => {
@@ -761,11 +2279,24 @@ export default class Backtest {
                             return `${name}:${v}`;
                         }).join(' ') : '-') + '</td>'
                       : '';
-                  return `<tr><td class="mono">${fmtD(t.timestamp)}</td><td class="bold">${t.stockName}</td><td style="color:${pColor};font-weight:700">${pSign}$${Math.abs(+t.profit.toFixed(2)).toLocaleString('en-US')}</td><td style="color:${pColor}">${(t.profitPercent * 100).toFixed(1)}%</td><td>${t.quantity.toLocaleString('en-US')}</td><td>$${t.price.toLocaleString('en-US')}</td><td>${fmtUSD(t.fee)}</td>${featCells}</tr>`;
+                  return `<tr><td class="mono">${fmtD(t.timestamp)}</td><td class="bold">${t.stockName}</td><td style="color:${pColor};font-weight:700">${pSign}$${Math.abs(+t.profit.toFixed(2)).toLocaleString('en-US')}</td><td style="color:${pColor}">${(t.profitPercent * 100).toFixed(1)}%</td><td>${formatQuantity(t.quantity)}</td><td>${t.entryPrice != null ? '$' + (+t.entryPrice.toFixed(4)).toLocaleString('en-US') : '-'}</td><td>$${t.price.toLocaleString('en-US')}</td><td>${fmtUSD(t.fee)}</td><td>${t.entryTimestamp != null ? ms(t.timestamp - t.entryTimestamp) : '-'}</td><td style="color:#ff4444">${t.mae != null ? (t.mae * 100).toFixed(1) + '%' : '-'}</td><td style="color:#44ff44">${t.mfe != null ? (t.mfe * 100).toFixed(1) + '%' : '-'}</td>${featCells}</tr>`;
               }).join('') +
               '</tbody></table></details>'
             : '';
 
+        /* ---- attribution tables ---- */
+        const attributionRows = (rows, name) => rows.map(r => {
+            const color = r.pnl >= 0 ? '#44ff44' : '#ff4444';
+            return `<tr><td class="bold">${name(r)}</td><td style="color:${color};font-weight:700">${r.pnl >= 0 ? '+' : '-'}${fmtUSD(Math.abs(r.pnl))}</td><td style="color:${color}">${(r.contribution * 100).toFixed(2)}%</td><td>${fmtUSD(r.realized)}</td><td>${fmtUSD(r.unrealized)}</td><td>${r.trades}</td></tr>`;
+        }).join('');
+        const attributionHead = first => `<table class="log-table"><thead><tr><th>${first}</th><th>P&amp;L</th><th>Contribution</th><th>Realised</th><th>Unrealised</th><th>Trades</th></tr></thead><tbody>`;
+        const attributionHtml = m.attribution?.symbols.length > 0
+            ? `<details id="sec-attribution" style="margin-top:2rem"><summary style="cursor:pointer;font-size:1.1rem;font-weight:600">Attribution (${m.attribution.symbols.length} stocks, ${m.attribution.sectors.length} sectors)</summary>` +
+              attributionHead('Sector') + attributionRows(m.attribution.sectors, r => `${r.sector} <span class="mono">(${r.symbols})</span>`) + '</tbody></table>' +
+              attributionHead('Stock') + attributionRows(m.attribution.symbols, r => `${r.stockName} <span class="mono">${r.sector}</span>`) + '</tbody></table>' +
+              '</details>'
+            : '';
+
         /* ---- nav with sections ---- */
         const navSections = [
             { title: 'Overview', links: [{ href: '#sec-summary', label: 'Summary' }] },
@@ -780,10 +2311,15 @@ export default class Backtest {
                 title: 'Features',
                 links: featureCharts.map((fc, idx) => ({ href: `#sec-feat-${idx}`, label: fc.name })),
             },
+            {
+                title: 'Analysis',
+                links: sections.map(sec => ({ href: `#${sec.id}`, label: sec.title })),
+            },
             {
                 title: 'Data',
                 links: [
                     ...(holdingNames.length > 0 ? [{ href: '#sec-holdings', label: 'Holdings' }] : []),
+                    ...(attributionHtml ? [{ href: '#sec-attribution', label: 'Attribution' }] : []),
                     ...(this.trades.length > 0 ? [{ href: '#sec-trades', label: 'Trades' }] : []),
                     ...(this.swaps.length > 0 ? [{ href: '#sec-swaps', label: 'Swaps' }] : []),
                 ],
@@ -842,6 +2378,8 @@ ${navHtml}
 <tr><td>Period</td><td>${this.startDate.toISOString().slice(0, 10)} → ${this.endDate.toISOString().slice(0, 10)}</td></tr>
 <tr><td>Trades</td><td>${this.trades.length} (win-rate ${winRate}%) / ${this.swaps.length} swaps</td></tr>
 <tr><td>Fees</td><td>$${Math.round(this.totalFees).toLocaleString('en-US')}</td></tr>
+${this.shorting ? `<tr><td>Borrow fees</td><td>$${Math.round(this.totalBorrowFees).toLocaleString('en-US')}</td></tr>` : ''}
+${!this.adjusted ? `<tr><td>Dividends</td><td>$${Math.round(this.totalDividends).toLocaleString('en-US')}</td></tr>` : ''}
 <tr><td>Total USD return</td><td style="color:${retColor(m.totalReturn)}">${m.totalReturn >= 0 ? '+' : '-'}$${Math.abs(Math.round(m.totalReturn * this.startCashBalance)).toLocaleString('en-US')} ($${this.startCashBalance.toLocaleString('en-US')} → $${finalEquity.toLocaleString('en-US')})</td></tr>
 <tr><td>Total % return</td><td style="color:${retColor(m.totalReturn)}">${m.totalReturn >= 0 ? '+' : ''}${(m.totalReturn * 100).toFixed(2)}%</td></tr>
 <tr><td>Avg daily return</td><td style="color:${retColor(m.avgDaily)}">${m.avgDaily >= 0 ? '+' : ''}${(m.avgDaily * 100).toFixed(4)}%</td></tr>
@@ -850,6 +2388,23 @@ ${navHtml}
 <tr><td>Geo-mean annual</td><td style="color:${retColor(m.geoAnnualRet)}">${m.geoAnnualRet >= 0 ? '+' : ''}${(m.geoAnnualRet * 100).toFixed(2)}%</td></tr>
 <tr><td>Max drawdown</td><td style="color:${maxDDColor}">${(m.maxDrawdown * 100).toFixed(1)}%</td></tr>
 <tr><td>Sharpe</td><td style="color:${sharpeColor}">${m.sharpe.toFixed(2)}</td></tr>
+<tr><td>Sortino / Calmar</td><td>${m.sortino.toFixed(2)} / ${m.calmar.toFixed(2)}</td></tr>
+<tr><td>Ulcer index</td><td>${(m.ulcerIndex * 100).toFixed(2)}%</td></tr>
+<tr><td>Longest drawdown</td><td>${ms(m.maxDrawdownDuration, { long: true })}</td></tr>
+<tr><td>Max drawdown recovery</td><td>${m.recoveryTime == null ? '<span style="color:#ff4444">not recovered</span>' : ms(m.recoveryTime, { long: true })}</td></tr>
+<tr><td>Exposure</td><td>${(m.exposure * 100).toFixed(1)}% of bars (avg ${(m.avgExposure * 100).toFixed(1)}% of equity)</td></tr>
+<tr><td>Turnover</td><td>${m.turnover.toFixed(2)}× per year</td></tr>
+<tr><td>Realised / unrealised P&amp;L</td><td><span style="color:${retColor(m.realizedPnl)}">${m.realizedPnl >= 0 ? '+' : '-'}$${Math.abs(Math.round(m.realizedPnl)).toLocaleString('en-US')}</span> / <span style="color:${retColor(m.unrealizedPnl)}">${m.unrealizedPnl >= 0 ? '+' : '-'}$${Math.abs(Math.round(m.unrealizedPnl)).toLocaleString('en-US')}</span></td></tr>
+${this.trades.length > 0 ? `<tr><td>Profit factor</td><td style="color:${m.profitFactor > 1 ? '#44ff44' : '#ff4444'}">${m.profitFactor.toFixed(2)}</td></tr>
+<tr><td>Expectancy</td><td style="color:${retColor(m.expectancy)}">${m.expectancy >= 0 ? '+' : '-'}$${Math.abs(m.expectancy).toFixed(2)} per trade</td></tr>
+<tr><td>Payoff ratio</td><td>${m.payoffRatio == null ? 'n/a' : m.payoffRatio.toFixed(2)}</td></tr>
+<tr><td>Win / loss streaks</td><td>${m.maxWinStreak} / ${m.maxLossStreak}</td></tr>
+<tr><td>Avg hold time</td><td>${ms(Math.round(m.avgHoldTime), { long: true })}</td></tr>
+<tr><td>Avg MAE / MFE</td><td><span style="color:#ff4444">${(m.avgMAE * 100).toFixed(2)}%</span> / <span style="color:#44ff44">+${(m.avgMFE * 100).toFixed(2)}%</span></td></tr>` : ''}
+${m.beta !== undefined ? `<tr><td>${this.benchmarkName} return</td><td style="color:${retColor(m.benchmarkReturn)}">${m.benchmarkReturn >= 0 ? '+' : ''}${(m.benchmarkReturn * 100).toFixed(2)}% (CAGR ${(m.benchmarkCAGR * 100).toFixed(1)}%, sharpe ${m.benchmarkSharpe.toFixed(2)}, max drawdown ${(m.benchmarkMaxDrawdown * 100).toFixed(1)}%)</td></tr>
+<tr><td>Alpha / Beta</td><td><span style="color:${retColor(m.alpha)}">${m.alpha >= 0 ? '+' : ''}${(m.alpha * 100).toFixed(2)}%</span> / ${m.beta.toFixed(2)} (correlation ${m.correlation?.toFixed(2) ?? 'n/a'})</td></tr>
+<tr><td>Information ratio</td><td style="color:${retColor(m.informationRatio)}">${m.informationRatio.toFixed(2)} (tracking error ${(m.trackingError * 100).toFixed(1)}%)</td></tr>
+<tr><td>Up / down capture</td><td>${m.upCapture?.toFixed(2) ?? 'n/a'} / ${m.downCapture?.toFixed(2) ?? 'n/a'}</td></tr>` : ''}
 </table>
 <div class="rank-container">
 <span class="rank-label" style="font-size: 28px;margin-right: 300px;">Rank:</span>
@@ -858,7 +2413,7 @@ ${navHtml}
 ${this.totalFees === 0 && (rank === 'B' || rank === 'A' || rank === 'S') ? '<div style="opacity: 0.5; font-style: italic; font-size: 12px;">Good job, now do it with fees on.</div>' : ''}
 </section>
 <section id="sec-equity">
-<h2>Equity &amp; Cash Over Time</h2>
+<h2>Equity &amp; Cash Over Time${this.benchmarkSeries ? ` vs ${this.benchmarkName}` : ''}</h2>
 <div class="cw"><canvas id="eqChart"></canvas></div>
 </section>
 <section id="sec-daily">
@@ -866,14 +2421,17 @@ ${this.totalFees === 0 && (rank === 'B' || rank === 'A' || rank === 'S') ? '<div
 <div class="cw"><canvas id="dpChart"></canvas></div>
 </section>
 ${featureSectionsHtml}
+${sections.map(sec => `<section id="${sec.id}">\n<h2>${sec.title}</h2>\n${sec.html}\n</section>`).join('\n')}
 ${holdingsHtml}
+${attributionHtml}
 ${tradesHtml}
 ${swapsHtml}
 </div>
 <script>
-new Chart(document.getElementById('eqChart'),{type:'line',data:{labels:${JSON.stringify(equityLabels)},datasets:[{label:'Equity ($)',data:${JSON.stringify(equityValues)},borderColor:'#44ff44',backgroundColor:'rgba(68,255,68,0.08)',borderWidth:1.5,pointRadius:0,fill:true},{hidden: true,label:'Cash ($)',data:${JSON.stringify(cashValues)},borderColor:'#ff9f1a',backgroundColor:'rgba(255,159,26,0.06)',borderWidth:1.5,pointRadius:0,fill:true}]},options:{interaction:{mode:'index',intersect:false},responsive:true,maintainAspectRatio:false,scales:{y:{title:{display:true,text:'$'},grid:{color:'#2a2a2e'}},x:{grid:{color:'#2a2a2e'},ticks:{maxRotation:45,maxTicksLimit:20}}},plugins:{tooltip:{mode:'index',intersect:false},legend:{position:'top'}}}});
+new Chart(document.getElementById('eqChart'),{type:'line',data:{labels:${JSON.stringify(equityLabels)},datasets:[{label:'Equity ($)',data:${JSON.stringify(equityValues)},borderColor:'#44ff44',backgroundColor:'rgba(68,255,68,0.08)',borderWidth:1.5,pointRadius:0,fill:true},{hidden: true,label:'Cash ($)',data:${JSON.stringify(cashValues)},borderColor:'#ff9f1a',backgroundColor:'rgba(255,159,26,0.06)',borderWidth:1.5,pointRadius:0,fill:true}${benchmarkValues ? `,{label:${JSON.stringify(this.benchmarkName + ' ($)')},data:${JSON.stringify(benchmarkValues)},borderColor:'#6fa8ff',borderWidth:1.5,pointRadius:0,fill:false}` : ''}]},options:{interaction:{mode:'index',intersect:false},responsive:true,maintainAspectRatio:false,scales:{y:{title:{display:true,text:'$'},grid:{color:'#2a2a2e'}},x:{grid:{color:'#2a2a2e'},ticks:{maxRotation:45,maxTicksLimit:20}}},plugins:{tooltip:{mode:'index',intersect:false},legend:{position:'top'}}}});
 new Chart(document.getElementById('dpChart'),{type:'bar',data:{labels:${JSON.stringify(dailyDays)},datasets:[{label:'Avg profit %',data:${JSON.stringify(dailyAvgs)},backgroundColor:${JSON.stringify(dailyColors)},borderWidth:0}]},options:{interaction:{mode:'index',intersect:false},responsive:true,maintainAspectRatio:false,scales:{y:{title:{display:true,text:'%'},grid:{color:'#2a2a2e'}},x:{grid:{color:'#2a2a2e'},ticks:{maxTicksLimit:20,maxRotation:45}}},plugins:{tooltip:{mode:'index',intersect:false},legend:{position:'top'}}}});
 ${featureSectionsJs}
+${sections.map(sec => sec.js ?? '').join('\n')}
 </script>
 </body>
 </html>`;
@@ -0,0 +1,403 @@
+import { marketDay } from '../utils.js';
+
+const sources = {
+    open: c => c.open,
+    high: c => c.high,
+    low: c => c.low,
+    close: c => c.close,
+    volume: c => c.volume,
+    hl2: c => (c.high + c.low) / 2,
+    hlc3: c => (c.high + c.low + c.close) / 3,
+    ohlc4: c => (c.open + c.high + c.low + c.close) / 4,
+};
+
+function sourceOf(source) {
+    if (typeof source === 'function') return source;
+    if (!sources[source]) {
+        throw new TypeError(`source must be a function of the candle or one of ${Object.keys(sources).join(', ')}`);
+    }
+    return sources[source];
+}
+
+function checkPeriod(name, period) {
+    if (!Number.isInteger(period) || period < 1) {
+        throw new TypeError(`${name} must be an integer >= 1`);
+    }
+}
+
+/**
+ * An indicator declared in a Strategy's `indicators`. `create()` makes the state for one
+ * stock: a function taking each bar in order and returning the indicator's value, null
+ * until `warmup` bars have been seen.
+ */
+export class Indicator {
+    /**
+     * @param {string} name
+     * @param {number} warmup        - Bars needed before the first value
+     * @param {() => (candle: Candle) => any} create
+     */
+    constructor(name, warmup, create) {
+        this.name = name;
+        this.warmup = warmup;
+        this.create = create;
+    }
+}
+
+/**
+ * The last `size` numbers with their running mean and sum of squared deviations from it,
+ * updated with Welford's method (a running sum of squares cancels out on large values).
+ * Both are recomputed from the numbers every `size` pushes, so rounding errors don't add up.
+ */
+class Window {
+    constructor(size) {
+        this.size = size;
+        this.values = new Float64Array(size);
+        this.count = 0;
+        this.pos = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    push(x) {
+        if (this.count === this.size) {
+            const old = this.values[this.pos];
+            const mean = this.mean + (x - old) / this.size;
+            this.m2 += (x - old) * (x - mean + old - this.mean);
+            this.mean = mean;
+        } else {
+            this.count++;
+            const delta = x - this.mean;
+            this.mean += delta / this.count;
+            this.m2 += delta * (x - this.mean);
+        }
+        this.values[this.pos] = x;
+        this.pos = (this.pos + 1) % this.size;
+        if (this.pos === 0) this.recompute();
+    }
+
+    recompute() {
+        let sum = 0;
+        for (let i = 0; i < this.count; i++) sum += this.values[i];
+        this.mean = sum / this.count;
+        this.m2 = 0;
+        for (let i = 0; i < this.count; i++) this.m2 += (this.values[i] - this.mean) ** 2;
+    }
+
+    get full() {
+        return this.count === this.size;
+    }
+
+    get sum() {
+        return this.mean * this.count;
+    }
+
+    /** Population standard deviation. */
+    get stdev() {
+        return Math.sqrt(Math.max(this.m2 / this.count, 0));
+    }
+}
+
+/** Exponential average seeded with the simple average of the first `period` values. */
+function emaOf(period, alpha = 2 / (period + 1)) {
+    const seed = new Window(period);
+    let value = null;
+    return x => {
+        if (value === null) {
+            seed.push(x);
+            if (seed.full) value = seed.mean;
+        } else {
+            value += alpha * (x - value);
+        }
+        return value;
+    };
+}
+
+/** Wilder's smoothing, an exponential average with alpha 1 / period. */
+function wilderOf(period) {
+    return emaOf(period, 1 / period);
+}
+
+/** True range, the high - low of the first bar. */
+function trueRangeOf() {
+    let prevClose = null;
+    return c => {
+        const tr = prevClose === null ? c.high - c.low
+            : Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+        prevClose = c.close;
+        return tr;
+    };
+}
+
+/**
+ * Simple moving average.
+ * @param {number} period
+ * @param {string|Function} [source='close'] - Candle field, 'hl2', 'hlc3', 'ohlc4' or `(candle) => number`
+ */
+export function sma(period, source = 'close') {
+    checkPeriod('sma period', period);
+    const get = sourceOf(source);
+    return new Indicator('sma', period, () => {
+        const window = new Window(period);
+        return c => {
+            window.push(get(c));
+            return window.full ? window.mean : null;
+        };
+    });
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` bars.
+ * @param {number} period
+ * @param {string|Function} [source='close']
+ */
+export function ema(period, source = 'close') {
+    checkPeriod('ema period', period);
+    const get = sourceOf(source);
+    return new Indicator('ema', period, () => {
+        const average = emaOf(period);
+        return c => average(get(c));
+    });
+}
+
+/**
+ * Rolling (population) standard deviation.
+ * @param {number} period
+ * @param {string|Function} [source='close']
+ */
+export function stdev(period, source = 'close') {
+    checkPeriod('stdev period', period);
+    const get = sourceOf(source);
+    return new Indicator('stdev', period, () => {
+        const window = new Window(period);
+        return c => {
+            window.push(get(c));
+            return window.full ? window.stdev : null;
+        };
+    });
+}
+
+/**
+ * How many standard deviations the value is from its rolling mean (0 when they're all equal).
+ * @param {number} period
+ * @param {string|Function} [source='close']
+ */
+export function zscore(period, source = 'close') {
+    checkPeriod('zscore period', period);
+    const get = sourceOf(source);
+    return new Indicator('zscore', period, () => {
+        const window = new Window(period);
+        return c => {
+            const x = get(c);
+            window.push(x);
+            if (!window.full) return null;
+            const sd = window.stdev;
+            return sd ? (x - window.mean) / sd : 0;
+        };
+    });
+}
+
+/**
+ * Bollinger bands: the SMA and `k` standard deviations around it.
+ * @param {number} [period=20]
+ * @param {number} [k=2]
+ * @param {string|Function} [source='close']
+ * @returns {Indicator} Values `{ middle, upper, lower }`
+ */
+export function bollinger(period = 20, k = 2, source = 'close') {
+    checkPeriod('bollinger period', period);
+    const get = sourceOf(source);
+    return new Indicator('bollinger', period, () => {
+        const window = new Window(period);
+        return c => {
+            window.push(get(c));
+            if (!window.full) return null;
+            const middle = window.mean;
+            const band = k * window.stdev;
+            return { middle, upper: middle + band, lower: middle - band };
+        };
+    });
+}
+
+/**
+ * Relative strength index with Wilder's smoothing, 0 to 100.
+ * @param {number} [period=14]
+ * @param {string|Function} [source='close']
+ */
+export function rsi(period = 14, source = 'close') {
+    checkPeriod('rsi period', period);
+    const get = sourceOf(source);
+    return new Indicator('rsi', period + 1, () => {
+        const gains = wilderOf(period);
+        const losses = wilderOf(period);
+        let prev = null;
+        return c => {
+            const x = get(c);
+            if (prev === null) {
+                prev = x;
+                return null;
+            }
+            const change = x - prev;
+            prev = x;
+            const gain = gains(Math.max(change, 0));
+            const loss = losses(Math.max(-change, 0));
+            if (gain === null) return null;
+            return loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+        };
+    });
+}
+
+/**
+ * Moving average convergence divergence.
+ * @param {number} [fast=12]
+ * @param {number} [slow=26]
+ * @param {number} [signal=9]
+ * @param {string|Function} [source='close']
+ * @returns {Indicator} Values `{ macd, signal, histogram }`
+ */
+export function macd(fast = 12, slow = 26, signal = 9, source = 'close') {
+    checkPeriod('macd fast', fast);
+    checkPeriod('macd slow', slow);
+    checkPeriod('macd signal', signal);
+    const get = sourceOf(source);
+    return new Indicator('macd', Math.max(fast, slow) + signal - 1, () => {
+        const fastEma = emaOf(fast);
+        const slowEma = emaOf(slow);
+        const signalEma = emaOf(signal);
+        return c => {
+            const x = get(c);
+            const f = fastEma(x), s = slowEma(x);
+            if (f === null || s === null) return null;
+            const line = f - s;
+            const sig = signalEma(line);
+            return sig === null ? null : { macd: line, signal: sig, histogram: line - sig };
+        };
+    });
+}
+
+/**
+ * Average true range with Wilder's smoothing.
+ * @param {number} [period=14]
+ */
+export function atr(period = 14) {
+    checkPeriod('atr period', period);
+    return new Indicator('atr', period, () => {
+        const trueRange = trueRangeOf();
+        const average = wilderOf(period);
+        return c => average(trueRange(c));
+    });
+}
+
+/**
+ * Average directional index with the directional indicators, 0 to 100.
+ * @param {number} [period=14]
+ * @returns {Indicator} Values `{ adx, plusDI, minusDI }`
+ */
+export function adx(period = 14) {
+    checkPeriod('adx period', period);
+    return new Indicator('adx', period * 2, () => {
+        const trueRange = trueRangeOf();
+        const tr = wilderOf(period), plus = wilderOf(period), minus = wilderOf(period), dx = wilderOf(period);
+        let prev = null;
+        return c => {
+            const range = trueRange(c);
+            if (prev === null) {
+                prev = c;
+                return null;
+            }
+            const up = c.high - prev.high;
+            const down = prev.low - c.low;
+            prev = c;
+            const atr = tr(range);
+            const plusDM = plus(up > down && up > 0 ? up : 0);
+            const minusDM = minus(down > up && down > 0 ? down : 0);
+            if (atr === null) return null;
+            const plusDI = atr ? 100 * plusDM / atr : 0;
+            const minusDI = atr ? 100 * minusDM / atr : 0;
+            const sum = plusDI + minusDI;
+            const value = dx(sum ? 100 * Math.abs(plusDI - minusDI) / sum : 0);
+            return value === null ? null : { adx: value, plusDI, minusDI };
+        };
+    });
+}
+
+/**
+ * Volume weighted average of the typical price (high + low + close) / 3: over each
+ * trading day by default (for intraday bars), or over the last `period` bars.
+ * @param {number|null} [period=null]
+ */
+export function vwap(period = null) {
+    if (period !== null) checkPeriod('vwap period', period);
+    return new Indicator('vwap', period ?? 1, () => {
+        if (period !== null) {
+            const pv = new Window(period), volume = new Window(period), price = new Window(period);
+            return c => {
+                const typical = sources.hlc3(c);
+                pv.push(typical * c.volume);
+                volume.push(c.volume);
+                price.push(typical);
+                if (!pv.full) return null;
+                return volume.sum ? pv.sum / volume.sum : price.mean;
+            };
+        }
+        let day = null, pv = 0, volume = 0;
+        return c => {
+            const d = marketDay(c.timestamp);
+            if (d !== day) {
+                day = d;
+                pv = 0;
+                volume = 0;
+            }
+            const typical = sources.hlc3(c);
+            pv += typical * c.volume;
+            volume += c.volume;
+            return volume ? pv / volume : typical;
+        };
+    });
+}
+
+/**
+ * On-balance volume, starting at 0 on the first bar.
+ */
+export function obv() {
+    return new Indicator('obv', 1, () => {
+        let prevClose = null, value = 0;
+        return c => {
+            if (prevClose !== null) {
+                value += c.close > prevClose ? c.volume : c.close < prevClose ? -c.volume : 0;
+            }
+            prevClose = c.close;
+            return value;
+        };
+    });
+}
+
+/**
+ * The indicators of one stock, updated one bar at a time.
+ */
+export class IndicatorSet {
+    /**
+     * @param {Object<string, Indicator>} definitions - Indicators by name
+     */
+    constructor(definitions) {
+        this.states = Object.entries(definitions).map(([name, indicator]) => [name, indicator.create()]);
+        this.values = Object.fromEntries(this.states.map(([name]) => [name, null]));
+        this.lastTimestamp = -Infinity;
+    }
+
+    /**
+     * Takes the next bar. Bars at or before the last one are ignored.
+     * @param {Candle} candle
+     * @returns {Object<string, any>} The values by name
+     */
+    update(candle) {
+        const ts = +candle.timestamp;
+        if (ts <= this.lastTimestamp) return this.values;
+        this.lastTimestamp = ts;
+        const values = {};
+        for (const [name, state] of this.states) {
+            values[name] = state(candle);
+        }
+        this.values = values;
+        return values;
+    }
+}
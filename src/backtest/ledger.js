@@ -0,0 +1,140 @@
+export const lotMethods = ['fifo', 'lifo', 'average'];
+
+// quantities left over from floating point (e.g. after a 1-for-3 split) count as closed
+const epsilon = 1e-9;
+
+/**
+ * Open lots of every position. Each entry fill opens a lot (or, with average-cost matching,
+ * adds to the position's single lot) and exits take quantity out of the lots in matching order,
+ * so every closed trade is linked to the entry it closes.
+ *
+ * A lot is `{ id, stockName, side, quantity, cost, fees, timestamp, high, low, features }`:
+ * `cost` and `fees` are what's left of the entry cost and fees, `high`/`low` the price range
+ * it has been through (for MAE/MFE).
+ */
+export default class Ledger {
+    /**
+     * @param {'fifo'|'lifo'|'average'} [method='average'] - Which lots exits close first
+     * @throws {TypeError} on an unknown method
+     */
+    constructor(method = 'average') {
+        if (!lotMethods.includes(method)) {
+            throw new TypeError(`lotMatching must be one of ${lotMethods.join(', ')}`);
+        }
+        this.method = method;
+        this.lots = {};       // open lots by stock, oldest first
+        this.nextLotId = 1;
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {Object[]} Open lots of a stock, oldest first
+     */
+    lotsOf(stockName) {
+        return this.lots[stockName] ?? [];
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {number} Open quantity of a stock, long or short
+     */
+    quantity(stockName) {
+        return this.lotsOf(stockName).reduce((sum, lot) => sum + lot.quantity, 0);
+    }
+
+    /**
+     * Records an entry fill.
+     * @param {string} stockName
+     * @param {'long'|'short'} side
+     * @param {number} quantity
+     * @param {number} price
+     * @param {Date|number} timestamp
+     * @param {number} fee - Part of the order's fee paid for this entry
+     * @param {number[]} [features]
+     * @returns {Object} The lot
+     */
+    open(stockName, side, quantity, price, timestamp, fee, features) {
+        const lots = this.lots[stockName] ??= [];
+        if (this.method === 'average' && lots.length > 0) {
+            const lot = lots[0];
+            lot.quantity += quantity;
+            lot.cost += quantity * price;
+            lot.fees += fee;
+            lot.high = Math.max(lot.high, price);
+            lot.low = Math.min(lot.low, price);
+            if (features != null) lot.features = features;
+            return lot;
+        }
+        const lot = { id: this.nextLotId++, stockName, side, quantity, cost: quantity * price, fees: fee, timestamp, high: price, low: price, features: features ?? null };
+        lots.push(lot);
+        return lot;
+    }
+
+    /**
+     * Takes quantity out of the open lots of a stock in matching order.
+     * @param {string} stockName
+     * @param {number} quantity
+     * @returns {{ lot: Object, quantity: number, cost: number, fees: number }[]} The parts of lots closed,
+     *          with their share of the lot's entry cost and fees
+     */
+    close(stockName, quantity) {
+        const lots = this.lots[stockName] ?? [];
+        const parts = [];
+        while (quantity > epsilon && lots.length > 0) {
+            const lot = this.method === 'lifo' ? lots.at(-1) : lots[0];
+            const closed = Math.min(quantity, lot.quantity);
+            const share = closed / lot.quantity;
+            const part = { lot, quantity: closed, cost: lot.cost * share, fees: lot.fees * share };
+            lot.quantity -= closed;
+            lot.cost -= part.cost;
+            lot.fees -= part.fees;
+            if (lot.quantity < epsilon) {
+                lots.splice(lots.indexOf(lot), 1);
+            }
+            quantity -= closed;
+            parts.push(part);
+        }
+        if (lots.length === 0) {
+            delete this.lots[stockName];
+        }
+        return parts;
+    }
+
+    /**
+     * Widens the price range of a stock's lots with a bar they were held over.
+     * @param {string} stockName
+     * @param {Object} candle
+     */
+    track(stockName, candle) {
+        for (const lot of this.lotsOf(stockName)) {
+            lot.high = Math.max(lot.high, candle.high);
+            lot.low = Math.min(lot.low, candle.low);
+        }
+    }
+
+    /**
+     * Applies a split to the open lots: more shares, same cost.
+     * @param {string} stockName
+     * @param {number} ratio - New shares per old share
+     */
+    split(stockName, ratio) {
+        for (const lot of this.lotsOf(stockName)) {
+            lot.quantity *= ratio;
+            lot.high /= ratio;
+            lot.low /= ratio;
+        }
+    }
+
+    /**
+     * Profit of the open lots of a stock if they were closed at `price`, after their entry fees.
+     * @param {string} stockName
+     * @param {number} price
+     * @returns {number}
+     */
+    unrealized(stockName, price) {
+        return this.lotsOf(stockName).reduce((sum, lot) => {
+            const gross = lot.side === 'long' ? lot.quantity * price - lot.cost : lot.cost - lot.quantity * price;
+            return sum + gross - lot.fees;
+        }, 0);
+    }
+}
@@ -1,7 +1,8 @@
 import Stock from './stock.js';
-import { sql } from '../db.js';
+import { sql, createTables } from '../db.js';
 import { allowedIntervals, intervalMsMap } from './consts.js';
 import Candle from './candle.js';
+import { nyseCalendar } from './calendar.js';
 import http from 'http';
 import parse from 'csv-simple-parser';
 
@@ -20,6 +21,8 @@ async function* fastFetch(
     query,
     { host = 'localhost', port = 9000, headers = {} } = {}
 ) {
+    await createTables();
+
     // 1) kick off the HTTP request
     const req = http.request({
         host,
@@ -81,16 +84,27 @@ async function* fastFetch(
     }
 }
 
+/**
+ * Gets the candles table for an interval.
+ * @param {string} interval - The interval.
+ * @param {boolean} [adjusted=true] - Split/dividend adjusted prices, or the raw ones in `candles_<interval>_raw`.
+ * @returns {string} The table name.
+ */
+function candleTable(interval, adjusted = true) {
+    return adjusted ? `candles_${interval}` : `candles_${interval}_raw`;
+}
+
 /**
  * Loads data for a stock from the database.
  * @param {string} stockName - The name of the stock to load.
  * @param {string} interval - The interval of the data to load.
  * @param {Date} startDate - The start date of the data to load.
  * @param {Date} endDate - The end date of the data to load.
+ * @param {boolean} [adjusted=true] - Whether to load adjusted or raw prices.
  * @returns {Promise<Stock>} The loaded stock.
  * @throws {TypeError} If the interval is invalid or startDate and endDate are not instances of Date.
  */
-export async function loadStockInRange(stockName, interval, startDate, endDate) {
+export async function loadStockInRange(stockName, interval, startDate, endDate, adjusted = true) {
     if (!allowedIntervals.includes(interval)) {
         throw new TypeError(`Invalid interval: ${interval}`);
     }
@@ -100,7 +114,7 @@ export async function loadStockInRange(stockName, interval, startDate, endDate)
 
     const intervalMs = intervalMsMap[interval];
     const stock = new Stock(stockName, intervalMs);
-    const candles = fastFetch(`SELECT * FROM candles_${interval} WHERE ticker = '${stockName}' AND timestamp >= ${startDate.getTime() * 1000} AND timestamp < ${endDate.getTime() * 1000} ORDER BY timestamp ASC`);
+    const candles = fastFetch(`SELECT * FROM ${candleTable(interval, adjusted)} WHERE ticker = '${stockName}' AND timestamp >= ${startDate.getTime() * 1000} AND timestamp < ${endDate.getTime() * 1000} ORDER BY timestamp ASC`);
     for await (const candle of candles) {
         stock.pushCandle(new Candle(+candle[1], +candle[2], +candle[3], +candle[4], +candle[5], new Date(candle[candle.length === 8 ? 7 : 6]).getTime()));
     }
@@ -114,10 +128,11 @@ export async function loadStockInRange(stockName, interval, startDate, endDate)
  * @param {string} interval - The interval of the data to load.
  * @param {Date} date - The date to load the data after.
  * @param {number} candlesCount - The number of candles to load.
+ * @param {boolean} [adjusted=true] - Whether to load adjusted or raw prices.
  * @returns {Promise<Stock>} The loaded stock.
  * @throws {TypeError} If the interval is invalid or date is not an instance of Date.
  */
-export async function loadStockAfterTimestamp(stockName, interval, date, candlesCount) {
+export async function loadStockAfterTimestamp(stockName, interval, date, candlesCount, adjusted = true) {
     if (!allowedIntervals.includes(interval)) {
         throw new TypeError(`Invalid interval: ${interval}`);
     }
@@ -133,7 +148,7 @@ export async function loadStockAfterTimestamp(stockName, interval, date, candles
 
     const intervalMs = intervalMsMap[interval];
     const stock = new Stock(stockName, intervalMs);
-    const candles = fastFetch(`SELECT * FROM candles_${interval} WHERE ticker = '${stockName}' AND timestamp >= ${date.getTime() * 1000} ORDER BY timestamp ASC LIMIT ${candlesCount}`);
+    const candles = fastFetch(`SELECT * FROM ${candleTable(interval, adjusted)} WHERE ticker = '${stockName}' AND timestamp >= ${date.getTime() * 1000} ORDER BY timestamp ASC LIMIT ${candlesCount}`);
     for await (const candle of candles) {
         stock.pushCandle(new Candle(+candle[1], +candle[2], +candle[3], +candle[4], +candle[5], new Date(candle[candle.length === 8 ? 7 : 6]).getTime()));
     }
@@ -141,104 +156,18 @@ export async function loadStockAfterTimestamp(stockName, interval, date, candles
     return stock;
 }
 
-function startDate(interval, date, candlesCount) {
-    const m = interval.match(/^(\d+)([mhdwM])$/);
-    if (!m) throw new Error('bad interval');
-    const n = +m[1], unit = m[2];
-    const t = (date instanceof Date) ? date.getTime() : +date;
-    const fmt = new Intl.DateTimeFormat('en-US',{timeZone:'America/New_York',hour12:false,year:'numeric',month:'2-digit',day:'2-digit',hour:'2-digit',minute:'2-digit',second:'2-digit',weekday:'short'});
-    const dayMs = 86400000, openMin = 9*60+30, closeMin = 16*60, sessionMin = closeMin - openMin;
-    const parts = ms => Object.fromEntries(fmt.formatToParts(new Date(ms)).filter(p=>p.type!=='literal').map(p=>[p.type,p.value]));
-    const minutesOfDay = p => (+p.hour)*60 + (+p.minute);
-    const isTradingDay = p => !/Sat|Sun/.test(p.weekday);
-    const openForLocalDate = ms => { const p = parts(ms); return ms - ((minutesOfDay(p) - openMin)*60000 + (+p.second)*1000); };
-    const closeForLocalDate = ms => { const p = parts(ms); return ms - ((minutesOfDay(p) - closeMin)*60000 + (+p.second)*1000); };
-    const prevTradingDayOpen = ms => {
-      for (let i=0;i<14;i++){
-        ms -= dayMs;
-        const p = parts(ms);
-        if (isTradingDay(p)) return openForLocalDate(ms);
-      }
-      throw new Error('no trading day found');
-    };
-    if (unit === 'd' || unit === 'w' || unit === 'M') {
-      const lastCompleteDayOpen = (() => {
-        let cur = t - 1;
-        for (let i=0;i<14;i++){
-          const closeMs = closeForLocalDate(cur);
-          const p = parts(cur);
-          if (isTradingDay(p) && closeMs < t) return openForLocalDate(cur);
-          cur -= dayMs;
-        }
-        throw new Error('no completed trading day');
-      })();
-      if (unit === 'M') {
-        let need = n * candlesCount;
-        let curOpen = lastCompleteDayOpen;
-        while (need > 0) {
-          const p = parts(curOpen);
-          const year = +p.year, month = +p.month;
-          // find first trading day of this month
-          let cursor = curOpen;
-          while (true) {
-            const q = parts(cursor);
-            if (+q.month !== month || +q.year !== year) break;
-            if (isTradingDay(q)) var firstOpen = openForLocalDate(cursor);
-            cursor -= dayMs;
-          }
-          curOpen = firstOpen;
-          need--;
-          // move to previous completed trading day before the last day of previous month
-          curOpen = prevTradingDayOpen(curOpen - 1);
-        }
-        return new Date(curOpen);
-      }
-      let totalDays = candlesCount * (unit === 'd' ? n : n * 5);
-      let cur = lastCompleteDayOpen;
-      while (totalDays > 1) { cur = prevTradingDayOpen(cur - 1); totalDays--; }
-      return new Date(cur);
-    }
-  
-    const intervalMin = unit === 'h' ? n * 60 : n;
-    const stepMs = intervalMin * 60000;
-    const candlesPerSession = Math.floor(sessionMin / intervalMin);
-  
-    const lastSessionInfo = (() => {
-      const p = parts(t - 1);
-      const localMinFromOpen = minutesOfDay(p) - openMin;
-      if (!isTradingDay(p) || localMinFromOpen <= 0) return {available:0, sessionOpen: prevTradingDayOpen(t - 1)};
-      const indexByEnd = Math.floor((localMinFromOpen - 1) / intervalMin);
-      const lastIndex = Math.min(indexByEnd, candlesPerSession - 1);
-      const available = lastIndex >= 0 ? lastIndex + 1 : 0;
-      const sessionOpen = openForLocalDate(t - 1);
-      return {available, lastIndex, sessionOpen};
-    })();
-  
-    let need = candlesCount;
-    if (need <= lastSessionInfo.available) {
-      const startIndex = lastSessionInfo.lastIndex - (need - 1);
-      return new Date(lastSessionInfo.sessionOpen + startIndex * stepMs);
-    }
-    need -= lastSessionInfo.available;
-    let fullSkip = Math.floor((need - 1) / candlesPerSession); // how many full sessions to step back beyond the one that will supply partial
-    let remainder = need - fullSkip * candlesPerSession;
-    // move to the session that will provide the earliest candle
-    let targetOpen = lastSessionInfo.available ? prevTradingDayOpen(lastSessionInfo.sessionOpen - 1) : prevTradingDayOpen(t - 1);
-    for (let i=0;i<fullSkip;i++) targetOpen = prevTradingDayOpen(targetOpen - 1);
-    if (remainder === 0) return new Date(targetOpen); // exact fit: start at open of that session
-    const startIndex = candlesPerSession - remainder;
-    return new Date(targetOpen + startIndex * stepMs);
-}
 /**
  * Loads data for a stock from the database.
  * @param {string} stockName - The name of the stock to load.
  * @param {string} interval - The interval of the data to load.
  * @param {Date} date - The date to load the data before.
  * @param {number} candlesCount - The number of candles to load.
+ * @param {boolean} [adjusted=true] - Whether to load adjusted or raw prices.
+ * @param {TradingCalendar} [calendar=nyseCalendar] - Calendar used to find how far back `candlesCount` bars go.
  * @returns {Promise<Stock>} The loaded stock.
  * @throws {TypeError} If the interval is invalid or date is not an instance of Date.
  */
-export async function loadStockBeforeTimestamp(stockName, interval, date, candlesCount) {
+export async function loadStockBeforeTimestamp(stockName, interval, date, candlesCount, adjusted = true, calendar = nyseCalendar) {
     if (!allowedIntervals.includes(interval)) {
         throw new TypeError(`Invalid interval: ${interval}`);
     }
@@ -248,8 +177,8 @@ export async function loadStockBeforeTimestamp(stockName, interval, date, candle
 
     const intervalMs = intervalMsMap[interval];
     const stock = new Stock(stockName, intervalMs);
-    let aboveTimestamp = startDate(interval, date, candlesCount).getTime();
-    const q = `SELECT * FROM candles_${interval} WHERE ticker = '${stockName}' AND timestamp <= ${date.getTime() * 1000} AND timestamp >= ${aboveTimestamp * 1000} ORDER BY timestamp DESC LIMIT ${candlesCount}`;
+    let aboveTimestamp = calendar.lookbackStart(interval, date, candlesCount).getTime();
+    const q = `SELECT * FROM ${candleTable(interval, adjusted)} WHERE ticker = '${stockName}' AND timestamp <= ${date.getTime() * 1000} AND timestamp >= ${aboveTimestamp * 1000} ORDER BY timestamp DESC LIMIT ${candlesCount}`;
     const candles = fastFetch(q);
     const start = Date.now();
     for await (const candle of candles) {
@@ -265,10 +194,11 @@ export async function loadStockBeforeTimestamp(stockName, interval, date, candle
  * @param {string} interval - The interval of the data to load.
  * @param {Date} startDate - The start date of the data to load.
  * @param {Date} endDate - The end date of the data to load.
+ * @param {boolean} [adjusted=true] - Whether to load adjusted or raw prices.
  * @returns {Promise<Object<string, Stock>>} The loaded stocks.
  * @throws {TypeError} If the interval is invalid or startDate and endDate are not instances of Date.
  */
-export async function loadAllStocksInRange(interval, startDate, endDate) {
+export async function loadAllStocksInRange(interval, startDate, endDate, adjusted = true) {
     if (!allowedIntervals.includes(interval)) {
         throw new TypeError(`Invalid interval: ${interval}`);
     }
@@ -279,7 +209,7 @@ export async function loadAllStocksInRange(interval, startDate, endDate) {
     const intervalMs = intervalMsMap[interval];
     const stocks = {};
 
-    const candles = fastFetch(`SELECT * FROM candles_${interval} WHERE timestamp >= ${startDate.getTime() * 1000} AND timestamp <= ${endDate.getTime() * 1000} ORDER BY timestamp ASC`);
+    const candles = fastFetch(`SELECT * FROM ${candleTable(interval, adjusted)} WHERE timestamp >= ${startDate.getTime() * 1000} AND timestamp <= ${endDate.getTime() * 1000} ORDER BY timestamp ASC`);
     for await (const candle of candles) {
         const stockName = candle[0];
         if (!stocks[stockName]) {
@@ -299,6 +229,58 @@ export async function loadAllStocksInRange(interval, startDate, endDate) {
  * @returns {Promise<string[]>} The names of all stocks.
  */
 export async function getStockNames() {
+    await createTables();
     const stocks = await sql`SELECT DISTINCT ticker FROM candles_1d`;
     return stocks.map(stock => stock.ticker);
-}
\ No newline at end of file
+}
+
+/**
+ * Loads splits and cash dividends with an ex-date in the given range.
+ * @param {Date} startDate - The start of the range.
+ * @param {Date} endDate - The end of the range.
+ * @returns {Promise<{ splits: Object<string, Object[]>, dividends: Object<string, Object[]> }>} Actions by stock in ascending order:
+ *          splits as { timestamp, ratio } (new shares per old share), dividends as { timestamp, amount } (cash per share).
+ * @throws {TypeError} If startDate and endDate are not instances of Date.
+ */
+export async function loadCorporateActions(startDate, endDate) {
+    if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+        throw new TypeError('startDate and endDate must be instances of Date');
+    }
+
+    await createTables();
+    const splits = {};
+    const splitRows = await sql`SELECT ticker, split_from, split_to, timestamp FROM splits WHERE timestamp >= ${startDate} AND timestamp <= ${endDate} ORDER BY timestamp ASC`;
+    for (const row of splitRows) {
+        if (!splits[row.ticker]) splits[row.ticker] = [];
+        splits[row.ticker].push({ timestamp: new Date(row.timestamp).getTime(), ratio: row.split_to / row.split_from });
+    }
+
+    const dividends = {};
+    const dividendRows = await sql`SELECT ticker, amount, timestamp FROM dividends WHERE timestamp >= ${startDate} AND timestamp <= ${endDate} ORDER BY timestamp ASC`;
+    for (const row of dividendRows) {
+        if (!dividends[row.ticker]) dividends[row.ticker] = [];
+        dividends[row.ticker].push({ timestamp: new Date(row.timestamp).getTime(), amount: row.amount });
+    }
+
+    return { splits, dividends };
+}
+
+/**
+ * Loads delisting returns with a delisting date on or after `startDate`.
+ * @param {Date} startDate
+ * @returns {Promise<Object<string, { timestamp: number, return: number }[]>>} Returns by ticker, oldest first
+ */
+export async function loadDelistingReturns(startDate) {
+    if (!(startDate instanceof Date)) {
+        throw new TypeError('startDate must be an instance of Date');
+    }
+
+    await createTables();
+    const returns = {};
+    const rows = await sql`SELECT ticker, delisting_return, timestamp FROM delisting_returns WHERE timestamp >= ${startDate} ORDER BY timestamp ASC`;
+    for (const row of rows) {
+        if (!returns[row.ticker]) returns[row.ticker] = [];
+        returns[row.ticker].push({ timestamp: new Date(row.timestamp).getTime(), return: row.delisting_return });
+    }
+    return returns;
+}
@@ -0,0 +1,29 @@
+/**
+ * Built-in objectives for ranking backtests, higher is better.
+ * Any other metric name (e.g. `'totalReturn'`) scores with that metric.
+ */
+export const objectives = {
+    sharpe: m => m.sharpe,
+    CAGR: m => m.CAGR,
+    calmar: m => m.calmar,
+};
+
+/**
+ * Scores a backtest's metrics.
+ * @param {string|Function} objective - Objective name, metric name or `(metrics) => number`
+ * @param {Object} metrics - Metrics from `Backtest.getMetrics`
+ * @returns {number} The score, `-Infinity` if it isn't a finite number
+ */
+export function score(objective, metrics) {
+    const fn = typeof objective === 'function' ? objective : objectives[objective] ?? (m => m[objective]);
+    const value = metrics ? fn(metrics) : null;
+    return Number.isFinite(value) ? value : -Infinity;
+}
+
+/**
+ * @param {string|Function} objective
+ * @returns {string} Name to show in logs and tables
+ */
+export function objectiveName(objective) {
+    return typeof objective === 'function' ? (objective.name || 'score') : objective;
+}
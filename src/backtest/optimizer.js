@@ -0,0 +1,288 @@
+import Backtest from './index.js';
+import Strategy from './strategy.js';
+import Dataset from './dataset.js';
+import { nyseCalendar } from './calendar.js';
+import { score as scoreMetrics, objectiveName } from './objectives.js';
+import { expandGrid, seededRandom } from '../utils.js';
+import { Worker } from 'worker_threads';
+import { pathToFileURL } from 'url';
+import { resolve } from 'path';
+import os from 'os';
+import fs from 'fs';
+import chalk from 'chalk';
+import ms from 'ms';
+
+const searchModes = ['grid', 'random'];
+
+/**
+ * Imports a strategy module: its default export builds a Strategy from a parameter set,
+ * an optional `backtestOptions(params)` export returns Backtest options that can't be
+ * sent to a worker (broker, calendar, features, ...).
+ * @param {string} url
+ */
+async function importStrategy(url) {
+    const module = await import(url);
+    if (typeof module.default !== 'function') {
+        throw new TypeError(`${url} must export a default function returning a Strategy`);
+    }
+    return module;
+}
+
+/**
+ * Runs one parameter set. Used by the workers and by `workers: 0`.
+ * @param {Object} module         - Imported strategy module
+ * @param {Object} params         - Parameter set
+ * @param {Object} options        - { backtest, startDate, endDate, stockName, dataset }
+ * @returns {Promise<Object>} Metrics
+ */
+export async function runParams(module, params, { backtest, startDate, endDate, stockName, dataset }) {
+    const strategy = module.default(params);
+    if (!(strategy instanceof Strategy)) {
+        throw new TypeError('strategy function must return a Strategy');
+    }
+    const extra = module.backtestOptions ? await module.backtestOptions(params) : {};
+    const bt = new Backtest({ ...backtest, ...extra, strategy, startDate, endDate, dataset });
+    return stockName ? bt.runOnStock(stockName) : bt.runOnAllStocks();
+}
+
+/**
+ * Grid or random search over strategy parameters, running the backtests in worker threads.
+ * Candles are loaded from QuestDB once into a shared `Dataset` that every worker reads.
+ *
+ * @param {Object} params
+ * @param {string|URL} params.strategy  - Path of a module whose default export is `(params) => Strategy`
+ * @param {Object<string, any[]|{ min: number, max: number, step?: number }>} params.params - Values or ranges to search
+ * @param {'grid'|'random'} [params.search='grid'] - Every combination, or `samples` random ones
+ * @param {number} [params.samples=50]  - Parameter sets tried by random search
+ * @param {number} [params.seed=1]      - Random search seed
+ * @param {string|Function} [params.objective='sharpe'] - 'sharpe', 'CAGR', 'calmar', another metric name, or `(metrics) => score`
+ * @param {Date}   params.startDate
+ * @param {Date}   params.endDate
+ * @param {string} [params.stockName]   - Run on one ticker, all tickers if not set
+ * @param {Object} params.backtest      - Backtest options that can be sent to a worker (`startCashBalance`, `execution`, ...)
+ * @param {number} [params.workers]     - Worker threads, one per core by default; 0 runs in this thread
+ * @throws {TypeError} on invalid parameters
+ */
+export default class Optimizer {
+    constructor({ strategy, params, search = 'grid', samples = 50, seed = 1, objective = 'sharpe', startDate, endDate, stockName = null, backtest, workers = os.availableParallelism() }) {
+        if (typeof strategy !== 'string' && !(strategy instanceof URL)) {
+            throw new TypeError('strategy must be the path of a module exporting (params) => Strategy');
+        }
+        if (!searchModes.includes(search)) {
+            throw new TypeError(`search must be one of ${searchModes.join(', ')}`);
+        }
+        if (typeof objective !== 'string' && typeof objective !== 'function') {
+            throw new TypeError('objective must be a metric name or a function');
+        }
+        if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+            throw new TypeError('startDate and endDate must be instances of Date');
+        }
+        if (typeof backtest?.startCashBalance !== 'number') {
+            throw new TypeError('backtest.startCashBalance must be a number');
+        }
+        if (!Number.isInteger(workers) || workers < 0) {
+            throw new TypeError('workers must be an integer >= 0');
+        }
+
+        this.strategyUrl = strategy instanceof URL ? strategy.href : pathToFileURL(resolve(strategy)).href;
+        this.space = params;
+        this.search = search;
+        this.samples = samples;
+        this.seed = seed;
+        this.objective = objective;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.stockName = stockName;
+        this.backtestOptions = backtest;
+        this.workers = workers;
+
+        this.paramSets = search === 'grid' ? this.gridParams() : this.randomParams();
+    }
+
+    gridParams() {
+        const grid = {};
+        for (const [key, spec] of Object.entries(this.space)) {
+            if (Array.isArray(spec)) {
+                grid[key] = spec;
+            } else {
+                if (!(spec.step > 0)) {
+                    throw new TypeError(`Grid search needs a \`step\` for the range of ${key}`);
+                }
+                grid[key] = [];
+                for (let v = spec.min; v <= spec.max + spec.step * 1e-9; v += spec.step) {
+                    grid[key].push(+v.toFixed(10));
+                }
+            }
+        }
+        return expandGrid(grid);
+    }
+
+    randomParams() {
+        const random = seededRandom(this.seed);
+        const draw = spec => {
+            if (Array.isArray(spec)) return spec[Math.floor(random() * spec.length)];
+            if (spec.step > 0) return +(spec.min + spec.step * Math.floor(random() * (Math.floor((spec.max - spec.min) / spec.step) + 1))).toFixed(10);
+            return spec.min + random() * (spec.max - spec.min);
+        };
+        const sets = new Map();
+        // ranges with few values can't give `samples` distinct sets
+        for (let i = 0; sets.size < this.samples && i < this.samples * 20; i++) {
+            const params = Object.fromEntries(Object.entries(this.space).map(([key, spec]) => [key, draw(spec)]));
+            sets.set(JSON.stringify(params), params);
+        }
+        return [...sets.values()];
+    }
+
+    /**
+     * Loads the candles every parameter set needs: each interval any of their strategies uses,
+     * from far enough before `startDate` to cover the longest lookback.
+     * @returns {Promise<Dataset>}
+     */
+    async loadDataset() {
+        const module = await importStrategy(this.strategyUrl);
+        const counts = {};
+        for (const params of this.paramSets) {
+            const strategy = module.default(params);
+            for (const name in strategy.intervals) {
+                counts[name] = Math.max(counts[name] ?? 0, strategy.intervals[name].count);
+            }
+        }
+        if (this.backtestOptions.intrabar?.interval) {
+            counts[this.backtestOptions.intrabar.interval] ??= 1;
+        }
+        let startDate = this.startDate;
+        for (const name in counts) {
+            // the all-stocks loop and its database fallback look back up to 3× the count
+            const start = nyseCalendar.lookbackStart(name, this.startDate, counts[name] * 3);
+            if (start < startDate) startDate = start;
+        }
+        return Dataset.load({
+            intervals: Object.keys(counts),
+            startDate,
+            endDate: new Date(this.endDate.getTime() + 1000 * 60 * 60 * 24 * 7),
+            stockNames: this.stockName ? [this.stockName, ...(typeof this.backtestOptions.benchmark === 'string' ? [this.backtestOptions.benchmark] : [])] : null,
+            adjusted: this.backtestOptions.prices !== 'unadjusted',
+            delistingReturns: this.backtestOptions.delisting?.policy === 'returns',
+        });
+    }
+
+    /**
+     * Runs every parameter set.
+     * @returns {Promise<{ rank: number, params: Object, score: number, metrics: Object|null, error: string|null }[]>} Best first
+     */
+    async run() {
+        const start = Date.now();
+        console.log(chalk.bold(`=== OPTIMIZING ${this.paramSets.length} PARAMETER SETS (${this.search}, ${objectiveName(this.objective)}) ===`));
+        const dataset = await this.loadDataset();
+        console.log(chalk.gray(`Data loaded in ${ms(Date.now() - start)}`));
+
+        const options = {
+            backtest: { logs: {}, ...this.backtestOptions },
+            startDate: this.startDate,
+            endDate: this.endDate,
+            stockName: this.stockName,
+        };
+        const results = new Array(this.paramSets.length);
+        let done = 0;
+        const finish = (i, metrics, error) => {
+            const score = error ? -Infinity : scoreMetrics(this.objective, metrics);
+            results[i] = { params: this.paramSets[i], score, metrics: metrics ?? null, error: error ?? null };
+            done++;
+            console.log(
+                chalk.gray(`[${done}/${this.paramSets.length}] `) +
+                chalk.white(`${JSON.stringify(this.paramSets[i])} `) +
+                (error ? chalk.red(error) : chalk.cyan(`${objectiveName(this.objective)} ${score.toFixed(3)}`))
+            );
+        };
+
+        if (this.workers === 0) {
+            const module = await importStrategy(this.strategyUrl);
+            for (let i = 0; i < this.paramSets.length; i++) {
+                try {
+                    finish(i, await runParams(module, this.paramSets[i], { ...options, dataset }));
+                } catch (e) {
+                    finish(i, null, e.message);
+                }
+            }
+        } else {
+            await this.runWorkers({ ...options, strategy: this.strategyUrl, dataset: dataset.toShared() }, finish);
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        results.forEach((r, i) => r.rank = i + 1);
+        console.log('Optimization finished in', ms(Date.now() - start));
+        return results;
+    }
+
+    /**
+     * Hands the parameter sets out to a pool of workers, one at a time each.
+     * @param {Object} workerData - Sent to every worker
+     * @param {(i: number, metrics: Object, error?: string) => void} finish
+     */
+    runWorkers(workerData, finish) {
+        const count = Math.min(this.workers, this.paramSets.length);
+        let next = 0;
+        return new Promise((resolve, reject) => {
+            const pool = [];
+            let running = 0;
+            const stop = err => {
+                for (const worker of pool) worker.terminate();
+                err ? reject(err) : resolve();
+            };
+            const feed = worker => {
+                if (next >= this.paramSets.length) {
+                    if (running === 0) stop();
+                    return;
+                }
+                const i = next++;
+                running++;
+                worker.postMessage({ i, params: this.paramSets[i] });
+            };
+            for (let w = 0; w < count; w++) {
+                const worker = new Worker(new URL('./optimizerWorker.js', import.meta.url), { workerData });
+                worker.on('message', ({ i, metrics, error }) => {
+                    running--;
+                    finish(i, metrics, error);
+                    feed(worker);
+                });
+                worker.on('error', stop);
+                pool.push(worker);
+                feed(worker);
+            }
+        });
+    }
+
+    /**
+     * Prints the best results.
+     * @param {Object[]} results - Result of `run`
+     * @param {number} [top=10]
+     */
+    logResults(results, top = 10) {
+        console.log('\n' + chalk.bold(`=== TOP ${Math.min(top, results.length)} OF ${results.length} ===`));
+        for (const r of results.slice(0, top)) {
+            const m = r.metrics;
+            console.log(
+                chalk.bold(`#${r.rank}`.padEnd(5)) +
+                chalk.white(`${JSON.stringify(r.params)} `.padEnd(40)) +
+                chalk.cyan(`${objectiveName(this.objective)} ${r.score.toFixed(3)}`.padEnd(18)) +
+                (m ? chalk.gray(`return ${(m.totalReturn * 100).toFixed(2)}% | CAGR ${(m.CAGR * 100).toFixed(1)}% | sharpe ${m.sharpe.toFixed(2)} | max DD ${(m.maxDrawdown * 100).toFixed(1)}% | ${m.trades} trades`) : chalk.red(r.error))
+            );
+        }
+    }
+
+    /**
+     * Writes the results as a CSV table, best first.
+     * @param {Object[]} results - Result of `run`
+     * @param {string} path
+     */
+    writeResults(results, path) {
+        const keys = Object.keys(this.space);
+        const metricKeys = ['totalReturn', 'CAGR', 'sharpe', 'maxDrawdown', 'trades', 'totalFees'];
+        const escape = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? '');
+        const lines = [['rank', ...keys, 'score', ...metricKeys, 'error'].join(',')];
+        for (const r of results) {
+            lines.push([r.rank, ...keys.map(k => r.params[k]), r.score, ...metricKeys.map(k => r.metrics?.[k]), r.error].map(escape).join(','));
+        }
+        fs.writeFileSync(path, lines.join('\n') + '\n');
+    }
+}
@@ -0,0 +1,17 @@
+import { parentPort, workerData } from 'worker_threads';
+import Dataset from './dataset.js';
+import { runParams } from './optimizer.js';
+
+// Worker of Optimizer: runs the parameter sets it's sent against the shared dataset.
+const { strategy, dataset, ...options } = workerData;
+const module = await import(strategy);
+options.dataset = Dataset.fromShared(dataset);
+
+parentPort.on('message', async ({ i, params }) => {
+    try {
+        const metrics = await runParams(module, params, options);
+        parentPort.postMessage({ i, metrics });
+    } catch (e) {
+        parentPort.postMessage({ i, metrics: null, error: e.message });
+    }
+});
@@ -0,0 +1,163 @@
+export const orderSides = ['buy', 'sell'];
+export const orderTypes = ['market', 'limit', 'stop', 'stopLimit'];
+export const timesInForce = ['day', 'gtc'];
+export const pathOrders = ['nearest', 'OHLC', 'OLHC'];
+
+/**
+ * Builds the assumed price path of a candle: open, both extremes, close.
+ * @param {Candle} candle - The candle.
+ * @param {'nearest'|'OHLC'|'OLHC'} [order='nearest'] - Which extreme comes first:
+ *        the one closer to the open, always the high, or always the low.
+ * @returns {{ price: number, gap: boolean }[]} Path points in time order. `gap` marks a discontinuous jump into the point.
+ */
+export function candlePath(candle, order = 'nearest') {
+    const highFirst = order === 'OHLC' ||
+        (order === 'nearest' && Math.abs(candle.high - candle.open) < Math.abs(candle.open - candle.low));
+    return [
+        { price: candle.open, gap: true },
+        { price: highFirst ? candle.high : candle.low, gap: false },
+        { price: highFirst ? candle.low : candle.high, gap: false },
+        { price: candle.close, gap: false },
+    ];
+}
+
+/**
+ * A working order.
+ * @param {Object} params
+ * @param {number} params.id                 - Order id
+ * @param {string} params.stockName          - Ticker symbol
+ * @param {'buy'|'sell'} params.side
+ * @param {'market'|'limit'|'stop'|'stopLimit'} params.type
+ * @param {number} params.qty                - Quantity
+ * @param {number} [params.limitPrice]       - Required for limit and stopLimit
+ * @param {number} [params.stopPrice]        - Required for stop and stopLimit
+ * @param {'day'|'gtc'} [params.tif='gtc']   - Time in force
+ * @param {string} [params.ocoGroup]         - Orders sharing a group cancel each other when one fills (partial fills shrink them)
+ * @param {number} params.timestamp          - Time the order was placed
+ * @param {number[]} [params.features]       - Features passed on to the buy
+ * @param {boolean} [params.extendedHours=false] - May trade outside the regular session (live trading)
+ * @throws {TypeError} on invalid parameters
+ */
+export default class Order {
+    constructor({ id, stockName, side, type = 'market', qty, limitPrice, stopPrice, tif = 'gtc', ocoGroup = null, timestamp, features = null, extendedHours = false }) {
+        this.id = id;
+        this.stockName = stockName;
+        this.side = side;
+        this.type = type;
+        this.qty = qty;
+        this.limitPrice = limitPrice;
+        this.stopPrice = stopPrice;
+        this.tif = tif;
+        this.ocoGroup = ocoGroup;
+        this.features = features;
+        this.extendedHours = !!extendedHours;
+        this.validate();
+
+        this.status = 'working';
+        this.triggered = type !== 'stop' && type !== 'stopLimit';
+        this.createdAt = +timestamp;
+        this.lastBarTs = this.createdAt;
+        this.session = null;
+        this.filledQty = 0;
+        this.filledAt = null;
+        this.fillPrice = null;      // average over partial fills
+        this.reason = null;
+    }
+
+    validate() {
+        if (!orderSides.includes(this.side)) {
+            throw new TypeError(`Invalid order side: ${this.side}`);
+        }
+        if (!orderTypes.includes(this.type)) {
+            throw new TypeError(`Invalid order type: ${this.type}`);
+        }
+        if (!timesInForce.includes(this.tif)) {
+            throw new TypeError(`Invalid time in force: ${this.tif}`);
+        }
+        if (typeof this.qty !== 'number' || !(this.qty > 0)) {
+            throw new TypeError('Order `qty` must be a number > 0');
+        }
+        if ((this.type === 'limit' || this.type === 'stopLimit') && !(this.limitPrice > 0)) {
+            throw new TypeError(`\`limitPrice\` is required for ${this.type} orders`);
+        }
+        if ((this.type === 'stop' || this.type === 'stopLimit') && !(this.stopPrice > 0)) {
+            throw new TypeError(`\`stopPrice\` is required for ${this.type} orders`);
+        }
+    }
+
+    /**
+     * Changes qty, prices or time in force of a working order.
+     * @param {Object} changes - Any of `qty`, `limitPrice`, `stopPrice`, `tif`
+     * @throws {Error} if the order is no longer working
+     * @throws {TypeError} if the changed order is invalid
+     */
+    modify(changes) {
+        if (this.status !== 'working') {
+            throw new Error(`Order ${this.id} is ${this.status}, cannot modify`);
+        }
+        const prev = { qty: this.qty, limitPrice: this.limitPrice, stopPrice: this.stopPrice, tif: this.tif };
+        for (const key of ['qty', 'limitPrice', 'stopPrice', 'tif']) {
+            if (changes[key] !== undefined) this[key] = changes[key];
+        }
+        try {
+            this.validate();
+            if (this.qty <= this.filledQty) {
+                throw new TypeError(`Order \`qty\` must be above the ${this.filledQty} already filled`);
+            }
+        } catch (e) {
+            Object.assign(this, prev);
+            throw e;
+        }
+    }
+
+    /**
+     * Walks a price path and finds the point where this order fills.
+     * A stop-limit that triggers without filling stays triggered for the next path.
+     * @param {{ price: number, gap: boolean }[]} path - Price path, see `candlePath`
+     * @returns {{ price: number, position: number } | null} Fill price and how far along the path it happened
+     */
+    match(path) {
+        const buy = this.side === 'buy';
+        // does the order fill at `price` once it is active?
+        const marketable = price => this.type === 'market' || this.type === 'stop' || (buy ? price <= this.limitPrice : price >= this.limitPrice);
+        // does the segment prev -> price cross `level` in the direction that reaches it?
+        const crosses = (prev, price, level, up) => up ? prev < level && price >= level : prev > level && price <= level;
+        const along = (k, prev, price, level) => k - 1 + Math.abs(level - prev) / Math.abs(price - prev);
+
+        for (let k = 0; k < path.length; k++) {
+            const { price, gap } = path[k];
+            const prev = k > 0 ? path[k - 1].price : price;
+
+            if (!this.triggered) {
+                const S = this.stopPrice;
+                let trigger = null, position = k;
+                if (gap) {
+                    if (buy ? price >= S : price <= S) trigger = price;
+                } else if (crosses(prev, price, S, buy)) {
+                    trigger = S;
+                    position = along(k, prev, price, S);
+                }
+                if (trigger === null) continue;
+                this.triggered = true;
+                if (marketable(trigger)) return { price: trigger, position };
+                // the rest of the segment after the trigger point can still reach the limit
+                const L = this.limitPrice;
+                if (!gap && crosses(trigger, price, L, !buy)) {
+                    return { price: L, position: along(k, prev, price, L) };
+                }
+                continue;
+            }
+
+            if (gap || this.type === 'market' || this.type === 'stop') {
+                if (marketable(price)) return { price, position: k };
+                continue;
+            }
+            // continuous segment: a limit fills where the path crosses it
+            const L = this.limitPrice;
+            if (crosses(prev, price, L, !buy)) {
+                return { price: L, position: along(k, prev, price, L) };
+            }
+        }
+        return null;
+    }
+}
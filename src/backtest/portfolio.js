@@ -0,0 +1,371 @@
+import Backtest from './index.js';
+import Strategy, { rebalancePeriods } from './strategy.js';
+import Dataset from './dataset.js';
+import { nyseCalendar } from './calendar.js';
+import { intervalMsMap } from './consts.js';
+import { periodReturns, stdDev } from './stats.js';
+import { marketDay, periodStart } from '../utils.js';
+import chalk from 'chalk';
+import ms from 'ms';
+
+const allocations = ['fixed', 'riskParity'];
+
+/**
+ * Several strategies run as sleeves of one portfolio.
+ *
+ * Each sleeve trades its own sub-account (a Backtest starting with its share of the
+ * capital); the sleeves read the same candles, loaded once. The portfolio combines
+ * their equity curves: on the first bar of each `rebalance` period, the curves are
+ * rescaled to the allocation's weights, as if each sleeve's returns scale with the
+ * capital it is given. Between rebalances the weights drift with the sleeves' returns.
+ *
+ * Rebalancing never moves cash between the sub-accounts: a sleeve keeps trading from its
+ * own account, so its position sizing, margin checks, minimum notionals and whole-share
+ * rounding follow its starting share grown by its own returns, not the capital allocated to it.
+ *
+ * @param {Object} params
+ * @param {{ name: string, strategy: Strategy, stockName?: string, weight?: number }[]} params.sleeves
+ *        - Strategies, each on one ticker (`stockName`) or all tickers, with a weight for 'fixed'
+ * @param {'fixed'|'riskParity'|Function} [params.allocation='fixed'] - 'fixed' keeps the sleeves' weights
+ *        (equal if none is set), 'riskParity' weighs them by the inverse volatility of their returns over
+ *        `riskLookback` bars, or `(returns, date) => weights by sleeve name` with `returns` by sleeve name
+ * @param {'day'|'week'|'month'|'quarter'|'year'|null} [params.rebalance='month'] - How often the sleeves are
+ *        reweighted, null to only allocate at the start
+ * @param {number} [params.riskLookback=60] - Bars of returns for 'riskParity' and allocation functions
+ * @param {Date}   params.startDate
+ * @param {Date}   params.endDate
+ * @param {Object} params.backtest        - Other Backtest options (`startCashBalance`, `broker`, `logs`, `dataset`, ...)
+ * @throws {TypeError} on invalid parameters
+ */
+export default class PortfolioBacktest {
+    constructor({ sleeves, allocation = 'fixed', rebalance = 'month', riskLookback = 60, startDate, endDate, backtest }) {
+        if (!Array.isArray(sleeves) || sleeves.length === 0) {
+            throw new TypeError('sleeves must be a non-empty array');
+        }
+        for (const sleeve of sleeves) {
+            if (typeof sleeve?.name !== 'string') {
+                throw new TypeError('Every sleeve must have a name');
+            }
+            if (!(sleeve.strategy instanceof Strategy)) {
+                throw new TypeError(`Sleeve ${sleeve.name}: strategy must be an instance of Strategy`);
+            }
+            if (sleeve.weight !== undefined && !(typeof sleeve.weight === 'number' && sleeve.weight >= 0)) {
+                throw new TypeError(`Sleeve ${sleeve.name}: weight must be a number >= 0`);
+            }
+        }
+        if (new Set(sleeves.map(s => s.name)).size !== sleeves.length) {
+            throw new TypeError('Sleeve names must be unique');
+        }
+        if (!allocations.includes(allocation) && typeof allocation !== 'function') {
+            throw new TypeError(`allocation must be one of ${allocations.join(', ')} or a function`);
+        }
+        if (rebalance !== null && !rebalancePeriods.includes(rebalance)) {
+            throw new TypeError(`rebalance must be one of ${rebalancePeriods.join(', ')} or null`);
+        }
+        if (!Number.isInteger(riskLookback) || riskLookback < 2) {
+            throw new TypeError('riskLookback must be an integer >= 2');
+        }
+        if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+            throw new TypeError('startDate and endDate must be instances of Date');
+        }
+        if (typeof backtest?.startCashBalance !== 'number') {
+            throw new TypeError('backtest.startCashBalance must be a number');
+        }
+        if (backtest.checkpoint) {
+            throw new TypeError('Sleeves can\'t be checkpointed');
+        }
+
+        this.sleeves = sleeves;
+        this.allocation = allocation;
+        this.rebalance = rebalance;
+        this.riskLookback = riskLookback;
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.backtestOptions = backtest;
+        this.dataset = backtest.dataset ?? null;
+
+        const weighted = sleeves.filter(s => s.weight !== undefined);
+        const fixed = weighted.length > 0 ? sleeves.map(s => s.weight ?? 0) : sleeves.map(() => 1);
+        this.weights = normalize(fixed);  // starting weights, and the 'fixed' ones
+        if (!this.weights) {
+            throw new TypeError('Sleeve weights must not all be 0');
+        }
+    }
+
+    /**
+     * Loads the candles the sleeves read once, from the earliest lookback to `endDate`: each interval
+     * only for the tickers of the sleeves that declare it (all tickers if one of them runs on all stocks).
+     * @returns {Promise<Dataset>}
+     */
+    async loadDataset() {
+        const { calendar = nyseCalendar, prices = 'adjusted', intrabar = {}, delisting = {}, benchmark = null } = this.backtestOptions;
+        const tickers = {};  // interval -> tickers of the sleeves reading it, null for all stocks
+        const add = (interval, stockName) => {
+            if (!(interval in tickers)) tickers[interval] = new Set();
+            if (!stockName) tickers[interval] = null;
+            else tickers[interval]?.add(stockName);
+        };
+        let start = this.startDate;
+        for (const { strategy, stockName } of this.sleeves) {
+            for (const iv of Object.values(strategy.intervals)) {
+                add(iv.name, stockName);
+                const from = calendar.lookbackStart(iv.name, this.startDate, iv.count);
+                if (from < start) start = from;
+            }
+            if (intrabar.interval) add(intrabar.interval, stockName);
+            // the benchmark is read on the sleeve's main interval
+            if (typeof benchmark === 'string') add(strategy.mainInterval.name, benchmark);
+        }
+        return Dataset.load({
+            intervals: Object.keys(tickers),
+            startDate: start,
+            endDate: this.endDate,
+            stockNames: Object.fromEntries(Object.entries(tickers).map(([interval, names]) => [interval, names && [...names]])),
+            adjusted: prices === 'adjusted',
+            delistingReturns: delisting.policy === 'returns',
+        });
+    }
+
+    /**
+     * Runs every sleeve on its sub-account, then combines them.
+     * @returns {Promise<Object>} `{ sleeves, allocations, metrics, backtest }`: per-sleeve `{ name, weight, finalWeight,
+     *          contribution, metrics, backtest }`, the weights set at the start and at each rebalance, metrics of the
+     *          combined portfolio, and the combined Backtest (for `logMetrics`/`buildReport`)
+     */
+    async run() {
+        const start = Date.now();
+        this.dataset ??= await this.loadDataset();
+
+        const runs = [];
+        for (let i = 0; i < this.sleeves.length; i++) {
+            const { name, strategy, stockName } = this.sleeves[i];
+            console.log(chalk.bold(`=== SLEEVE ${i + 1}/${this.sleeves.length} ${name} `) + chalk.gray(`${(this.weights[i] * 100).toFixed(1)}% ${stockName ?? 'all stocks'}`));
+            const bt = new Backtest({
+                ...this.backtestOptions,
+                strategy,
+                startDate: this.startDate,
+                endDate: this.endDate,
+                startCashBalance: this.backtestOptions.startCashBalance * this.weights[i],
+                dataset: this.dataset,
+            });
+            const metrics = stockName ? await bt.runOnStock(stockName) : await bt.runOnAllStocks();
+            runs.push({ bt, metrics });
+        }
+
+        const { backtest, allocations: history, contributions } = this.combine(runs);
+        const finalWeights = history.at(-1).drift;
+        console.log('Portfolio backtest finished in', ms(Date.now() - start));
+        return {
+            sleeves: this.sleeves.map(({ name }, i) => ({
+                name,
+                weight: this.weights[i],
+                finalWeight: finalWeights[i],
+                contribution: contributions[i],
+                metrics: runs[i].metrics,
+                backtest: runs[i].bt,
+            })),
+            allocations: history.map(({ timestamp, weights }) => ({
+                timestamp: new Date(timestamp),
+                weights: Object.fromEntries(this.sleeves.map(({ name }, i) => [name, weights[i]])),
+            })),
+            metrics: backtest.getMetrics(),
+            backtest,
+        };
+    }
+
+    /**
+     * Target weights at a rebalance, from the sleeves' returns up to bar `k` of the combined timeline.
+     * @param {number[][]} values - Equity of each sleeve's sub-account at every bar
+     * @param {number} k
+     * @param {Date|number} timestamp
+     * @returns {number[]}
+     */
+    targetWeights(values, k, timestamp) {
+        if (this.allocation === 'fixed') return this.weights;
+        const from = Math.max(0, k - this.riskLookback);
+        const returns = values.map(series => periodReturns(series.slice(from, k + 1)));
+        if (typeof this.allocation === 'function') {
+            const weights = this.allocation(
+                Object.fromEntries(this.sleeves.map(({ name }, i) => [name, returns[i]])),
+                new Date(timestamp),
+            );
+            const normalized = normalize(this.sleeves.map(({ name }) => weights?.[name] ?? 0));
+            if (!normalized || normalized.some(w => !Number.isFinite(w) || w < 0)) {
+                throw new TypeError('allocation must return weights >= 0 by sleeve name, not all 0');
+            }
+            return normalized;
+        }
+        // risk parity needs a few returns; sleeves that didn't move get the lowest volatility of the others
+        if (k - from < 2) return this.weights;
+        const vols = returns.map(rets => stdDev(rets));
+        const lowest = Math.min(...vols.filter(v => v > 0));
+        if (!Number.isFinite(lowest)) return this.weights;
+        return normalize(vols.map(v => 1 / (v > 0 ? v : lowest)));
+    }
+
+    /**
+     * Combines the sleeves into one Backtest: its equity curve is the portfolio's, with the
+     * sleeves' curves rescaled to the target weights on each rebalance. The sleeves' trades, swaps and orders are scaled
+     * to portfolio dollars with the scale their sleeve had when they happened, open positions,
+     * lots and accrued fees with the scale at the end, so the combined account adds up to the
+     * equity curve.
+     * @param {{ bt: Backtest }[]} runs
+     * @returns {{ backtest: Backtest, allocations: { timestamp: number, weights: number[], drift: number[] }[], contributions: number[] }}
+     *          `drift` is the weights right before the next rebalance (or the end), `contributions` the P&L of each sleeve
+     */
+    combine(runs) {
+        const timestamps = [...new Set(runs.flatMap(({ bt }) => bt.equityCurve.map(e => +e[0])))].sort((a, b) => a - b);
+        // each sub-account's [equity, cash, exposure] at every bar, its starting cash before its first bar
+        const entries = runs.map(({ bt }) => {
+            const curve = bt.equityCurve.toSorted((a, b) => a[0] - b[0]);
+            let j = -1;
+            return timestamps.map(ts => {
+                while (j + 1 < curve.length && +curve[j + 1][0] <= ts) j++;
+                return j >= 0 ? [curve[j][1], curve[j][2] ?? 0, curve[j][3] ?? 0] : [bt.startCashBalance, bt.startCashBalance, 0];
+            });
+        });
+        const values = entries.map(series => series.map(e => e[0]));
+
+        // scale[i]: portfolio dollars per dollar of sleeve i's sub-account; scales[i] its changes over time
+        let scale = runs.map(() => 1);
+        const scales = runs.map(() => [{ timestamp: -Infinity, scale: 1 }]);
+        const contributions = runs.map(() => 0);
+        const allocations = [{ timestamp: timestamps[0], weights: this.weights }];
+        const equityCurve = [];
+        let period = this.rebalance && periodStart(marketDay(timestamps[0]), this.rebalance);
+        for (let k = 0; k < timestamps.length; k++) {
+            if (k > 0) {
+                for (let i = 0; i < runs.length; i++) {
+                    contributions[i] += scale[i] * (values[i][k] - values[i][k - 1]);
+                }
+            }
+            const equity = scale.reduce((s, m, i) => s + m * values[i][k], 0);
+            const current = this.rebalance && periodStart(marketDay(timestamps[k]), this.rebalance);
+            if (current && current !== period) {
+                period = current;
+                allocations.at(-1).drift = scale.map((m, i) => m * values[i][k] / equity);
+                // a sleeve whose sub-account is wiped out keeps what it has left
+                const live = runs.map((_, i) => values[i][k] > 0);
+                const target = normalize(this.targetWeights(values, k, timestamps[k]).map((w, i) => live[i] ? w : 0));
+                if (target) {
+                    const invested = scale.reduce((s, m, i) => s + (live[i] ? m * values[i][k] : 0), 0);
+                    scale = scale.map((m, i) => live[i] ? target[i] * invested / values[i][k] : m);
+                    scale.forEach((m, i) => scales[i].push({ timestamp: timestamps[k], scale: m }));
+                    allocations.push({ timestamp: timestamps[k], weights: target });
+                }
+            }
+            equityCurve.push([
+                new Date(timestamps[k]),
+                equity,
+                scale.reduce((s, m, i) => s + m * entries[i][k][1], 0),
+                scale.reduce((s, m, i) => s + m * entries[i][k][2], 0),
+            ]);
+        }
+        const lastEquity = equityCurve.at(-1)[1];
+        allocations.at(-1).drift = scale.map((m, i) => m * values[i].at(-1) / lastEquity);
+
+        // the finest main interval, so per-bar statistics are annualised on the combined timeline
+        const finest = runs.map(({ bt }) => bt).reduce((a, b) => intervalMsMap[b.strategy.mainInterval.name] < intervalMsMap[a.strategy.mainInterval.name] ? b : a);
+        const bt = new Backtest({
+            ...this.backtestOptions,
+            strategy: finest.strategy,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            dataset: this.dataset,
+        });
+        bt.equityCurve = equityCurve;
+        for (let i = 0; i < runs.length; i++) {
+            const run = runs[i].bt;
+            const at = timestamp => scaleAt(scales[i], timestamp);
+            const m = scale[i];
+            for (const trade of run.trades) {
+                const t = at(trade.timestamp);
+                bt.trades.push({ ...trade, quantity: trade.quantity * t, fee: trade.fee * t, borrowFee: trade.borrowFee * t, dividends: trade.dividends * t, profit: trade.profit * t });
+                bt.totalBorrowFees += trade.borrowFee * t;
+                bt.totalDividends += trade.dividends * t;
+            }
+            for (const swap of run.swaps) {
+                const t = at(swap.timestamp);
+                bt.swaps.push({ ...swap, quantity: swap.quantity * t, fee: swap.fee * t });
+                bt.totalFees += swap.fee * t;
+            }
+            for (const order of run.orders) {
+                const t = at(order.timestamp);
+                bt.orders.push(Object.assign(Object.create(Object.getPrototypeOf(order)), order, { qty: order.qty * t, filledQty: order.filledQty * t }));
+            }
+            for (const stockName in run.stockBalances) {
+                bt.stockBalances[stockName] = (bt.stockBalances[stockName] ?? 0) + run.stockBalances[stockName] * m;
+                bt.stockPrices[stockName] = run.stockPrices[stockName];
+            }
+            for (const stockName in run.ledger.lots) {
+                (bt.ledger.lots[stockName] ??= []).push(...run.ledger.lots[stockName].map(lot => ({ ...lot, quantity: lot.quantity * m, cost: lot.cost * m, fees: lot.fees * m })));
+            }
+            // fees and dividends still accrued on open positions, the rest is in the trades
+            for (const stockName in run.borrowFees) {
+                bt.borrowFees[stockName] = (bt.borrowFees[stockName] ?? 0) + run.borrowFees[stockName] * m;
+                bt.totalBorrowFees += run.borrowFees[stockName] * m;
+            }
+            for (const stockName in run.dividends) {
+                bt.dividends[stockName] = (bt.dividends[stockName] ?? 0) + run.dividends[stockName] * m;
+                bt.totalDividends += run.dividends[stockName] * m;
+            }
+        }
+        bt.trades.sort((a, b) => a.timestamp - b.timestamp);
+        bt.swaps.sort((a, b) => a.timestamp - b.timestamp);
+        bt.cashBalance = equityCurve.at(-1)[2];
+        bt.benchmarkSeries = runs.find(({ bt: run }) => run.benchmarkSeries)?.bt.benchmarkSeries ?? null;
+        return { backtest: bt, allocations, contributions };
+    }
+
+    /**
+     * Prints each sleeve's weights, contribution and metrics, then the combined portfolio summary.
+     * @param {Object} result - Result of `run`
+     */
+    logMetrics(result) {
+        console.log('\n' + chalk.bold('=== SLEEVES ==='));
+        for (const s of result.sleeves) {
+            const ret = s.metrics.totalReturn;
+            console.log(
+                chalk.bold(s.name.padEnd(16)) +
+                chalk.gray(`weight ${(s.weight * 100).toFixed(1)}% → ${(s.finalWeight * 100).toFixed(1)}% `.padEnd(24)) +
+                chalk[ret >= 0 ? 'greenBright' : 'redBright'](`${ret >= 0 ? '+' : ''}${(ret * 100).toFixed(2)}%`.padEnd(10)) +
+                chalk.gray(`sharpe ${s.metrics.sharpe.toFixed(2)} | max DD ${(s.metrics.maxDrawdown * 100).toFixed(2)}% | ${s.metrics.trades} trades | `) +
+                chalk[s.contribution >= 0 ? 'green' : 'red'](`${s.contribution >= 0 ? '+$' : '-$'}${Math.abs(Math.round(s.contribution)).toLocaleString('en-US')}`)
+            );
+        }
+        if (result.allocations.length > 1) {
+            console.log(chalk.gray(`${result.allocations.length - 1} rebalances between sleeves`));
+        }
+        result.backtest.logMetrics(result.metrics);
+    }
+
+    /**
+     * Builds the HTML report of the combined portfolio with a table of the sleeves.
+     * @param {Object} result - Result of `run`
+     * @returns {string}
+     */
+    buildReport(result) {
+        const pct = v => `<span style="color:${v >= 0 ? '#44ff44' : '#ff4444'}">${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%</span>`;
+        const html = '<table><thead><tr><th>Sleeve</th><th>Start weight</th><th>End weight</th><th>Return</th><th>Sharpe</th><th>Max drawdown</th><th>Trades</th><th>Contribution</th></tr></thead><tbody>' +
+            result.sleeves.map(s =>
+                `<tr><td>${s.name}</td><td>${(s.weight * 100).toFixed(1)}%</td><td>${(s.finalWeight * 100).toFixed(1)}%</td><td>${pct(s.metrics.totalReturn)}</td>` +
+                `<td>${s.metrics.sharpe.toFixed(2)}</td><td>${(s.metrics.maxDrawdown * 100).toFixed(2)}%</td><td>${s.metrics.trades}</td>` +
+                `<td>$${Math.round(s.contribution).toLocaleString('en-US')}</td></tr>`
+            ).join('') +
+            '</tbody></table>';
+        return result.backtest.buildReport(result.metrics, [{ id: 'sec-sleeves', title: 'Sleeves', html }]);
+    }
+}
+
+/** Weights scaled to sum to 1, null if they sum to 0. */
+function normalize(weights) {
+    const sum = weights.reduce((s, w) => s + w, 0);
+    return sum > 0 ? weights.map(w => w / sum) : null;
+}
+
+/** A sleeve's scale for something that happened at `timestamp`: a rebalance takes effect after its bar. */
+function scaleAt(history, timestamp) {
+    let i = history.length - 1;
+    while (+history[i].timestamp >= +timestamp) i--;
+    return history[i].scale;
+}
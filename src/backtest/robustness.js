@@ -0,0 +1,239 @@
+import Backtest from './index.js';
+import { periodReturns, cagr, sharpeRatio, maxDrawdown, mean, percentile, histogram } from './stats.js';
+import { seededRandom } from '../utils.js';
+import chalk from 'chalk';
+
+/**
+ * Monte Carlo robustness analysis of a finished backtest.
+ *
+ * - Trade-order shuffling replays the closed trades' profits in random orders: the final
+ *   equity stays the same, but the drawdowns along the way show how much of the observed
+ *   max drawdown was luck of the sequence.
+ * - A circular block bootstrap resamples blocks of consecutive period returns of the equity
+ *   curve, keeping short-term autocorrelation, into new equity curves of the same length.
+ *
+ * @param {Backtest} backtest - A backtest that has been run
+ * @param {Object} [params]
+ * @param {number} [params.simulations=1000] - Resampled paths per method
+ * @param {number} [params.blockSize=20]     - Bars per bootstrap block
+ * @param {number} [params.confidence=0.95]  - Width of the confidence intervals
+ * @param {number} [params.ruin=0.5]         - A path is ruined once equity falls this fraction below the starting cash
+ * @param {number} [params.seed=1]           - Random seed, so an analysis can be repeated
+ * @throws {TypeError} on invalid parameters
+ */
+export default class Robustness {
+    constructor(backtest, { simulations = 1000, blockSize = 20, confidence = 0.95, ruin = 0.5, seed = 1 } = {}) {
+        if (!(backtest instanceof Backtest)) {
+            throw new TypeError('backtest must be an instance of Backtest');
+        }
+        if (backtest.equityCurve.length < 2) {
+            throw new TypeError('backtest must be run before its robustness is analysed');
+        }
+        if (!Number.isInteger(simulations) || simulations < 1) {
+            throw new TypeError('simulations must be an integer >= 1');
+        }
+        if (!Number.isInteger(blockSize) || blockSize < 1) {
+            throw new TypeError('blockSize must be an integer >= 1');
+        }
+        if (!(confidence > 0 && confidence < 1)) {
+            throw new TypeError('confidence must be between 0 and 1');
+        }
+        if (!(ruin > 0 && ruin <= 1)) {
+            throw new TypeError('ruin must be between 0 and 1');
+        }
+
+        this.backtest = backtest;
+        this.simulations = simulations;
+        this.blockSize = blockSize;
+        this.confidence = confidence;
+        this.ruin = ruin;
+        this.seed = seed;
+    }
+
+    /**
+     * Observed value, mean, median and confidence interval of simulated values.
+     * @param {number} observed
+     * @param {number[]} values
+     */
+    summarize(observed, values) {
+        const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+        const tail = (1 - this.confidence) / 2;
+        return {
+            observed,
+            mean: mean(sorted),
+            median: percentile(sorted, 0.5),
+            lower: percentile(sorted, tail),
+            upper: percentile(sorted, 1 - tail),
+            values: sorted,
+        };
+    }
+
+    /** Whether an equity path ever falls to the ruin level. */
+    isRuined(series) {
+        const level = this.backtest.startCashBalance * (1 - this.ruin);
+        return series.some(eq => eq <= level);
+    }
+
+    /**
+     * Replays the trades' profits in random orders.
+     * @param {() => number} random
+     * @returns {{ maxDrawdown: Object, ruin: number }|null} null with fewer than 2 trades
+     */
+    shuffleTrades(random) {
+        const profits = this.backtest.trades.map(t => t.profit);
+        if (profits.length < 2) return null;
+
+        const start = this.backtest.startCashBalance;
+        const observed = [start];
+        for (const profit of profits) observed.push(observed.at(-1) + profit);
+
+        const drawdowns = [];
+        let ruined = 0;
+        for (let s = 0; s < this.simulations; s++) {
+            // Fisher-Yates
+            for (let i = profits.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [profits[i], profits[j]] = [profits[j], profits[i]];
+            }
+            const series = [start];
+            for (const profit of profits) series.push(series.at(-1) + profit);
+            drawdowns.push(maxDrawdown(series));
+            if (this.isRuined(series)) ruined++;
+        }
+        return {
+            maxDrawdown: this.summarize(maxDrawdown(observed), drawdowns),
+            ruin: ruined / this.simulations,
+        };
+    }
+
+    /**
+     * Circular block bootstrap of the equity curve's period returns.
+     * @param {() => number} random
+     * @returns {{ CAGR: Object, sharpe: Object, maxDrawdown: Object, ruin: number }}
+     */
+    bootstrap(random) {
+        const bt = this.backtest;
+        const series = bt.equityCurve.toSorted((a, b) => a[0] - b[0]).map(e => e[1]);
+        const rets = periodReturns(series);
+        const n = rets.length;
+        const span = bt.endDate - bt.startDate;
+        const periodsPerYear = bt.periodsPerYear();
+        const blockSize = Math.min(this.blockSize, n);
+
+        const values = { CAGR: [], sharpe: [], maxDrawdown: [] };
+        let ruined = 0;
+        for (let s = 0; s < this.simulations; s++) {
+            const sample = [];
+            while (sample.length < n) {
+                const from = Math.floor(random() * n);
+                for (let k = 0; k < blockSize && sample.length < n; k++) {
+                    sample.push(rets[(from + k) % n]);
+                }
+            }
+            const path = [bt.startCashBalance];
+            for (const r of sample) path.push(path.at(-1) * (1 + r));
+            values.CAGR.push(cagr(path.at(-1) / bt.startCashBalance - 1, span));
+            values.sharpe.push(sharpeRatio(sample, periodsPerYear));
+            values.maxDrawdown.push(maxDrawdown(path));
+            if (this.isRuined(path)) ruined++;
+        }
+        return {
+            CAGR: this.summarize(cagr(series.at(-1) / bt.startCashBalance - 1, span), values.CAGR),
+            sharpe: this.summarize(sharpeRatio(rets, periodsPerYear), values.sharpe),
+            maxDrawdown: this.summarize(maxDrawdown(series), values.maxDrawdown),
+            ruin: ruined / this.simulations,
+        };
+    }
+
+    /**
+     * Runs both resampling methods.
+     * @returns {Object} `{ simulations, confidence, ruinLevel, tradeShuffle, bootstrap, probabilityOfRuin }`.
+     *          Each statistic is `{ observed, mean, median, lower, upper, values }` with `values` sorted;
+     *          `probabilityOfRuin` is the larger of the two methods' estimates.
+     */
+    run() {
+        const random = seededRandom(this.seed);
+        const tradeShuffle = this.shuffleTrades(random);
+        const bootstrap = this.bootstrap(random);
+        return {
+            simulations: this.simulations,
+            confidence: this.confidence,
+            ruinLevel: this.ruin,
+            tradeShuffle,
+            bootstrap,
+            probabilityOfRuin: Math.max(bootstrap.ruin, tradeShuffle?.ruin ?? 0),
+        };
+    }
+
+    /**
+     * Prints the confidence intervals and the probability of ruin.
+     * @param {Object} result - Result of `run`
+     */
+    logResults(result) {
+        const pct = v => `${(v * 100).toFixed(1)}%`;
+        const row = (label, s, fmt) => console.log(
+            `${label.padEnd(18)}: ${chalk.white(fmt(s.observed).padEnd(9))}` +
+            chalk.gray(`median ${fmt(s.median)}, ${Math.round(result.confidence * 100)}% CI `) +
+            chalk.cyan(`[${fmt(s.lower)}, ${fmt(s.upper)}]`)
+        );
+
+        console.log('\n' + chalk.bold(`=== ROBUSTNESS (${result.simulations} simulations) ===`));
+        console.log(chalk.gray('Block bootstrap of period returns'));
+        row('CAGR', result.bootstrap.CAGR, pct);
+        row('Sharpe', result.bootstrap.sharpe, v => v.toFixed(2));
+        row('Max draw-down', result.bootstrap.maxDrawdown, pct);
+        if (result.tradeShuffle) {
+            console.log(chalk.gray('Trade-order shuffle'));
+            row('Max draw-down', result.tradeShuffle.maxDrawdown, pct);
+        }
+        const ruinColor = result.probabilityOfRuin === 0 ? 'greenBright' : result.probabilityOfRuin < 0.05 ? 'yellowBright' : 'redBright';
+        console.log(`Probability of ruin: ${chalk[ruinColor](pct(result.probabilityOfRuin))} ` +
+            chalk.gray(`(equity ${pct(result.ruinLevel)} below the starting cash)`));
+    }
+
+    /**
+     * Report section with a histogram per statistic, the confidence interval highlighted.
+     * @param {Object} result - Result of `run`
+     * @returns {{ id: string, title: string, html: string, js: string }}
+     */
+    section(result) {
+        const charts = [
+            { name: 'CAGR (bootstrap)', stat: result.bootstrap.CAGR, scale: 100, unit: '%' },
+            { name: 'Sharpe (bootstrap)', stat: result.bootstrap.sharpe, scale: 1, unit: '' },
+            { name: 'Max draw-down (bootstrap)', stat: result.bootstrap.maxDrawdown, scale: 100, unit: '%' },
+        ];
+        if (result.tradeShuffle) {
+            charts.push({ name: 'Max draw-down (trade shuffle)', stat: result.tradeShuffle.maxDrawdown, scale: 100, unit: '%' });
+        }
+        const ci = `${Math.round(result.confidence * 100)}% CI`;
+        const fmt = (v, c) => `${(v * c.scale).toFixed(2)}${c.unit}`;
+
+        const html = '<table><thead><tr><th>Statistic</th><th>Observed</th><th>Median</th><th>' + ci + '</th></tr></thead><tbody>' +
+            charts.map(c => `<tr><td>${c.name}</td><td>${fmt(c.stat.observed, c)}</td><td>${fmt(c.stat.median, c)}</td><td>${fmt(c.stat.lower, c)} → ${fmt(c.stat.upper, c)}</td></tr>`).join('') +
+            `<tr><td>Probability of ruin (−${(result.ruinLevel * 100).toFixed(0)}%)</td><td colspan="3">${(result.probabilityOfRuin * 100).toFixed(2)}%</td></tr>` +
+            '</tbody></table>' +
+            charts.map((c, idx) => `<h3>${c.name}</h3>\n<div class="cw"><canvas id="rbChart${idx}"></canvas></div>`).join('\n');
+
+        const js = charts.map((c, idx) => {
+            const { edges, counts } = histogram(c.stat.values);
+            const labels = edges.map(e => (e * c.scale).toFixed(2));
+            const colors = edges.map((e, i) => {
+                const next = edges[i + 1] ?? Infinity;
+                return next > c.stat.lower && e <= c.stat.upper ? 'rgba(68,255,68,0.7)' : 'rgba(120,120,130,0.6)';
+            });
+            return `new Chart(document.getElementById('rbChart${idx}'),{type:'bar',data:{labels:${JSON.stringify(labels)},datasets:[{label:'Simulations (green: ${ci})',data:${JSON.stringify(counts)},backgroundColor:${JSON.stringify(colors)},borderWidth:0}]},options:{responsive:true,maintainAspectRatio:false,scales:{y:{title:{display:true,text:'Count'},grid:{color:'#2a2a2e'}},x:{title:{display:true,text:${JSON.stringify(c.unit || c.name)}},grid:{color:'#2a2a2e'},ticks:{maxRotation:45,maxTicksLimit:15}}},plugins:{legend:{position:'top'}}}});`;
+        }).join('\n');
+
+        return { id: 'sec-robustness', title: 'Robustness', html, js };
+    }
+
+    /**
+     * Builds the backtest's HTML report with the robustness section added.
+     * @param {Object} result - Result of `run`
+     * @param {Object} [metrics] - Metrics of the backtest, computed if not given
+     * @returns {string}
+     */
+    buildReport(result, metrics = this.backtest.getMetrics()) {
+        return this.backtest.buildReport(metrics, [this.section(result)]);
+    }
+}
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { formatDate, formatQuantity } from '../utils.js';
+
+const csvColumns = ['date', 'stockName', 'side', 'type', 'quantity', 'price', 'value', 'limitPrice', 'stopPrice', 'tif', 'reason'];
+
+/**
+ * What a strategy wants to trade on one bar, collected by `Backtest.scan` instead of executing.
+ * Every `buy`, `sell`, `buyNotional`, `sellNotional`, `placeOrder` and `rebalance` trade is a
+ * signal; orders the broker would refuse are kept with their `reason`.
+ */
+export default class SignalList {
+    /**
+     * @param {Date} date                        - The bar the strategy was run on
+     * @param {Object<string, number>} holdings  - Shares held when it ran, by ticker
+     */
+    constructor(date, holdings) {
+        this.date = date;
+        this.holdings = holdings;
+        this.signals = [];  // { stockName, side, type, quantity, price, value, limitPrice, stopPrice, tif, features, reason }
+        this.states = {};   // the strategy's state of each stock after the scan, set by `Backtest.scan`
+    }
+
+    /**
+     * @param {Order} order
+     * @param {number} price - Price the quantity was sized at, the close for market orders
+     */
+    add(order, price) {
+        this.signals.push({
+            stockName: order.stockName,
+            side: order.side,
+            type: order.type,
+            quantity: order.qty,
+            price,
+            value: order.qty * price,
+            limitPrice: order.limitPrice ?? null,
+            stopPrice: order.stopPrice ?? null,
+            tif: order.tif,
+            features: order.features,
+            reason: order.reason,
+        });
+    }
+
+    /** Signals the broker would accept. */
+    get accepted() {
+        return this.signals.filter(s => !s.reason);
+    }
+
+    /**
+     * Net change of each position the accepted signals ask for, next to the holdings.
+     * @param {Object<string, number>} [holdings] - Shares held by ticker, the scan's by default
+     * @returns {{ stockName: string, held: number, change: number, target: number, action: 'open'|'add'|'reduce'|'close'|'reverse'|'hold' }[]}
+     *          One row per ticker held or signalled, by ticker
+     */
+    diff(holdings = this.holdings) {
+        const change = {};
+        for (const s of this.accepted) {
+            change[s.stockName] = (change[s.stockName] ?? 0) + (s.side === 'buy' ? s.quantity : -s.quantity);
+        }
+        const names = [...new Set([...Object.keys(holdings).filter(name => holdings[name]), ...Object.keys(change)])].sort();
+        return names.map(stockName => {
+            const held = holdings[stockName] ?? 0;
+            const delta = change[stockName] ?? 0;
+            // float leftovers of fractional quantities count as flat
+            const target = Math.abs(held + delta) < 1e-9 ? 0 : held + delta;
+            const action = Math.abs(delta) < 1e-9 ? 'hold'
+                : held === 0 ? 'open'
+                : target === 0 ? 'close'
+                : Math.sign(target) !== Math.sign(held) ? 'reverse'
+                : Math.abs(target) > Math.abs(held) ? 'add' : 'reduce';
+            return { stockName, held, change: delta, target, action };
+        });
+    }
+
+    /** Logs the signals, then the changes to the holdings. */
+    print() {
+        console.log('\n' + chalk.bold(`=== SIGNALS ${formatDate(this.date)} ===`));
+        if (this.signals.length === 0) {
+            console.log(chalk.gray('no signals'));
+        }
+        for (const s of this.signals) {
+            const limits = [s.limitPrice != null && `limit ${s.limitPrice}`, s.stopPrice != null && `stop ${s.stopPrice}`].filter(Boolean).join(' ');
+            console.log(
+                chalk.bold(`${s.stockName.padEnd(7)} `) +
+                (s.side === 'buy' ? chalk.greenBright('BUY  ') : chalk.redBright('SELL ')) +
+                chalk.white(`${formatQuantity(s.quantity)} ${s.type}${limits ? ' ' + limits : ''}`.padEnd(30)) +
+                chalk.gray(`@ $${s.price.toFixed(2)} ($${Math.round(s.value).toLocaleString('en-US')})`) +
+                (s.reason ? chalk.red(` rejected: ${s.reason}`) : '')
+            );
+        }
+        const changes = this.diff().filter(row => row.action !== 'hold');
+        if (changes.length > 0) {
+            console.log('\n' + chalk.bold('=== CHANGES TO HOLDINGS ==='));
+            for (const row of changes) {
+                console.log(chalk.bold(row.stockName.padEnd(7)) + ` ${row.action.padEnd(8)} ${formatQuantity(row.held)} → ${formatQuantity(row.target)}`);
+            }
+        }
+    }
+
+    /** @returns {Object} The date, holdings and signals, for `JSON.stringify` */
+    toJSON() {
+        return { date: this.date.toISOString(), holdings: this.holdings, signals: this.signals, changes: this.diff() };
+    }
+
+    /** @returns {string} One CSV row per signal */
+    toCSV() {
+        const escape = v => /[",\n]/.test(String(v ?? '')) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? '');
+        const date = this.date.toISOString();
+        const lines = [csvColumns.join(',')];
+        for (const s of this.signals) {
+            lines.push(csvColumns.map(column => column === 'date' ? date : s[column]).map(escape).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Writes the signals to a file, as JSON if the path ends with `.json` and CSV otherwise.
+     * @param {string} path
+     */
+    write(path) {
+        fs.writeFileSync(path, path.endsWith('.json') ? JSON.stringify(this, null, 2) + '\n' : this.toCSV());
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * Statistics shared by the metrics, robustness analysis and reports.
+ */
+
+const yearMs = 365 * 24 * 3600 * 1e3;
+
+/** Arithmetic mean, 0 for an empty array. */
+export function mean(xs) {
+    return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : 0;
+}
+
+/** Population standard deviation. */
+export function stdDev(xs) {
+    const m = mean(xs);
+    return Math.sqrt(mean(xs.map(x => (x - m) ** 2)));
+}
+
+/**
+ * Simple returns between consecutive values.
+ * @param {number[]} series - Equity values in time order
+ * @returns {number[]}
+ */
+export function periodReturns(series) {
+    const rets = [];
+    for (let i = 1; i < series.length; i++) {
+        rets.push(series[i] / series[i - 1] - 1);
+    }
+    return rets;
+}
+
+/**
+ * Compound annual growth rate.
+ * @param {number} totalReturn
+ * @param {number} ms - Length of the period in ms
+ */
+export function cagr(totalReturn, ms) {
+    return Math.pow(1 + totalReturn, yearMs / ms) - 1;
+}
+
+/**
+ * Annualised Sharpe ratio of period returns, with a zero risk-free rate.
+ * @param {number[]} rets
+ * @param {number} periodsPerYear
+ */
+export function sharpeRatio(rets, periodsPerYear) {
+    const sd = stdDev(rets);
+    return sd ? (mean(rets) / sd) * Math.sqrt(periodsPerYear) : 0;
+}
+
+/**
+ * Geometric mean of period returns.
+ * @param {number[]} rets
+ */
+export function geometricMean(rets) {
+    return Math.exp(mean(rets.map(r => Math.log(1 + r)))) - 1;
+}
+
+/**
+ * Worst peak-to-trough decline.
+ * @param {number[]} series - Equity values in time order
+ * @returns {number} A fraction <= 0
+ */
+export function maxDrawdown(series) {
+    let peak = series[0], maxDD = 0;
+    for (const eq of series) {
+        if (eq > peak) peak = eq;
+        const dd = (eq - peak) / peak;
+        if (dd < maxDD) maxDD = dd;
+    }
+    return maxDD;
+}
+
+/**
+ * Pearson correlation, null when undefined.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ */
+export function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+    const sumX = xs.reduce((a, b) => a + b, 0);
+    const sumY = ys.reduce((a, b) => a + b, 0);
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+    let num = 0, denX = 0, denY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i] - meanY;
+        num += dx * dy;
+        denX += dx * dx;
+        denY += dy * dy;
+    }
+    const den = Math.sqrt(denX * denY);
+    return den === 0 ? null : num / den;
+}
+
+/**
+ * Percentile of sorted values with linear interpolation.
+ * @param {number[]} sorted - Ascending
+ * @param {number} p - Between 0 and 1
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Bins values for a histogram.
+ * @param {number[]} values
+ * @param {number} [bins=30]
+ * @returns {{ edges: number[], counts: number[] }} `edges[i]` is the lower edge of bin i
+ */
+export function histogram(values, bins = 30) {
+    const min = Math.min(...values), max = Math.max(...values);
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    for (const v of values) {
+        counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+    }
+    return { edges: counts.map((_, i) => min + i * width), counts };
+}
+
+/**
+ * Population covariance.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ */
+export function covariance(xs, ys) {
+    const mx = mean(xs), my = mean(ys);
+    return mean(xs.map((x, i) => (x - mx) * (ys[i] - my)));
+}
+
+/**
+ * Values of a `[timestamp, value]` series at each timestamp: the latest value at or
+ * before it, null before the series starts.
+ * @param {(Date|number)[]} timestamps - Ascending
+ * @param {[Date|number, number][]} series - Ascending
+ * @returns {(number|null)[]}
+ */
+export function alignSeries(timestamps, series) {
+    const values = [];
+    let j = -1;
+    for (const ts of timestamps) {
+        while (j + 1 < series.length && +series[j + 1][0] <= +ts) j++;
+        values.push(j >= 0 ? series[j][1] : null);
+    }
+    return values;
+}
+
+/**
+ * Performance relative to a benchmark, from period returns over the same bars.
+ * Alpha is Jensen's alpha with a zero risk-free rate; capture ratios compare the mean
+ * returns over the bars where the benchmark rose (up) or fell (down).
+ * @param {number[]} rets
+ * @param {number[]} benchRets
+ * @param {number} periodsPerYear
+ * @returns {{ beta: number, alpha: number, correlation: number|null, trackingError: number, informationRatio: number, upCapture: number|null, downCapture: number|null }}
+ */
+export function relativeStats(rets, benchRets, periodsPerYear) {
+    const benchVar = covariance(benchRets, benchRets);
+    const beta = benchVar ? covariance(rets, benchRets) / benchVar : 0;
+    const alpha = (mean(rets) - beta * mean(benchRets)) * periodsPerYear;
+
+    const active = rets.map((r, i) => r - benchRets[i]);
+    const trackingError = stdDev(active) * Math.sqrt(periodsPerYear);
+    const informationRatio = trackingError ? mean(active) * periodsPerYear / trackingError : 0;
+
+    const capture = keep => {
+        const idx = benchRets.map((_, i) => i).filter(i => keep(benchRets[i]));
+        const bench = mean(idx.map(i => benchRets[i]));
+        return idx.length && bench ? mean(idx.map(i => rets[i])) / bench : null;
+    };
+
+    return {
+        beta,
+        alpha,
+        correlation: pearsonCorrelation(rets, benchRets),
+        trackingError,
+        informationRatio,
+        upCapture: capture(r => r > 0),
+        downCapture: capture(r => r < 0),
+    };
+}
+
+/**
+ * Annualised Sortino ratio: mean return over the downside deviation (returns below zero).
+ * @param {number[]} rets
+ * @param {number} periodsPerYear
+ */
+export function sortinoRatio(rets, periodsPerYear) {
+    const downside = Math.sqrt(mean(rets.map(r => Math.min(r, 0) ** 2)));
+    return downside ? (mean(rets) / downside) * Math.sqrt(periodsPerYear) : 0;
+}
+
+/**
+ * Ulcer index: root mean square of the drawdowns, as a fraction.
+ * @param {number[]} series - Equity values in time order
+ */
+export function ulcerIndex(series) {
+    let peak = series[0];
+    const squares = series.map(eq => {
+        if (eq > peak) peak = eq;
+        return ((eq - peak) / peak) ** 2;
+    });
+    return Math.sqrt(mean(squares));
+}
+
+/**
+ * How long the equity stays under water.
+ * @param {(Date|number)[]} timestamps
+ * @param {number[]} series - Equity values at `timestamps`
+ * @returns {{ maxDrawdownDuration: number, recoveryTime: number|null }} In ms: the longest time from a
+ *          peak until equity is back above it (or the end), and the time from the trough of the max
+ *          drawdown back to its peak, null if it never recovered
+ */
+export function drawdownDurations(timestamps, series) {
+    let peak = series[0], peakTs = +timestamps[0];
+    let maxDrawdownDuration = 0;
+    let maxDD = 0, troughTs = null, troughPeak = null, recoveryTime = null;
+    for (let i = 0; i < series.length; i++) {
+        const ts = +timestamps[i];
+        if (series[i] >= peak) {
+            if (troughPeak !== null && recoveryTime === null && peak === troughPeak) {
+                recoveryTime = ts - troughTs;
+            }
+            peak = series[i];
+            peakTs = ts;
+            continue;
+        }
+        maxDrawdownDuration = Math.max(maxDrawdownDuration, ts - peakTs);
+        const dd = (series[i] - peak) / peak;
+        if (dd < maxDD) {
+            maxDD = dd;
+            troughTs = ts;
+            troughPeak = peak;
+            recoveryTime = null;
+        }
+    }
+    return { maxDrawdownDuration, recoveryTime: maxDD < 0 ? recoveryTime : 0 };
+}
+
+/**
+ * Statistics of closed trades.
+ * @param {{ profit: number, timestamp: Date|number, entryTimestamp?: Date|number, mae?: number, mfe?: number }[]} trades - In closing order
+ */
+export function tradeStats(trades) {
+    const profits = trades.map(t => t.profit);
+    const wins = profits.filter(p => p > 0);
+    const losses = profits.filter(p => p < 0);
+    const grossWin = wins.reduce((s, p) => s + p, 0);
+    const grossLoss = -losses.reduce((s, p) => s + p, 0);
+
+    let maxWinStreak = 0, maxLossStreak = 0, streak = 0;
+    for (const p of profits) {
+        streak = p > 0 ? Math.max(streak, 0) + 1 : p < 0 ? Math.min(streak, 0) - 1 : 0;
+        maxWinStreak = Math.max(maxWinStreak, streak);
+        maxLossStreak = Math.max(maxLossStreak, -streak);
+    }
+
+    const held = trades.filter(t => t.entryTimestamp != null);
+    const excursions = trades.filter(t => t.mae != null);
+    return {
+        winRate: profits.length ? wins.length / profits.length : 0,
+        profitFactor: grossLoss ? grossWin / grossLoss : grossWin ? Infinity : 0,
+        expectancy: mean(profits),
+        payoffRatio: wins.length && losses.length ? mean(wins) / -mean(losses) : null,
+        maxWinStreak,
+        maxLossStreak,
+        avgHoldTime: mean(held.map(t => t.timestamp - t.entryTimestamp)),
+        avgMAE: mean(excursions.map(t => t.mae)),
+        avgMFE: mean(excursions.map(t => t.mfe)),
+    };
+}
@@ -4,7 +4,7 @@ import Candle from './candle.js';
 class Stock {
     constructor(name, granularity = 1000*60*60*24) {
         this.name = name;
-        this.volumes = new Column(Uint32Array);
+        this.volumes = new Column(Float64Array);  // not integers, so fractional and > 2^32 volumes fit
         this.opens = new Column(Float32Array);
         this.closes = new Column(Float32Array);
         this.highs = new Column(Float32Array);
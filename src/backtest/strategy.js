@@ -1,13 +1,32 @@
 import { allowedIntervals } from './consts.js';
+import { Indicator, IndicatorSet } from './indicators.js';
+import { Universe } from './universe.js';
+
+export const rebalancePeriods = ['day', 'week', 'month', 'quarter', 'year'];
+export const hooks = ['onStart', 'onEnd', 'onDayStart', 'onDayEnd', 'onFill', 'onOrderRejected', 'onDelisted'];
 
 export default class Strategy {
     /**
      * @param {Object} options
      * @param {Object[]} options.intervals         — Array of { name, count, main, preload }
-     * @param {Function} options.onTick           — Called each tick with context
-     * @throws {TypeError} on invalid intervals or onTick
+     * @param {Function} [options.onTick]         — Called each tick with context, optional with `rebalance`
+     * @param {Object} [options.rebalance]         — Scheduled rebalancing of all-stocks runs:
+     *                                               { every, weights: async (context) => targets, options }
+     * @param {Object} [options.indicators]        — Indicators of the main interval by name, e.g. { fast: sma(20) },
+     *                                               computed for each stock and passed in the tick context
+     * @param {Object} [options.universe]          — Filters of the stocks all-stocks runs pass to onTick, see Universe
+     * @param {Object} [options.state]             — Per-stock `state` object kept across ticks:
+     *                                               { initial: () => object, clearOnClose = false, clearOnDelist = true }
+     * @param {Function} [options.onStart]         — Called with the backtest before the first tick
+     * @param {Function} [options.onEnd]           — Called with the backtest after the last tick
+     * @param {Function} [options.onDayStart]      — Called with the backtest and the 'YYYY-MM-DD' day before its first tick
+     * @param {Function} [options.onDayEnd]        — Called with the backtest and the day after its last tick
+     * @param {Function} [options.onFill]          — Called with each fill: { stockName, side, quantity, price, fee, timestamp, order }
+     * @param {Function} [options.onOrderRejected] — Called with an order and the reason it was rejected
+     * @param {Function} [options.onDelisted]      — Called with the ticker of a delisted position and its `delisted` entry
+     * @throws {TypeError} on invalid intervals, onTick, rebalance, indicators, universe, state or hooks
      */
-    constructor({ intervals, onTick }) {
+    constructor({ intervals, onTick, rebalance = null, indicators = {}, universe = null, state = {}, onStart = null, onEnd = null, onDayStart = null, onDayEnd = null, onFill = null, onOrderRejected = null, onDelisted = null }) {
         if (typeof intervals !== 'object') {
             throw new TypeError('Intervals must be an object');
         }
@@ -24,9 +43,38 @@ export default class Strategy {
         if (mains.length !== 1) {
             throw new TypeError('Exactly one interval must have `main: true`');
         }
+        if (rebalance) {
+            if (!rebalancePeriods.includes(rebalance.every)) {
+                throw new TypeError(`\`rebalance.every\` must be one of ${rebalancePeriods.join(', ')}`);
+            }
+            if (typeof rebalance.weights !== 'function') {
+                throw new TypeError('`rebalance.weights` must be a function returning target weights');
+            }
+            onTick ??= async () => {};
+        }
         if (typeof onTick !== 'function') {
             throw new TypeError('`onTick` must be a function');
         }
+        if (typeof indicators !== 'object' || indicators === null) {
+            throw new TypeError('`indicators` must be an object');
+        }
+        for (const name in indicators) {
+            if (!(indicators[name] instanceof Indicator)) {
+                throw new TypeError(`Indicator \`${name}\` must be created with the indicators module`);
+            }
+        }
+
+        state = { initial: () => ({}), clearOnClose: false, clearOnDelist: true, ...state };
+        if (typeof state.initial !== 'function') {
+            throw new TypeError('`state.initial` must be a function returning the initial state');
+        }
+
+        const callbacks = { onStart, onEnd, onDayStart, onDayEnd, onFill, onOrderRejected, onDelisted };
+        for (const hook of hooks) {
+            if (callbacks[hook] !== null && typeof callbacks[hook] !== 'function') {
+                throw new TypeError(`\`${hook}\` must be a function`);
+            }
+        }
 
         for(let iv in intervals) {
             const interval = intervals[iv];
@@ -35,8 +83,47 @@ export default class Strategy {
             interval.preload = interval.main ? true : !!interval.preload;
         }
 
+        if (universe !== null && !(universe instanceof Universe)) {
+            universe = new Universe(universe);
+        }
+
+        // load enough bars before the start for every indicator to have warmed up
+        // and for the universe filters' history
+        const warmup = Math.max(0, ...Object.values(indicators).map(ind => ind.warmup), universe?.lookback ?? 0);
+        mains[0].count = Math.max(mains[0].count, warmup);
+
         this.intervals = intervals;
         this.mainInterval = mains[0];
         this.onTick = onTick;
+        this.rebalance = rebalance;
+        this.indicators = indicators;
+        this.universe = universe;
+        this.state = state;
+        Object.assign(this, callbacks);
+    }
+
+    /**
+     * @returns {Object} New per-stock state
+     */
+    createState() {
+        return this.state.initial();
+    }
+
+    /**
+     * Empties a stock's state back to the initial one, in place so references to it stay valid.
+     * @param {Object} state
+     */
+    resetState(state) {
+        for (const key of Object.keys(state)) {
+            delete state[key];
+        }
+        Object.assign(state, this.createState());
+    }
+
+    /**
+     * @returns {IndicatorSet|null} New state of the indicators for one stock, null without indicators
+     */
+    createIndicators() {
+        return Object.keys(this.indicators).length > 0 ? new IndicatorSet(this.indicators) : null;
     }
 }
@@ -0,0 +1,159 @@
+/**
+ * Which stocks of an all-stocks run the strategy's `onTick` gets, declared in the Strategy
+ * with `universe`. Stocks outside it are still marked to market and their orders still fill.
+ *
+ * @param {Object} params
+ * @param {number} [params.minPrice=0]            - Minimum close
+ * @param {number} [params.maxPrice=Infinity]     - Maximum close
+ * @param {number} [params.minDollarVolume=0]     - Minimum average close × volume over `dollarVolumePeriod` bars
+ * @param {number} [params.dollarVolumePeriod=20] - Bars of the dollar volume average
+ * @param {string[]} [params.exchanges]           - Allowed exchanges, looked up with the Backtest's `exchanges`
+ * @param {number} [params.minHistory=0]          - Minimum bars of history (listing age), the current one included
+ * @param {Function} [params.filter]              - `(stock) => boolean` on the tick's stock object, run last
+ * @throws {TypeError} on invalid parameters
+ */
+export class Universe {
+    constructor({ minPrice = 0, maxPrice = Infinity, minDollarVolume = 0, dollarVolumePeriod = 20, exchanges = null, minHistory = 0, filter = null } = {}) {
+        for (const [name, value] of Object.entries({ minPrice, maxPrice, minDollarVolume })) {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                throw new TypeError(`universe.${name} must be a number >= 0`);
+            }
+        }
+        if (!Number.isInteger(dollarVolumePeriod) || dollarVolumePeriod < 1) {
+            throw new TypeError('universe.dollarVolumePeriod must be an integer >= 1');
+        }
+        if (!Number.isInteger(minHistory) || minHistory < 0) {
+            throw new TypeError('universe.minHistory must be an integer >= 0');
+        }
+        if (exchanges !== null && (!Array.isArray(exchanges) || exchanges.some(e => typeof e !== 'string'))) {
+            throw new TypeError('universe.exchanges must be an array of exchange names');
+        }
+        if (filter !== null && typeof filter !== 'function') {
+            throw new TypeError('universe.filter must be a function');
+        }
+
+        this.minPrice = minPrice;
+        this.maxPrice = maxPrice;
+        this.minDollarVolume = minDollarVolume;
+        this.dollarVolumePeriod = dollarVolumePeriod;
+        this.exchanges = exchanges && new Set(exchanges);
+        this.minHistory = minHistory;
+        this.filter = filter;
+    }
+
+    /** Bars of history the filters look at. */
+    get lookback() {
+        return Math.max(this.minHistory, this.minDollarVolume > 0 ? this.dollarVolumePeriod : 0);
+    }
+
+    /**
+     * Average close × volume of the `period` bars up to `index`.
+     * @param {Stock} stock
+     * @param {number} index
+     * @param {number} period
+     * @returns {number|null} null with less history than `period`
+     */
+    static dollarVolume(stock, index, period) {
+        if (index + 1 < period) return null;
+        const closes = stock.closes.buffer, volumes = stock.volumes.buffer;
+        let sum = 0;
+        for (let i = index - period + 1; i <= index; i++) {
+            sum += closes[i] * volumes[i];
+        }
+        return sum / period;
+    }
+
+    /**
+     * @param {Object} item       - The stock's object in the tick context
+     * @param {Stock} stock       - Its loaded candles, which start at least `lookback` bars before the tick
+     * @param {number} index      - Index of the tick's candle in `stock`
+     * @param {string|null} exchange
+     * @returns {boolean} Whether the stock is in the universe on this tick
+     */
+    includes(item, stock, index, exchange) {
+        const price = item.candle.close;
+        if (price < this.minPrice || price > this.maxPrice) return false;
+        if (this.exchanges && !this.exchanges.has(exchange)) return false;
+        if (index + 1 < this.minHistory) return false;
+        if (this.minDollarVolume > 0) {
+            const dollarVolume = Universe.dollarVolume(stock, index, this.dollarVolumePeriod);
+            if (dollarVolume === null || dollarVolume < this.minDollarVolume) return false;
+        }
+        return this.filter ? !!this.filter(item) : true;
+    }
+}
+
+/** Scores of the stocks with a finite score, as [stockName, score]. */
+function scored(stocks, score) {
+    const result = [];
+    for (const stock of stocks) {
+        const value = score(stock);
+        if (Number.isFinite(value)) result.push([stock.stockName, value]);
+    }
+    return result;
+}
+
+/**
+ * Ranks stocks by a score, 1 for the lowest (the highest with `descending`), ties sharing
+ * their average rank. Stocks whose score isn't a finite number are left out.
+ * @param {Object[]} stocks - Stock objects of the tick context
+ * @param {(stock: Object) => number} score
+ * @param {Object} [options]
+ * @param {boolean} [options.descending=false]
+ * @returns {Object<string, number>} Ranks by stock name
+ */
+export function rank(stocks, score, { descending = false } = {}) {
+    const values = scored(stocks, score).sort((a, b) => descending ? b[1] - a[1] : a[1] - b[1]);
+    const ranks = {};
+    for (let i = 0; i < values.length;) {
+        let j = i;
+        while (j + 1 < values.length && values[j + 1][1] === values[i][1]) j++;
+        for (let k = i; k <= j; k++) ranks[values[k][0]] = (i + j) / 2 + 1;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+/**
+ * Percentile rank of each stock's score, 0 for the lowest to 1 for the highest (0.5 when alone).
+ * @param {Object[]} stocks
+ * @param {(stock: Object) => number} score
+ * @returns {Object<string, number>} Percentiles by stock name
+ */
+export function percentileRank(stocks, score) {
+    const ranks = rank(stocks, score);
+    const n = Object.keys(ranks).length;
+    return Object.fromEntries(Object.entries(ranks).map(([name, r]) => [name, n > 1 ? (r - 1) / (n - 1) : 0.5]));
+}
+
+/**
+ * Cross-sectional z-score of each stock's score (0 for all when the scores are equal).
+ * @param {Object[]} stocks
+ * @param {(stock: Object) => number} score
+ * @returns {Object<string, number>} Z-scores by stock name
+ */
+export function zScores(stocks, score) {
+    const values = scored(stocks, score);
+    const n = values.length;
+    const mean = values.reduce((sum, [, v]) => sum + v, 0) / n;
+    const sd = Math.sqrt(values.reduce((sum, [, v]) => sum + (v - mean) ** 2, 0) / n);
+    return Object.fromEntries(values.map(([name, v]) => [name, sd ? (v - mean) / sd : 0]));
+}
+
+/**
+ * The `n` stocks with the highest score (the lowest with `ascending`).
+ * @param {Object[]} stocks
+ * @param {number} n
+ * @param {(stock: Object) => number} score
+ * @param {Object} [options]
+ * @param {boolean} [options.ascending=false]
+ * @returns {Object[]} Stock objects, best first
+ */
+export function top(stocks, n, score, { ascending = false } = {}) {
+    return stocks
+        .map(stock => [stock, score(stock)])
+        .filter(([, value]) => Number.isFinite(value))
+        .sort((a, b) => ascending ? a[1] - b[1] : b[1] - a[1])
+        .slice(0, n)
+        .map(([stock]) => stock);
+}
@@ -0,0 +1,225 @@
+import Backtest from './index.js';
+import Strategy from './strategy.js';
+import { expandGrid } from '../utils.js';
+import { score as scoreMetrics, objectiveName } from './objectives.js';
+import chalk from 'chalk';
+import { add } from 'date-fns';
+import ms from 'ms';
+
+/**
+ * Walk-forward optimisation: picks the best parameters on each in-sample window,
+ * trades them on the out-of-sample window right after it, and stitches the
+ * out-of-sample runs into one backtest.
+ *
+ * @param {Object} params
+ * @param {(params: Object) => Strategy} params.strategy - Builds a strategy from a set of parameters
+ * @param {Object<string, any[]>|Object[]} params.params - Parameter grid (`{ SHORT_LEN: [10, 20], LONG_LEN: [50, 100] }`) or a list of parameter sets
+ * @param {Date}   params.startDate       - Start of the first in-sample window
+ * @param {Date}   params.endDate         - End of the last out-of-sample window
+ * @param {Object} params.inSample        - In-sample window length, a date-fns duration like `{ years: 2 }`
+ * @param {Object} params.outOfSample     - Out-of-sample window length, also the step between windows
+ * @param {boolean} [params.anchored=false] - Keep every in-sample window starting at `startDate`
+ * @param {string|Function} [params.objective='sharpe'] - 'sharpe', 'CAGR', 'calmar', another metric name, or `(metrics) => score`
+ * @param {string} [params.stockName]     - Run on one ticker, all tickers if not set
+ * @param {Object} params.backtest        - Other Backtest options (`startCashBalance`, `broker`, `logs`, ...)
+ * @throws {TypeError} on invalid parameters
+ */
+export default class WalkForward {
+    constructor({ strategy, params, startDate, endDate, inSample, outOfSample, anchored = false, objective = 'sharpe', stockName = null, backtest }) {
+        if (typeof strategy !== 'function') {
+            throw new TypeError('strategy must be a function returning a Strategy');
+        }
+        if (!(startDate instanceof Date) || !(endDate instanceof Date)) {
+            throw new TypeError('startDate and endDate must be instances of Date');
+        }
+        if (typeof inSample !== 'object' || typeof outOfSample !== 'object') {
+            throw new TypeError('inSample and outOfSample must be durations like { years: 2 }');
+        }
+        if (typeof objective !== 'string' && typeof objective !== 'function') {
+            throw new TypeError('objective must be a metric name or a function');
+        }
+        if (typeof backtest?.startCashBalance !== 'number') {
+            throw new TypeError('backtest.startCashBalance must be a number');
+        }
+
+        this.strategy = strategy;
+        this.paramSets = Array.isArray(params) ? params : expandGrid(params);
+        if (this.paramSets.length === 0) {
+            throw new TypeError('params must have at least one parameter set');
+        }
+        this.startDate = startDate;
+        this.endDate = endDate;
+        this.inSample = inSample;
+        this.outOfSample = outOfSample;
+        this.anchored = anchored;
+        this.objective = objective;
+        this.stockName = stockName;
+        this.backtestOptions = backtest;
+
+        this.windows = this.buildWindows();
+        if (this.windows.length === 0) {
+            throw new TypeError('The period is too short for one in-sample and out-of-sample window');
+        }
+    }
+
+    /**
+     * @returns {{ inSample: [Date, Date], outOfSample: [Date, Date] }[]}
+     */
+    buildWindows() {
+        const windows = [];
+        let inSampleStart = this.startDate;
+        let outOfSampleStart = add(this.startDate, this.inSample);
+        while (outOfSampleStart < this.endDate) {
+            let outOfSampleEnd = add(outOfSampleStart, this.outOfSample);
+            if (outOfSampleEnd > this.endDate) outOfSampleEnd = this.endDate;
+            windows.push({ inSample: [inSampleStart, outOfSampleStart], outOfSample: [outOfSampleStart, outOfSampleEnd] });
+            outOfSampleStart = outOfSampleEnd;
+            if (!this.anchored) inSampleStart = add(inSampleStart, this.outOfSample);
+        }
+        return windows;
+    }
+
+    /**
+     * Runs one backtest.
+     * @returns {Promise<{ bt: Backtest, metrics: Object }>}
+     */
+    async runBacktest(params, startDate, endDate, startCashBalance, logs) {
+        const strategy = this.strategy(params);
+        if (!(strategy instanceof Strategy)) {
+            throw new TypeError('strategy function must return a Strategy');
+        }
+        const bt = new Backtest({ ...this.backtestOptions, strategy, startDate, endDate, startCashBalance, logs });
+        const metrics = this.stockName ? await bt.runOnStock(this.stockName) : await bt.runOnAllStocks();
+        return { bt, metrics };
+    }
+
+    /**
+     * Runs every window. Each out-of-sample run starts with the equity the previous one ended with.
+     * @returns {Promise<Object>} `{ windows, metrics, backtest }`: per-window parameters and metrics,
+     *          metrics of the stitched out-of-sample runs, and the stitched Backtest (for `logMetrics`/`buildReport`)
+     * @throws {Error} when no parameter set could be run on a window's in-sample period
+     */
+    async run() {
+        const start = Date.now();
+        const results = [];
+        const runs = [];
+        let cash = this.backtestOptions.startCashBalance;
+
+        for (let i = 0; i < this.windows.length; i++) {
+            const { inSample, outOfSample } = this.windows[i];
+            console.log(chalk.bold(`=== WINDOW ${i + 1}/${this.windows.length} `) +
+                chalk.gray(`in-sample ${inSample[0].toISOString().slice(0, 10)} → ${inSample[1].toISOString().slice(0, 10)}, `) +
+                chalk.gray(`out-of-sample ${outOfSample[0].toISOString().slice(0, 10)} → ${outOfSample[1].toISOString().slice(0, 10)}`));
+
+            const candidates = [];
+            for (const params of this.paramSets) {
+                let score = -Infinity, metrics = null, error = null;
+                try {
+                    ({ metrics } = await this.runBacktest(params, inSample[0], inSample[1], this.backtestOptions.startCashBalance, {}));
+                    score = scoreMetrics(this.objective, metrics);
+                } catch (e) {
+                    // e.g. too little data in this window; the other parameter sets still compete
+                    error = e.message;
+                    console.log(chalk.white(`${JSON.stringify(params)} `) + chalk.red(error));
+                }
+                candidates.push({ params, score, metrics, error });
+            }
+            const scored = candidates.filter(c => c.metrics);
+            if (scored.length === 0) {
+                throw new Error(`No parameter set could be run in window ${i + 1}: ${candidates[0].error}`);
+            }
+            const best = scored.reduce((a, b) => b.score > a.score ? b : a);
+            console.log(chalk.cyan(`Best ${JSON.stringify(best.params)} (${objectiveName(this.objective)} ${best.score.toFixed(3)})`));
+
+            const run = await this.runBacktest(best.params, outOfSample[0], outOfSample[1], cash, this.backtestOptions.logs);
+            cash = run.bt.totalValue();
+            runs.push(run);
+            results.push({
+                inSample,
+                outOfSample,
+                params: best.params,
+                inSampleScore: best.score,
+                inSampleMetrics: best.metrics,
+                outOfSampleScore: scoreMetrics(this.objective, run.metrics),
+                outOfSampleMetrics: run.metrics,
+                candidates: candidates.map(({ params, score, error }) => ({ params, score, error })),
+            });
+        }
+
+        const backtest = this.stitch(runs);
+        console.log('Walk-forward finished in', ms(Date.now() - start));
+        return { windows: results, metrics: backtest.getMetrics(), backtest };
+    }
+
+    /**
+     * Joins the out-of-sample runs into one Backtest holding their equity curves, trades and totals.
+     * @param {{ bt: Backtest }[]} runs
+     * @returns {Backtest}
+     */
+    stitch(runs) {
+        const last = runs.at(-1).bt;
+        const bt = new Backtest({
+            ...this.backtestOptions,
+            strategy: last.strategy,
+            startDate: runs[0].bt.startDate,
+            endDate: last.endDate,
+        });
+        for (const { bt: run } of runs) {
+            bt.equityCurve.push(...run.equityCurve);
+            bt.trades.push(...run.trades);
+            bt.swaps.push(...run.swaps);
+            bt.orders.push(...run.orders);
+            bt.totalFees += run.totalFees;
+            bt.totalBorrowFees += run.totalBorrowFees;
+            bt.totalDividends += run.totalDividends;
+        }
+        bt.cashBalance = last.cashBalance;
+        bt.stockBalances = last.stockBalances;
+        bt.stockPrices = last.stockPrices;
+        bt.holdSince = last.holdSince;
+        bt.ledger = last.ledger;
+        bt.borrowFees = last.borrowFees;
+        bt.dividends = last.dividends;
+        if (runs.every(({ bt: run }) => run.benchmarkSeries)) {
+            // each run loads the benchmark from its own lookback start, so the series overlap
+            const series = new Map(runs.flatMap(({ bt: run }) => run.benchmarkSeries).map(p => [+p[0], p]));
+            bt.benchmarkSeries = [...series.values()].sort((a, b) => a[0] - b[0]);
+        }
+        return bt;
+    }
+
+    /**
+     * Prints the chosen parameters of each window, then the stitched out-of-sample summary.
+     * @param {Object} result - Result of `run`
+     */
+    logMetrics(result) {
+        console.log('\n' + chalk.bold('=== WALK-FORWARD WINDOWS ==='));
+        for (const w of result.windows) {
+            const ret = w.outOfSampleMetrics.totalReturn;
+            console.log(
+                chalk.gray(`${w.outOfSample[0].toISOString().slice(0, 10)} → ${w.outOfSample[1].toISOString().slice(0, 10)} `) +
+                chalk.white(`${JSON.stringify(w.params)} `.padEnd(30)) +
+                chalk.gray(`in-sample ${w.inSampleScore.toFixed(3)} | out-of-sample ${w.outOfSampleScore.toFixed(3)} `) +
+                chalk[ret >= 0 ? 'greenBright' : 'redBright'](`${ret >= 0 ? '+' : ''}${(ret * 100).toFixed(2)}%`)
+            );
+        }
+        result.backtest.logMetrics(result.metrics);
+    }
+
+    /**
+     * Builds the HTML report of the stitched out-of-sample backtest with a table of the windows.
+     * @param {Object} result - Result of `run`
+     * @returns {string}
+     */
+    buildReport(result) {
+        const fmt = d => d.toISOString().slice(0, 10);
+        const pct = v => `<span style="color:${v >= 0 ? '#44ff44' : '#ff4444'}">${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%</span>`;
+        const html = '<table><thead><tr><th>In-sample</th><th>Out-of-sample</th><th>Parameters</th><th>In-sample score</th><th>Out-of-sample score</th><th>Out-of-sample return</th></tr></thead><tbody>' +
+            result.windows.map(w =>
+                `<tr><td>${fmt(w.inSample[0])} → ${fmt(w.inSample[1])}</td><td>${fmt(w.outOfSample[0])} → ${fmt(w.outOfSample[1])}</td>` +
+                `<td>${JSON.stringify(w.params)}</td><td>${w.inSampleScore.toFixed(3)}</td><td>${w.outOfSampleScore.toFixed(3)}</td><td>${pct(w.outOfSampleMetrics.totalReturn)}</td></tr>`
+            ).join('') +
+            '</tbody></table>';
+        return result.backtest.buildReport(result.metrics, [{ id: 'sec-walk-forward', title: 'Walk-forward windows', html }]);
+    }
+}
@@ -9,24 +9,176 @@ import Broker from './base.js';
  * - FINRA TAF (sells only):   $0.000195 per share (max $9.79, qty cap 50,205)
  * - CAT fee (all executions): $0.0000265 per share
  *
+ * The REST methods (account, positions, orders, bars) are used by LiveRunner.
+ *
  * @param {number} slippage - slippage as a fraction (e.g. 0.001 = 0.1%)
  * @param {boolean} [paper=true] - use paper trading
  * @param {string} [apiKey] - Alpaca API key
  * @param {string} [apiSecret] - Alpaca API secret
+ * @param {Object} [options]
+ * @param {string} [options.url] - trading API base URL, instead of the paper/live one
+ * @param {string} [options.dataUrl='https://data.alpaca.markets'] - market data API base URL
+ * @param {string} [options.feed='iex'] - market data feed, 'iex' or 'sip'
+ *
+ * Execution rules: fractional shares to 9 decimals ($1 minimum) with day orders only, not
+ * sold short; extended hours for limit day orders only; prices in $0.01 ($0.0001 below $1).
+ * `options` can also set the Broker ones (`fractional`, `shortable`, `extendedHours`).
  */
 export default class Alpaca extends Broker {
-  constructor(slippage = 0, paper = true, apiKey, apiSecret) {
-    super();
+  constructor(slippage = 0, paper = true, apiKey, apiSecret, { url, dataUrl = 'https://data.alpaca.markets', feed = 'iex', ...rules } = {}) {
+    super({ fractional: true, quantityPrecision: 9, ...rules });
+    this.fractionalShorts = false;
+    this.minNotional = 1;
     this.slippage = slippage;
     this.paper = !!paper;
-    this.url = this.paper ? 'https://paper-api.alpaca.markets' : 'https://api.alpaca.markets';
+    this.url = url ?? (this.paper ? 'https://paper-api.alpaca.markets' : 'https://api.alpaca.markets');
+    this.dataUrl = dataUrl;
+    this.feed = feed;
     this.apiKey = apiKey;
     this.apiSecret = apiSecret;
   }
 
+  tickSize(price) {
+    return price >= 1 ? 0.01 : 0.0001;
+  }
+
+  validateOrder(order, state) {
+    const reason = super.validateOrder(order, state);
+    if (reason) return reason;
+    if (!Number.isInteger(order.qty) && (order.tif ?? 'day') !== 'day') {
+      return 'fractional orders must be day orders';
+    }
+    if (order.extendedHours && (order.type !== 'limit' || (order.tif ?? 'day') !== 'day')) {
+      return 'extended hours orders must be limit day orders';
+    }
+    return null;
+  }
+
+  /**
+   * Sends a request to the Alpaca API.
+   * @param {string} method
+   * @param {string} path - path and query, e.g. '/v2/orders?status=open'
+   * @param {Object} [body] - sent as JSON
+   * @param {string} [base=this.url]
+   * @returns {Promise<any>} the parsed response, null when it's empty
+   * @throws {Error} on a non-2xx response, with Alpaca's message
+   */
+  async request(method, path, body, base = this.url) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        'APCA-API-KEY-ID': this.apiKey ?? '',
+        'APCA-API-SECRET-KEY': this.apiSecret ?? '',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    if (!res.ok) {
+      let message = text;
+      try { message = JSON.parse(text).message ?? text; } catch {}
+      throw new Error(`Alpaca error ${res.status} on ${method} ${path}: ${message}`);
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  /** @returns {Promise<Object>} the account, with `cash` and `equity` as strings */
+  getAccount() {
+    return this.request('GET', '/v2/account');
+  }
+
+  /** @returns {Promise<Object[]>} open positions, `qty` negative for shorts */
+  getPositions() {
+    return this.request('GET', '/v2/positions');
+  }
+
+  /**
+   * @param {'open'|'closed'|'all'} [status='open']
+   * @returns {Promise<Object[]>}
+   */
+  getOrders(status = 'open') {
+    return this.request('GET', `/v2/orders?status=${status}&limit=500`);
+  }
+
+  /** @returns {Promise<Object>} */
+  getOrder(id) {
+    return this.request('GET', `/v2/orders/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Submits an order.
+   * @param {Object} order - { stockName, side, type, qty, limitPrice, stopPrice, tif, extendedHours, clientOrderId }, see Order
+   * @returns {Promise<Object>} Alpaca's order
+   */
+  submitOrder({ stockName, side, type = 'market', qty, limitPrice, stopPrice, tif = 'day', clientOrderId, extendedHours = false }) {
+    return this.request('POST', '/v2/orders', {
+      symbol: stockName,
+      side,
+      type: type === 'stopLimit' ? 'stop_limit' : type,
+      qty: String(qty),
+      time_in_force: tif,
+      limit_price: limitPrice != null ? String(limitPrice) : undefined,
+      stop_price: stopPrice != null ? String(stopPrice) : undefined,
+      client_order_id: clientOrderId,
+      extended_hours: extendedHours || undefined,
+    });
+  }
+
+  /**
+   * Replaces a working order.
+   * @param {string} id - Alpaca order id
+   * @param {Object} changes - Any of `qty`, `limitPrice`, `stopPrice`, `tif`
+   * @returns {Promise<Object>} the new order
+   */
+  replaceOrder(id, { qty, limitPrice, stopPrice, tif }) {
+    return this.request('PATCH', `/v2/orders/${encodeURIComponent(id)}`, {
+      qty: qty != null ? String(qty) : undefined,
+      limit_price: limitPrice != null ? String(limitPrice) : undefined,
+      stop_price: stopPrice != null ? String(stopPrice) : undefined,
+      time_in_force: tif,
+    });
+  }
+
+  /** @param {string} id - Alpaca order id */
+  cancelOrder(id) {
+    return this.request('DELETE', `/v2/orders/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Loads bars from the market data API, following the pages.
+   * @param {string[]} symbols
+   * @param {'1d'|'1h'|'5m'|'1m'} interval
+   * @param {Date} start
+   * @param {Date} end
+   * @returns {Promise<Object<string, Object[]>>} bars `{ t, o, h, l, c, v }` by symbol, oldest first
+   */
+  async getBars(symbols, interval, start, end) {
+    const timeframe = { '1d': '1Day', '1h': '1Hour', '5m': '5Min', '1m': '1Min' }[interval];
+    const bars = {};
+    let pageToken = null;
+    do {
+      const query = new URLSearchParams({
+        symbols: symbols.join(','),
+        timeframe,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        adjustment: 'all',
+        feed: this.feed,
+        limit: '10000',
+      });
+      if (pageToken) query.set('page_token', pageToken);
+      const page = await this.request('GET', `/v2/stocks/bars?${query}`, undefined, this.dataUrl);
+      for (const symbol in page.bars ?? {}) {
+        (bars[symbol] ??= []).push(...page.bars[symbol]);
+      }
+      pageToken = page.next_page_token;
+    } while (pageToken);
+    return bars;
+  }
+
   /**
    * Calculates total fees for an Alpaca equity trade.
-   * @param {number} quantity – number of shares
+   * @param {number} quantity – number of shares, may be fractional
    * @param {number} price    – price per share
    * @param {'buy'|'sell'} side
    * @returns {number} total fees in dollars
@@ -42,8 +194,9 @@ export default class Alpaca extends Broker {
 
     // 3) FINRA Trading Activity Fee (sells only)
     //    $0.000195/share, qty capped at 50,205, max $9.79/trade, rounded up to nearest penny
-    const finraTAF = side === 'sell'
-      ? Math.ceil(Math.min(Math.min(quantity, 50205) * 0.000195, 9.79) * 100) / 100
+    //    (fractional quantities too; toFixed drops float noise so exact cents aren't rounded up a cent)
+    const finraTAF = side === 'sell' && quantity > 0
+      ? Math.ceil(+(Math.min(Math.min(quantity, 50205) * 0.000195, 9.79) * 100).toFixed(6)) / 100
       : 0;
 
     // 4) Consolidated Audit Trail fee (all executions)
@@ -1,5 +1,157 @@
+import { orderTypes, timesInForce } from '../backtest/order.js';
+
+/**
+ * Base broker: no fees and no execution rules, so anything the engine can simulate is accepted.
+ *
+ * Besides `calculateFees`, a broker describes how it executes orders. The backtest engine
+ * checks every order with `validateOrder` (rejecting it with the reason) and rounds prices
+ * with `roundPrice`; rebalancing sizes positions with `roundQuantity`. Brokers with an API
+ * also send orders through `submitOrder`/`cancelOrder`.
+ *
+ * @param {Object} [params]
+ * @param {boolean} [params.fractional=true]      - Whether fractional shares can be traded
+ * @param {number} [params.quantityPrecision=9]   - Decimals of fractional quantities
+ * @param {string[]} [params.shortable]           - Tickers that can be shorted, all if not set
+ * @param {boolean} [params.extendedHours=true]   - Whether orders may trade outside the regular session
+ */
 export default class Broker {
+    constructor({ fractional = true, quantityPrecision = 9, shortable = null, extendedHours = true } = {}) {
+        if (!Number.isInteger(quantityPrecision) || quantityPrecision < 0) {
+            throw new TypeError('quantityPrecision must be an integer >= 0');
+        }
+        if (shortable !== null && !Array.isArray(shortable)) {
+            throw new TypeError('shortable must be an array of tickers');
+        }
+        this.fractional = !!fractional;
+        this.quantityPrecision = quantityPrecision;
+        this.shortable = shortable && new Set(shortable);
+        this.extendedHours = !!extendedHours;
+        this.orderTypes = orderTypes;          // order types accepted
+        this.timesInForce = timesInForce;      // times in force accepted
+        this.fractionalOrderTypes = orderTypes;  // order types accepted with a fractional quantity
+        this.fractionalShorts = true;          // whether fractional quantities can be sold short
+        this.minNotional = 0;                  // smallest fractional order, in $
+    }
+
     calculateFees(quantity, price, side) {
         return 0; // base class, no fees
     }
-}
\ No newline at end of file
+
+    /**
+     * @param {string} stockName
+     * @returns {boolean} Whether fractional shares of a stock can be traded
+     */
+    supportsFractional(stockName) {
+        return this.fractional;
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {boolean} Whether a stock can be sold short
+     */
+    isShortable(stockName) {
+        return !this.shortable || this.shortable.has(stockName);
+    }
+
+    /**
+     * Price increment of a stock at a price, null for none.
+     * @param {number} price
+     * @returns {number|null}
+     */
+    tickSize(price) {
+        return null;
+    }
+
+    /**
+     * Rounds a quantity towards zero to what can be traded: whole shares, or fractional ones to `quantityPrecision`.
+     * @param {number} quantity
+     * @param {string} stockName
+     * @returns {number}
+     */
+    roundQuantity(quantity, stockName) {
+        if (!this.supportsFractional(stockName)) {
+            return Math.trunc(quantity);
+        }
+        const scale = 10 ** this.quantityPrecision;
+        // the small epsilon keeps 0.3 / 0.1 style results from losing a step
+        return Math.trunc(quantity * scale + Math.sign(quantity) * 1e-6) / scale;
+    }
+
+    /**
+     * Rounds a price to the tick size: down for buys and up for sells (so a limit never
+     * gets worse), to the nearest tick without a side.
+     * @param {number} price
+     * @param {'buy'|'sell'} [side]
+     * @returns {number}
+     */
+    roundPrice(price, side) {
+        const tick = this.tickSize(price);
+        if (!tick) return price;
+        const steps = price / tick;
+        const rounded = side === 'buy' ? Math.floor(steps + 1e-9) : side === 'sell' ? Math.ceil(steps - 1e-9) : Math.round(steps);
+        return +(rounded * tick).toFixed(10);
+    }
+
+    /**
+     * Checks an order against the broker's rules.
+     * @param {Object} order   - { stockName, side, type, qty, limitPrice, stopPrice, tif, extendedHours }, see Order
+     * @param {Object} [state]
+     * @param {number} [state.position=0] - Shares held before the order, negative when short
+     * @param {number} [state.price]      - Current price, for the minimum notional
+     * @returns {string|null} Why the broker rejects the order, null if it accepts it
+     */
+    validateOrder(order, { position = 0, price } = {}) {
+        const { stockName, side, type = 'market', qty, tif = 'day' } = order;
+        if (!this.orderTypes.includes(type)) {
+            return `${type} orders are not supported`;
+        }
+        if (!this.timesInForce.includes(tif)) {
+            return `time in force ${tif} is not supported`;
+        }
+        if (order.extendedHours && !this.extendedHours) {
+            return 'extended hours trading is not supported';
+        }
+        const fractional = !Number.isInteger(qty);
+        if (fractional) {
+            if (!this.supportsFractional(stockName)) {
+                return `fractional shares of ${stockName} are not supported`;
+            }
+            if (Math.abs(this.roundQuantity(qty, stockName) - qty) > 1e-12) {
+                return `quantity ${qty} has more than ${this.quantityPrecision} decimals`;
+            }
+            if (!this.fractionalOrderTypes.includes(type)) {
+                return `fractional ${type} orders are not supported`;
+            }
+            if (price !== undefined && qty * price < this.minNotional) {
+                return `fractional orders must be worth at least $${this.minNotional}`;
+            }
+        }
+        // floating point leftovers of fractional positions don't count as a short
+        const shorted = side === 'sell' && qty - Math.max(position, 0) > 1e-9 ? qty - Math.max(position, 0) : 0;
+        if (shorted > 0 && !this.isShortable(stockName)) {
+            return `${stockName} is not shortable`;
+        }
+        if (shorted > 0 && !Number.isInteger(shorted) && !this.fractionalShorts) {
+            return 'fractional short sales are not supported';
+        }
+        return null;
+    }
+
+    /**
+     * Sends an order to the broker. Simulated brokers accept it as is; brokers with an API override it.
+     * @param {Object} order - See Order
+     * @returns {Promise<{ id: string, status: string }>} The broker's order
+     */
+    async submitOrder(order) {
+        return { id: String(order.id), status: 'accepted' };
+    }
+
+    /**
+     * Cancels an order sent with `submitOrder`.
+     * @param {string} id - The broker's order id
+     * @returns {Promise<any>}
+     */
+    async cancelOrder(id) {
+        return null;
+    }
+}
@@ -10,19 +10,26 @@ export default class IBKR extends Broker {
     /**
      * @param {'fixed'|'tiered'} feeType
      * @param {number} slippage - slippage in percentage
+     * @param {Object} [options] - Execution rules, see Broker. Fractional shares to 4 decimals by default,
+     *                             not sold short; prices in $0.01 ($0.0001 below $1).
      */
-    constructor(feeType = 'tiered', slippage = 0) {
-        super();
+    constructor(feeType = 'tiered', slippage = 0, options = {}) {
+        super({ fractional: true, quantityPrecision: 4, ...options });
         if (!['fixed', 'tiered'].includes(feeType)) {
             throw new TypeError('feeType must be "fixed" or "tiered"');
         }
         this.feeType = feeType;
         this.slippage = slippage;
+        this.fractionalShorts = false;
+    }
+
+    tickSize(price) {
+        return price >= 1 ? 0.01 : 0.0001;
     }
 
     /**
      * Calculates commission fees per IBKR model.
-     * @param {number} quantity – number of shares
+     * @param {number} quantity – number of shares, may be fractional
      * @param {number} price    – price per share
      * @param {'buy'|'sell'} side
      * @returns {number} fee in dollars
@@ -38,7 +45,7 @@ export default class IBKR extends Broker {
             perShare = 0.0035;
             minFee   = 0.35;
         }
-        // base commission
+        // base commission; the 1% cap below keeps the minimum from swamping small fractional orders
         let commission = quantity * perShare;
         if (commission < minFee) commission = minFee;
         const maxCommission = notional * 0.01;
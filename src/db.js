@@ -15,57 +15,121 @@ const sql = postgres(`postgres://${USERNAME}:${PASSWORD}@${HOST}:${PORT}/${DATAB
     },
 });
 
-await sql`
-CREATE TABLE IF NOT EXISTS candles_1d (
-        ticker SYMBOL CAPACITY 30000,
-        open DOUBLE,
-        high DOUBLE,
-        low DOUBLE,
-        close DOUBLE,
-        volume LONG,
-        timestamp TIMESTAMP
-    ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY MONTH
-    DEDUP UPSERT KEYS(timestamp, ticker)
-`;
+let tables = null;
 
-await sql`
-    CREATE TABLE IF NOT EXISTS candles_1m (
-        ticker SYMBOL CAPACITY 30000,
-        open DOUBLE,
-        high DOUBLE,
-        low DOUBLE,
-        close DOUBLE,
-        volume LONG,
-        timestamp TIMESTAMP
-    ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY DAY
-    DEDUP UPSERT KEYS(timestamp, ticker)
-`;
+/**
+ * Creates the tables if they don't exist yet. Runs once per process, on the first
+ * call, so importing this module doesn't touch the database (the backtest engine
+ * imports it through the loader, and its tests run without QuestDB). A call that
+ * fails is retried by the next one.
+ * @returns {Promise<void>}
+ */
+export function createTables() {
+    tables ??= (async () => {
+        await sql`
+        CREATE TABLE IF NOT EXISTS candles_1d (
+                ticker SYMBOL CAPACITY 30000,
+                open DOUBLE,
+                high DOUBLE,
+                low DOUBLE,
+                close DOUBLE,
+                volume LONG,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY MONTH
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
 
-await sql`
-    CREATE TABLE IF NOT EXISTS candles_5m (
-        ticker SYMBOL CAPACITY 30000,
-        open DOUBLE,
-        high DOUBLE,
-        low DOUBLE,
-        close DOUBLE,
-        volume LONG,
-        timestamp TIMESTAMP
-    ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY DAY
-    DEDUP UPSERT KEYS(timestamp, ticker)
-`;
+        await sql`
+            CREATE TABLE IF NOT EXISTS candles_1m (
+                ticker SYMBOL CAPACITY 30000,
+                open DOUBLE,
+                high DOUBLE,
+                low DOUBLE,
+                close DOUBLE,
+                volume LONG,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY DAY
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
 
-await sql`
-    CREATE TABLE IF NOT EXISTS candles_1h (
-        ticker SYMBOL CAPACITY 30000,
-        open DOUBLE,
-        high DOUBLE,
-        low DOUBLE,
-        close DOUBLE,
-        volume LONG,
-        timestamp TIMESTAMP
-    ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY DAY
-    DEDUP UPSERT KEYS(timestamp, ticker)
-`;
+        await sql`
+            CREATE TABLE IF NOT EXISTS candles_5m (
+                ticker SYMBOL CAPACITY 30000,
+                open DOUBLE,
+                high DOUBLE,
+                low DOUBLE,
+                close DOUBLE,
+                volume LONG,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY DAY
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS candles_1h (
+                ticker SYMBOL CAPACITY 30000,
+                open DOUBLE,
+                high DOUBLE,
+                low DOUBLE,
+                close DOUBLE,
+                volume LONG,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY DAY
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
+
+        // unadjusted prices, for backtests with `prices: 'unadjusted'`
+        for (const interval of ['1d', '1h', '5m', '1m']) {
+            await sql`
+                CREATE TABLE IF NOT EXISTS ${sql(`candles_${interval}_raw`)} (
+                    ticker SYMBOL CAPACITY 30000,
+                    open DOUBLE,
+                    high DOUBLE,
+                    low DOUBLE,
+                    close DOUBLE,
+                    volume LONG,
+                    timestamp TIMESTAMP
+                ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY ${interval === '1d' ? sql`MONTH` : sql`DAY`}
+                DEDUP UPSERT KEYS(timestamp, ticker)
+            `;
+        }
+
+        // corporate actions, timestamp is the ex-date (midnight New York time)
+        await sql`
+            CREATE TABLE IF NOT EXISTS splits (
+                ticker SYMBOL CAPACITY 30000,
+                split_from DOUBLE,
+                split_to DOUBLE,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY YEAR
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS dividends (
+                ticker SYMBOL CAPACITY 30000,
+                amount DOUBLE,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY YEAR
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
+
+        // return from the last traded price to the delisting value, for `delisting: { policy: 'returns' }`
+        await sql`
+            CREATE TABLE IF NOT EXISTS delisting_returns (
+                ticker SYMBOL CAPACITY 30000,
+                delisting_return DOUBLE,
+                timestamp TIMESTAMP
+            ), INDEX(ticker) TIMESTAMP(timestamp) PARTITION BY YEAR
+            DEDUP UPSERT KEYS(timestamp, ticker)
+        `;
+    })().catch(e => {
+        // forget the failed attempt (e.g. QuestDB not up yet), so the next call tries again
+        tables = null;
+        throw e;
+    });
+    return tables;
+}
 
 export const sender = Sender.fromConfig(`http::addr=${HOST}:9000;username=${USERNAME};password=${PASSWORD};auto_flush_rows=1000;auto_flush_interval=3000;`)
 export { sql };
\ No newline at end of file
@@ -0,0 +1,557 @@
+import { appendFileSync } from 'fs';
+import Strategy from '../backtest/strategy.js';
+import Candle from '../backtest/candle.js';
+import Stock from '../backtest/stock.js';
+import Order from '../backtest/order.js';
+import { intervalMsMap } from '../backtest/consts.js';
+import { nyseCalendar } from '../backtest/calendar.js';
+import { rank, percentileRank, zScores, top } from '../backtest/universe.js';
+import Alpaca from '../brokers/alpaca.js';
+import { formatDate, formatQuantity } from '../utils.js';
+import chalk from 'chalk';
+
+// Alpaca order statuses that are final, as Order statuses
+const finalStatuses = {
+    filled: 'filled',
+    canceled: 'cancelled',
+    done_for_day: 'cancelled',
+    stopped: 'cancelled',
+    expired: 'expired',
+    rejected: 'rejected',
+};
+
+/**
+ * End time of an Alpaca bar, as the engine stamps bars: Alpaca stamps them at their start,
+ * daily bars at midnight New York time, the engine at their end and daily bars at the
+ * session's regular close.
+ * @param {Object} bar            - Alpaca's bar, `t` is its start
+ * @param {string} interval
+ * @param {TradingCalendar} calendar
+ * @returns {number|null} null for bars that don't end inside a session (pre- and after-market)
+ */
+function barEnd(bar, interval, calendar) {
+    const start = Date.parse(bar.t);
+    const session = calendar.session(start);
+    if (!session) return null;
+    if (interval === '1d') return session.regularClose;
+    const end = start + intervalMsMap[interval];
+    return end > session.open && end <= session.close ? end : null;
+}
+
+/**
+ * An order that can't be created because its parameters are invalid, already rejected.
+ * @returns {Order}
+ */
+function invalidOrder(fields, reason) {
+    return Object.assign(Object.create(Order.prototype), {
+        type: 'market', tif: 'day', ...fields, brokerId: null, status: 'rejected', reason, filledQty: 0, filledAt: null, fillPrice: null,
+    });
+}
+
+/**
+ * Runs a Strategy against Alpaca (paper or live) as new bars come in.
+ *
+ * Every `pollInterval` the runner loads the bars of the strategy's intervals from Alpaca's
+ * market data API. The first poll only loads the lookback (and warms up the indicators);
+ * after that each main-interval bar that completes triggers a tick: positions, cash and
+ * working orders are reconciled from the account, then `onTick` gets the same context as in
+ * a backtest. `buy`/`sell`/`placeOrder` send orders to Alpaca's orders endpoint instead of
+ * filling them locally. Everything the runner does is appended to the journal.
+ *
+ * @param {Object} params
+ * @param {Strategy} params.strategy
+ * @param {Alpaca} params.broker              - With the API keys, and `url`/`dataUrl` pointing at a stub in tests
+ * @param {string} [params.journal]           - JSON-lines file the journal entries are appended to
+ * @param {number} [params.pollInterval=15000] - Milliseconds between polls
+ * @param {TradingCalendar} [params.calendar] - Used for the lookback to load at start
+ * @param {Object<string, string>|Function} [params.exchanges] - Exchange of each ticker for the strategy's universe
+ * @param {Object} [params.logs]              - `{ orders: true }` prints orders and fills
+ * @param {Object<string, Object>} [params.states] - The strategy's state of each stock to start from, e.g. `runner.states` saved by an earlier run
+ * @throws {TypeError} on invalid parameters
+ */
+export default class LiveRunner {
+    constructor({ strategy, broker, journal = null, pollInterval = 15000, calendar = nyseCalendar, exchanges = {}, logs = { orders: true }, states = {} }) {
+        if (!(strategy instanceof Strategy)) {
+            throw new TypeError('strategy must be an instance of Strategy');
+        }
+        if (!(broker instanceof Alpaca)) {
+            throw new TypeError('broker must be an instance of Alpaca');
+        }
+        if (strategy.rebalance) {
+            throw new TypeError('Scheduled rebalancing is not supported by LiveRunner');
+        }
+        if (!(pollInterval > 0)) {
+            throw new TypeError('pollInterval must be > 0');
+        }
+
+        this.strategy = strategy;
+        this.broker = broker;
+        this.journalFile = journal;
+        this.pollInterval = pollInterval;
+        this.calendar = calendar;
+        this.exchanges = exchanges;
+        this.logs = logs;
+
+        this.stockNames = [];
+        this.all = false;
+        this.running = false;
+        this.wake = null;
+        this.runId = Date.now().toString(36);
+
+        this.cashBalance = 0;
+        this.equity = 0;
+        this.stockBalances = {};
+        this.stockPrices = {};
+        this.stockFeatures = {};  // features sent with the latest buy, cleared when the position is closed
+        this.candles = {};        // interval -> stock -> Candle[] oldest first
+        this.indicators = {};     // IndicatorSet of each stock
+        this.states = structuredClone(states);  // the strategy's state of each stock
+        this.lastTick = null;     // timestamp of the latest main bar ticked
+        this.orders = [];         // every order placed, in placement order
+        this.openOrders = {};     // working orders by stock
+        this.nextOrderId = 1;
+        this.journal = [];
+    }
+
+    /**
+     * Runs the strategy on one stock with the single-stock context, until `stop()`.
+     * @param {string} stockName
+     */
+    async runOnStock(stockName) {
+        await this.run([stockName], false);
+    }
+
+    /**
+     * Runs the strategy on a list of stocks with the all-stocks context, until `stop()`.
+     * @param {string[]} stockNames
+     */
+    async runOnAllStocks(stockNames) {
+        await this.run(stockNames, true);
+    }
+
+    async run(stockNames, all) {
+        if (!Array.isArray(stockNames) || stockNames.length === 0) {
+            throw new TypeError('stockNames must be a non-empty array of tickers');
+        }
+        this.stockNames = stockNames;
+        this.all = all;
+        this.running = true;
+        this.record('start', { stockNames, paper: this.broker.paper });
+        await this.reconcile();
+        while (this.running) {
+            try {
+                await this.poll();
+            } catch (e) {
+                this.record('error', { message: e.message });
+                console.error(chalk.redBright(`Live poll failed: ${e.message}`));
+            }
+            if (this.running) await this.sleep(this.pollInterval);
+        }
+        this.record('stop', {});
+    }
+
+    /** Stops the run after the current poll. */
+    stop() {
+        this.running = false;
+        this.wake?.();
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Adds an entry to the journal, and to the journal file if there is one.
+     * @param {string} type
+     * @param {Object} data
+     */
+    record(type, data) {
+        const entry = { time: new Date().toISOString(), type, ...data };
+        this.journal.push(entry);
+        if (this.journalFile) {
+            appendFileSync(this.journalFile, JSON.stringify(entry) + '\n');
+        }
+        return entry;
+    }
+
+    /**
+     * Loads the new complete bars of every interval, then ticks once per new main bar.
+     * @returns {Promise<number>} Number of ticks
+     */
+    async poll() {
+        const now = Date.now();
+        for (const iv in this.strategy.intervals) {
+            const interval = this.strategy.intervals[iv];
+            const byStock = this.candles[iv] ??= {};
+            const last = Math.min(...this.stockNames.map(s => byStock[s]?.at(-1)?.timestamp ?? -Infinity));
+            // Alpaca's start is a bar's start, which is at or after the end of the last one we have;
+            // a bar back more at first, as daily bars start at midnight before the session
+            const start = Number.isFinite(last) ? new Date(last) : new Date(this.calendar.lookbackStart(iv, new Date(now), interval.count + 1) - intervalMsMap[iv]);
+            const bars = await this.broker.getBars(this.stockNames, iv, start, new Date(now));
+            for (const stockName in bars) {
+                const candles = byStock[stockName] ??= [];
+                for (const bar of bars[stockName]) {
+                    const ts = barEnd(bar, iv, this.calendar);
+                    // the bar still forming isn't used
+                    if (ts === null || ts > now || ts <= (candles.at(-1)?.timestamp ?? -Infinity)) continue;
+                    candles.push(new Candle(bar.o, bar.h, bar.l, bar.c, bar.v, ts));
+                }
+                if (candles.length > interval.count * 2) {
+                    candles.splice(0, candles.length - interval.count * 2);
+                }
+            }
+        }
+
+        // new main bars, oldest first; the first poll only warms up
+        const main = this.strategy.mainInterval.name;
+        const pending = new Set();
+        for (const stockName of this.stockNames) {
+            for (const candle of this.candles[main][stockName] ?? []) {
+                const set = this.indicatorsOf(stockName);
+                if (set && candle.timestamp > set.lastTimestamp) set.update(candle);
+                if (this.lastTick !== null && candle.timestamp > this.lastTick) pending.add(candle.timestamp);
+            }
+        }
+        if (this.lastTick === null) {
+            this.lastTick = Math.max(...this.stockNames.map(s => this.candles[main][s]?.at(-1)?.timestamp ?? -Infinity));
+            this.record('warmup', { lastBar: Number.isFinite(this.lastTick) ? new Date(this.lastTick).toISOString() : null });
+            return 0;
+        }
+
+        const timestamps = [...pending].sort((a, b) => a - b);
+        for (const ts of timestamps) {
+            await this.reconcile();
+            await this.tick(ts);
+            this.lastTick = ts;
+        }
+        return timestamps.length;
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {IndicatorSet|null}
+     */
+    indicatorsOf(stockName) {
+        if (!(stockName in this.indicators)) {
+            this.indicators[stockName] = this.strategy.createIndicators();
+        }
+        return this.indicators[stockName];
+    }
+
+    /**
+     * @param {string} stockName
+     * @returns {Object} The strategy's state of a stock, created on first use
+     */
+    stateOf(stockName) {
+        if (!(stockName in this.states)) {
+            this.states[stockName] = this.strategy.createState();
+        }
+        return this.states[stockName];
+    }
+
+    /**
+     * Takes cash, positions and the state of the working orders from the account.
+     */
+    async reconcile() {
+        const [account, positions, open] = await Promise.all([
+            this.broker.getAccount(),
+            this.broker.getPositions(),
+            this.broker.getOrders('open'),
+        ]);
+        this.cashBalance = +account.cash;
+        this.equity = +account.equity;
+        const held = this.stockBalances;
+        this.stockBalances = {};
+        for (const position of positions) {
+            this.stockBalances[position.symbol] = +position.qty;
+            if (position.current_price != null) this.stockPrices[position.symbol] = +position.current_price;
+        }
+        for (const stockName in this.stockFeatures) {
+            if (!this.stockBalances[stockName]) delete this.stockFeatures[stockName];
+        }
+        if (this.strategy.state.clearOnClose) {
+            for (const stockName in held) {
+                if (!this.stockBalances[stockName] && this.states[stockName]) this.strategy.resetState(this.states[stockName]);
+            }
+        }
+
+        const openIds = new Set(open.map(o => o.id));
+        for (const stockName in this.openOrders) {
+            for (const order of [...this.openOrders[stockName]]) {
+                const remote = openIds.has(order.brokerId)
+                    ? open.find(o => o.id === order.brokerId)
+                    : await this.broker.getOrder(order.brokerId);
+                this.update(order, remote);
+            }
+        }
+        this.record('reconcile', { cash: this.cashBalance, equity: this.equity, positions: { ...this.stockBalances } });
+    }
+
+    /**
+     * Applies the state of an order on Alpaca to the local order.
+     * @param {Order} order
+     * @param {Object} remote - Alpaca's order
+     */
+    update(order, remote) {
+        const filledQty = +remote.filled_qty || 0;
+        if (filledQty > order.filledQty) {
+            order.filledQty = filledQty;
+            order.fillPrice = +remote.filled_avg_price;
+            order.filledAt = Date.parse(remote.filled_at ?? remote.updated_at) || Date.now();
+            this.record('fill', { id: order.id, brokerId: order.brokerId, stockName: order.stockName, side: order.side, filledQty, fillPrice: order.fillPrice, status: remote.status });
+            if (this.logs.orders) {
+                console.log(
+                    chalk.gray(`${formatDate(new Date(order.filledAt))} `) +
+                    chalk.bold(`${order.stockName.padEnd(7)} `) +
+                    (order.side === 'buy' ? chalk.greenBright('FILL BUY  ') : chalk.redBright('FILL SELL ')) +
+                    chalk.white(`${formatQuantity(filledQty)}/${formatQuantity(order.qty)} @ $${order.fillPrice.toLocaleString('en-US')}`)
+                );
+            }
+        }
+        const status = finalStatuses[remote.status];
+        if (!status) return;
+        order.status = status;
+        order.reason = remote.status;
+        if (status !== 'filled') {
+            this.record(status === 'rejected' ? 'reject' : 'cancel', { id: order.id, brokerId: order.brokerId, stockName: order.stockName, status: remote.status });
+        }
+        this.removeOpen(order);
+    }
+
+    removeOpen(order) {
+        const orders = this.openOrders[order.stockName];
+        if (!orders) return;
+        const index = orders.indexOf(order);
+        if (index !== -1) orders.splice(index, 1);
+        if (orders.length === 0) delete this.openOrders[order.stockName];
+    }
+
+    /**
+     * Candles of a stock up to `ts`, newest first.
+     * @returns {Candle[]|null} null if fewer than `count` have been loaded
+     */
+    getCandles(stockName, intervalName, count, ts) {
+        if (!this.strategy.intervals[intervalName]) {
+            throw new Error(`Interval ${intervalName} not found. You need to request it in the strategy constructor.`);
+        }
+        const candles = (this.candles[intervalName][stockName] ?? []).filter(c => c.timestamp <= ts);
+        if (candles.length < count) {
+            return null;
+        }
+        return candles.slice(-count).reverse();
+    }
+
+    /**
+     * Calls `onTick` for the main bar at `ts`.
+     * @param {number} ts
+     */
+    async tick(ts) {
+        const main = this.strategy.mainInterval.name;
+        const items = [];
+        for (const stockName of this.stockNames) {
+            const candles = this.candles[main][stockName] ?? [];
+            const index = candles.findLastIndex(c => c.timestamp === ts);
+            if (index === -1) continue;
+            const candle = candles[index];
+            this.stockPrices[stockName] = candle.close;
+            const item = {
+                stockName,
+                candle,
+                ctx: this,
+                stockBalance: this.stockBalances[stockName] || 0,
+                indicators: this.indicatorsOf(stockName)?.values ?? {},
+                state: this.stateOf(stockName),
+                _features: null,
+                features: this.stockFeatures[stockName] ?? null,
+                setFeatures(features) { this._features = features; },
+                getCandles: (intervalName, count, at = ts) => {
+                    if (at > ts) {
+                        throw new Error(`Requested candles in the future: ${at} > ${ts}`);
+                    }
+                    return this.getCandles(stockName, intervalName, count, at);
+                },
+                buy: (quantity, price) => this.placeOrder(stockName, { side: 'buy', type: 'market', qty: quantity, tif: 'day' }, ts, item._features, price),
+                sell: (quantity, price) => this.placeOrder(stockName, { side: 'sell', type: 'market', qty: quantity, tif: 'day' }, ts, item._features, price),
+                buyNotional: (amount, price = candle.close) => this.placeNotional(stockName, 'buy', amount, price, ts, item._features),
+                sellNotional: (amount, price = candle.close) => this.placeNotional(stockName, 'sell', amount, price, ts, item._features),
+                orders: this.openOrders[stockName] ?? [],
+                placeOrder: (params) => this.placeOrder(stockName, params, ts, item._features),
+                cancelOrder: (id) => this.cancelOrder(id),
+                modifyOrder: (id, changes) => this.modifyOrder(id, changes),
+            };
+            items.push({ item, candles, index });
+        }
+        this.record('tick', { timestamp: new Date(ts).toISOString(), stocks: items.length });
+
+        if (!this.all) {
+            if (items.length > 0) await this.strategy.onTick(items[0].item);
+            return;
+        }
+        const universe = [];
+        for (const { item, candles, index } of items) {
+            if (this.strategy.universe) {
+                const stock = new Stock(item.stockName, intervalMsMap[main]);
+                for (let i = 0; i <= index; i++) stock.pushCandle(candles[i]);
+                stock.finish();
+                const exchange = (typeof this.exchanges === 'function' ? this.exchanges(item.stockName) : this.exchanges[item.stockName]) ?? null;
+                if (!this.strategy.universe.includes(item, stock, index, exchange)) continue;
+            }
+            universe.push(item);
+        }
+        await this.strategy.onTick({
+            currentDate: new Date(ts),
+            ctx: this,
+            stocks: universe,
+            rank: (score, options) => rank(universe, score, options),
+            percentile: (score) => percentileRank(universe, score),
+            zscore: (score) => zScores(universe, score),
+            top: (n, score, options) => top(universe, n, score, options),
+        });
+    }
+
+    /**
+     * Sends an order to Alpaca, after rounding its prices to the tick size and checking it
+     * with the broker's `validateOrder`. Strategies usually don't await their orders, so
+     * nothing is thrown: an invalid order, or one the broker or Alpaca refuses, is returned
+     * with status 'rejected' and the reason, and journaled.
+     * @param {string} stockName
+     * @param {Object} params       - { side, type, qty, limitPrice, stopPrice, tif }, see Order
+     * @param {number} timestamp    - Bar the order was placed on
+     * @param {number[]} [features]
+     * @param {number} [price]      - Price the strategy expected, for the journal
+     * @returns {Promise<Order>} With `brokerId` once Alpaca has accepted it
+     */
+    async placeOrder(stockName, params, timestamp, features, price) {
+        const id = this.nextOrderId++;
+        let order;
+        try {
+            order = new Order({ tif: 'day', ...params, id, stockName, timestamp, features });
+        } catch (e) {
+            order = invalidOrder({ ...params, id, stockName, createdAt: +timestamp, features: features ?? null }, e.message);
+        }
+        order.clientOrderId = `${this.runId}-${order.id}`;
+        order.brokerId = null;
+        this.orders.push(order);
+        const entry = { id: order.id, clientOrderId: order.clientOrderId, stockName, side: order.side, orderType: order.type, qty: order.qty, limitPrice: order.limitPrice, stopPrice: order.stopPrice, tif: order.tif, price, features };
+        if (order.status === 'rejected') {
+            return this.reject(order, entry, order.reason);
+        }
+        if (order.limitPrice != null) order.limitPrice = this.broker.roundPrice(order.limitPrice, order.side);
+        if (order.stopPrice != null) order.stopPrice = this.broker.roundPrice(order.stopPrice, order.side === 'buy' ? 'sell' : 'buy');
+        Object.assign(entry, { limitPrice: order.limitPrice, stopPrice: order.stopPrice });
+        const reason = this.broker.validateOrder(order, { position: this.stockBalances[stockName] || 0, price: price ?? this.stockPrices[stockName] });
+        if (reason) {
+            return this.reject(order, entry, reason);
+        }
+        try {
+            const remote = await this.broker.submitOrder(order);
+            order.brokerId = remote.id;
+            this.record('order', { ...entry, brokerId: remote.id, status: remote.status });
+        } catch (e) {
+            return this.reject(order, entry, e.message);
+        }
+        if (order.side === 'buy' && features != null) {
+            this.stockFeatures[stockName] = features;
+        }
+        (this.openOrders[stockName] ??= []).push(order);
+        if (this.logs.orders) {
+            console.log(
+                chalk.gray(`${formatDate(new Date(timestamp))} `) +
+                chalk.bold(`${stockName.padEnd(7)} `) +
+                (order.side === 'buy' ? chalk.greenBright('BUY  ') : chalk.redBright('SELL ')) +
+                chalk.white(`${formatQuantity(order.qty)} ${order.type}`) +
+                chalk.gray(` | order ${order.brokerId}`)
+            );
+        }
+        return order;
+    }
+
+    /**
+     * Marks an order rejected, and journals and logs the reason.
+     * @param {Order} order
+     * @param {Object} entry  - Journal entry of the order
+     * @param {string} reason
+     * @returns {Order}
+     */
+    reject(order, entry, reason) {
+        order.status = 'rejected';
+        order.reason = reason;
+        this.record('reject', { ...entry, reason });
+        console.error(chalk.redBright(`${order.stockName} ${order.side} ${order.qty} rejected: ${reason}`));
+        return order;
+    }
+
+    /**
+     * Sends a day market order for the shares worth `amount` dollars at `price`, rounded
+     * towards zero with the broker's `roundQuantity`. Nothing is sent if that is zero shares.
+     * @returns {Promise<Order|undefined>} Rejected if amount or price isn't > 0
+     */
+    async placeNotional(stockName, side, amount, price, timestamp, features) {
+        if (!(amount > 0) || !(price > 0)) {
+            const order = invalidOrder({ id: this.nextOrderId++, stockName, side, qty: 0, createdAt: +timestamp, features: features ?? null }, 'Notional amount and price must be > 0');
+            this.orders.push(order);
+            return this.reject(order, { id: order.id, stockName, side, orderType: 'market', amount, price, features }, order.reason);
+        }
+        const quantity = this.broker.roundQuantity(amount / price, stockName);
+        if (quantity <= 0) return;
+        return this.placeOrder(stockName, { side, type: 'market', qty: quantity, tif: 'day' }, timestamp, features, price);
+    }
+
+    /**
+     * Cancels a working order.
+     * @param {number} id - Local order id
+     * @returns {Promise<boolean>} Whether a working order was cancelled, false (and journaled) if Alpaca refused
+     */
+    async cancelOrder(id) {
+        const order = this.orders.find(o => o.id === id);
+        if (!order || order.status !== 'working' || !order.brokerId) return false;
+        try {
+            await this.broker.cancelOrder(order.brokerId);
+        } catch (e) {
+            this.record('error', { id, brokerId: order.brokerId, stockName: order.stockName, message: e.message });
+            console.error(chalk.redBright(`Cancelling order ${id} failed: ${e.message}`));
+            return false;
+        }
+        order.status = 'cancelled';
+        this.removeOpen(order);
+        this.record('cancel', { id, brokerId: order.brokerId, stockName: order.stockName });
+        return true;
+    }
+
+    /**
+     * Replaces a working order with changed qty, prices or time in force. Like orders, this
+     * doesn't throw: invalid changes or a replace Alpaca refuses leave the order as it was
+     * and are journaled.
+     * @param {number} id - Local order id
+     * @param {Object} changes - Any of `qty`, `limitPrice`, `stopPrice`, `tif`
+     * @returns {Promise<Order|null>} The order, unchanged if it couldn't be modified; null if there is no such order
+     */
+    async modifyOrder(id, changes) {
+        const order = this.orders.find(o => o.id === id);
+        if (!order) {
+            this.record('error', { id, message: `Order ${id} not found` });
+            console.error(chalk.redBright(`Modifying order ${id} failed: not found`));
+            return null;
+        }
+        const prev = { qty: order.qty, limitPrice: order.limitPrice, stopPrice: order.stopPrice, tif: order.tif };
+        let remote;
+        try {
+            order.modify(changes);
+            remote = await this.broker.replaceOrder(order.brokerId, changes);
+        } catch (e) {
+            Object.assign(order, prev);
+            this.record('error', { id, brokerId: order.brokerId, stockName: order.stockName, ...changes, message: e.message });
+            console.error(chalk.redBright(`Modifying order ${id} failed: ${e.message}`));
+            return order;
+        }
+        this.record('modify', { id, brokerId: remote.id, replaces: order.brokerId, ...changes });
+        order.brokerId = remote.id;
+        return order;
+    }
+}
@@ -21,10 +21,86 @@ export function formatDate(date) {
     return `${month} ${day.padStart(2, '0')} ${weekDay} ${date.toISOString().split(':').slice(0, 2).join(':').split('T').join(' ')}`;
 }
 
+/**
+ * Format a share quantity, with up to 9 decimals for fractional shares.
+ * @param {number} quantity
+ * @returns {string}
+ */
+export function formatQuantity(quantity) {
+    return quantity.toLocaleString('en-US', { maximumFractionDigits: 9 });
+}
+
 export function splitArray(arr, size) {
     const result = [];
     for (let i = 0; i < arr.length; i += size) {
         result.push(arr.slice(i, i + size));
     }
     return result;
-}
\ No newline at end of file
+}
+
+const marketDayFormat = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit' });
+
+/**
+ * Get the New York calendar day a timestamp falls on.
+ * @param {Date|number} date - The date or timestamp in ms.
+ * @returns {string} The day as 'YYYY-MM-DD'.
+ */
+export function marketDay(date) {
+    return marketDayFormat.format(date);
+}
+
+/**
+ * Get the first day of the week (Monday), month, quarter or year a day falls in.
+ * @param {string} day - The day as 'YYYY-MM-DD'.
+ * @param {'day'|'week'|'month'|'quarter'|'year'} period
+ * @returns {string} The first day as 'YYYY-MM-DD', `day` itself for 'day'.
+ */
+export function periodStart(day, period) {
+    const [year, month] = day.split('-');
+    switch (period) {
+        case 'week': {
+            const date = new Date(`${day}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+            return date.toISOString().slice(0, 10);
+        }
+        case 'month': return `${year}-${month}-01`;
+        case 'quarter': return `${year}-${String(Math.floor((month - 1) / 3) * 3 + 1).padStart(2, '0')}-01`;
+        case 'year': return `${year}-01-01`;
+        default: return day;
+    }
+}
+
+/**
+ * Every combination of a parameter grid.
+ * @param {Object<string, any[]>} grid - Values to try for each parameter.
+ * @returns {Object[]} One object per combination, e.g. `{ a: [1, 2], b: [3] }` → `[{ a: 1, b: 3 }, { a: 2, b: 3 }]`.
+ */
+export function expandGrid(grid) {
+    let combos = [{}];
+    for (const [key, values] of Object.entries(grid)) {
+        const next = [];
+        for (const combo of combos) {
+            for (const value of Array.isArray(values) ? values : [values]) {
+                next.push({ ...combo, [key]: value });
+            }
+        }
+        combos = next;
+    }
+    return combos;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32), for reproducible sampling.
+ * @param {number} seed - Any integer.
+ * @returns {() => number} Function returning numbers in [0, 1).
+ */
+export function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
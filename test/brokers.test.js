@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Broker from '../src/brokers/base.js';
+import IBKR from '../src/brokers/ibkr.js';
+import Alpaca from '../src/brokers/alpaca.js';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Candle from '../src/backtest/candle.js';
+
+test('quantities round towards zero to the broker\'s precision', () => {
+    assert.equal(new Broker().roundQuantity(1.23456789012, 'AAA'), 1.23456789);
+    assert.equal(new Broker({ fractional: false }).roundQuantity(-2.9, 'AAA'), -2);
+    assert.equal(new IBKR().roundQuantity(0.123456, 'AAA'), 0.1234);
+    assert.equal(new Alpaca().roundQuantity(0.3 / 0.1, 'AAA'), 3);
+});
+
+test('prices round to the tick size, buys down and sells up', () => {
+    assert.equal(new Broker().roundPrice(10.123456, 'buy'), 10.123456);
+    const ibkr = new IBKR();
+    assert.equal(ibkr.roundPrice(10.129, 'buy'), 10.12);
+    assert.equal(ibkr.roundPrice(10.121, 'sell'), 10.13);
+    assert.equal(ibkr.roundPrice(10.125), 10.13);
+    assert.equal(ibkr.roundPrice(0.123456, 'buy'), 0.1234);
+    assert.equal(new Alpaca().roundPrice(10.10, 'sell'), 10.1);
+});
+
+test('orders are checked against each broker\'s rules', () => {
+    const base = new Broker({ shortable: ['AAA'] });
+    assert.equal(base.validateOrder({ stockName: 'AAA', side: 'sell', qty: 0.5 }), null);
+    assert.equal(base.validateOrder({ stockName: 'BBB', side: 'sell', qty: 5 }, { position: 3 }), 'BBB is not shortable');
+    assert.equal(base.validateOrder({ stockName: 'BBB', side: 'sell', qty: 3 }, { position: 3 }), null);
+    assert.equal(base.validateOrder({ stockName: 'AAA', side: 'buy', qty: 1, tif: 'ioc' }), 'time in force ioc is not supported');
+    assert.equal(new Broker({ fractional: false }).validateOrder({ stockName: 'AAA', side: 'buy', qty: 1.5 }), 'fractional shares of AAA are not supported');
+    assert.equal(new Broker({ extendedHours: false }).validateOrder({ stockName: 'AAA', side: 'buy', qty: 1, extendedHours: true }), 'extended hours trading is not supported');
+
+    const ibkr = new IBKR();
+    assert.equal(ibkr.validateOrder({ stockName: 'AAA', side: 'buy', qty: 0.12345 }), 'quantity 0.12345 has more than 4 decimals');
+    assert.equal(ibkr.validateOrder({ stockName: 'AAA', side: 'sell', qty: 1.5 }, { position: 1 }), 'fractional short sales are not supported');
+    assert.equal(ibkr.validateOrder({ stockName: 'AAA', side: 'sell', qty: 1.5 }, { position: 1.5 }), null);
+
+    const alpaca = new Alpaca();
+    assert.equal(alpaca.validateOrder({ stockName: 'AAA', side: 'buy', qty: 0.05 }, { price: 10 }), 'fractional orders must be worth at least $1');
+    assert.equal(alpaca.validateOrder({ stockName: 'AAA', side: 'buy', qty: 0.5, type: 'limit', limitPrice: 10, tif: 'gtc' }, { price: 10 }), 'fractional orders must be day orders');
+    assert.equal(alpaca.validateOrder({ stockName: 'AAA', side: 'buy', qty: 1, type: 'stop', stopPrice: 10, extendedHours: true }), 'extended hours orders must be limit day orders');
+    assert.equal(alpaca.validateOrder({ stockName: 'AAA', side: 'buy', qty: 0.5 }, { price: 10 }), null);
+});
+
+test('the backtest rejects what the broker refuses, on placement and on modification', () => {
+    const strategy = new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {} });
+    const bt = new Backtest({ strategy, startDate: new Date('2024-03-01'), endDate: new Date('2024-04-01'), startCashBalance: 1000, broker: new Alpaca() });
+    const candle = new Candle(10, 10, 10, 10, 1000, Date.parse('2024-03-14T16:00:00-04:00'));
+    bt.stockPrices.AAA = 10;
+
+    const refused = bt.placeOrder('AAA', { side: 'buy', type: 'limit', qty: 0.05, limitPrice: 9.999, tif: 'day' }, candle, candle.timestamp);
+    assert.equal(refused.status, 'rejected');
+    assert.equal(refused.reason, 'fractional orders must be worth at least $1');
+
+    const order = bt.placeOrder('AAA', { side: 'buy', type: 'limit', qty: 0.5, limitPrice: 9.999, tif: 'day' }, candle, candle.timestamp);
+    assert.equal(order.status, 'working');
+    assert.equal(order.limitPrice, 9.99);
+    // worth $0.50 at the last price, so the broker keeps the order as it was
+    bt.modifyOrder(order.id, { qty: 0.05 });
+    assert.equal(order.qty, 0.5);
+    assert.equal(order.status, 'working');
+    bt.modifyOrder(order.id, { qty: 0.25 });
+    assert.equal(order.qty, 0.25);
+
+    // immediate buy/sell calls are rejected the same way instead of throwing
+    const sell = bt.submit('AAA', 'sell', 0.5, 10, candle, candle.timestamp);
+    assert.equal(sell.status, 'rejected');
+    assert.equal(sell.reason, 'fractional short sales are not supported');
+});
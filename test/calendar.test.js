@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TradingCalendar, { nyseCalendar, nyseHolidays, nyseEarlyCloses } from '../src/backtest/calendar.js';
+
+/** `time` New York time on `day`, EDT unless `offset` says otherwise. */
+const ny = (day, time, offset = '-04:00') => Date.parse(`${day}T${time}:00${offset}`);
+
+test('NYSE holidays move off weekends, special closures included', () => {
+    assert.deepEqual(nyseHolidays(2024), [
+        '2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27',
+        '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25',
+    ]);
+    // New Year's Day on a Saturday isn't observed, Juneteenth and Christmas on a Sunday are on Monday
+    const y2022 = nyseHolidays(2022);
+    assert.ok(!y2022.includes('2021-12-31') && !y2022.includes('2022-01-01'));
+    assert.ok(y2022.includes('2022-06-20') && y2022.includes('2022-12-26'));
+    // Juneteenth only from 2022
+    assert.ok(!nyseHolidays(2021).includes('2021-06-18'));
+
+    assert.equal(nyseCalendar.isTradingDay('2025-01-09'), false);
+    assert.equal(nyseCalendar.isHoliday('2025-01-09'), true);
+    assert.equal(nyseCalendar.isTradingDay('2025-01-10'), true);
+    assert.equal(nyseCalendar.isHoliday('2024-03-30'), false);
+    assert.equal(nyseCalendar.isTradingDay('2024-03-30'), false);
+});
+
+test('early closes end the session at 1 PM, daily bars keep the regular close', () => {
+    assert.deepEqual(nyseEarlyCloses(2024), ['2024-07-03', '2024-12-24', '2024-11-29']);
+    // July 3rd on a Friday is the observed Independence Day, not an early close
+    assert.deepEqual(nyseEarlyCloses(2026), ['2026-12-24', '2026-11-27']);
+
+    const session = nyseCalendar.session('2024-07-03');
+    assert.equal(session.early, true);
+    assert.equal(session.close, ny('2024-07-03', '13:00'));
+    assert.equal(session.regularClose, ny('2024-07-03', '16:00'));
+    assert.equal(nyseCalendar.isEarlyClose('2024-11-29'), true);
+    assert.equal(nyseCalendar.session('2024-11-29').close, ny('2024-11-29', '13:00', '-05:00'));
+    assert.equal(nyseCalendar.session('2024-07-04'), null);
+
+    assert.deepEqual(nyseCalendar.barTimes('1h', new Date(ny('2024-07-03', '00:00')), new Date(ny('2024-07-05', '23:59'))).map(d => +d), [
+        ny('2024-07-03', '10:00'), ny('2024-07-03', '11:00'), ny('2024-07-03', '12:00'), ny('2024-07-03', '13:00'),
+        ny('2024-07-05', '10:00'), ny('2024-07-05', '11:00'), ny('2024-07-05', '12:00'), ny('2024-07-05', '13:00'),
+        ny('2024-07-05', '14:00'), ny('2024-07-05', '15:00'), ny('2024-07-05', '16:00'),
+    ]);
+    assert.deepEqual(nyseCalendar.barTimes('1d', new Date(ny('2024-07-03', '00:00')), new Date(ny('2024-07-05', '23:59'))).map(d => +d), [
+        ny('2024-07-03', '16:00'), ny('2024-07-05', '16:00'),
+    ]);
+});
+
+test('lookbackStart counts bars back over holidays and early closes', () => {
+    // Monday's bar, Friday's and the early-closing 3rd, skipping Independence Day
+    assert.equal(+nyseCalendar.lookbackStart('1d', new Date(ny('2024-07-08', '16:00')), 3), ny('2024-07-03', '09:30'));
+    // two hourly bars on the 5th, the third is the 3rd's last (12:00-13:00)
+    assert.equal(+nyseCalendar.lookbackStart('1h', new Date(ny('2024-07-05', '11:00')), 3), ny('2024-07-03', '12:00'));
+    // from a closed day, the previous session
+    assert.equal(+nyseCalendar.lookbackStart('1d', new Date(ny('2025-01-09', '12:00', '-05:00')), 1), ny('2025-01-08', '09:30', '-05:00'));
+    assert.throws(() => nyseCalendar.lookbackStart('2h', new Date(), 1), TypeError);
+});
+
+test('periodsPerYear averages the bars of the whole years the period spans', () => {
+    assert.equal(nyseCalendar.periodsPerYear('1d', new Date('2024-03-01'), new Date('2024-06-01')), 252);
+    // 2025 lost a day to the Carter funeral
+    assert.equal(nyseCalendar.periodsPerYear('1d', new Date('2024-03-01'), new Date('2025-06-01')), (252 + 250) / 2);
+    // 7 hourly bars a day, 4 on the three early closes
+    assert.equal(nyseCalendar.periodsPerYear('1h', new Date('2024-03-01'), new Date('2024-06-01')), 252 * 7 - 3 * 3);
+});
+
+test('a custom calendar takes extra holidays and early closes, or no built-in rules', () => {
+    const calendar = new TradingCalendar({ rules: null, holidays: ['2024-03-05'], earlyCloses: ['2024-03-06'], earlyClose: '12:00' });
+    assert.equal(calendar.isTradingDay('2024-07-04'), true);
+    assert.equal(calendar.isTradingDay('2024-03-05'), false);
+    assert.equal(calendar.session('2024-03-06').close, ny('2024-03-06', '12:00', '-05:00'));
+    assert.throws(() => new TradingCalendar({ close: '09:00' }), TypeError);
+    assert.throws(() => new TradingCalendar({ rules: 'lse' }), TypeError);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Dataset from '../src/backtest/dataset.js';
+import Stock from '../src/backtest/stock.js';
+import Candle from '../src/backtest/candle.js';
+import { sma, ema, obv } from '../src/backtest/indicators.js';
+import { nyseCalendar } from '../src/backtest/calendar.js';
+
+const startDate = new Date('2020-01-01');
+const endDate = new Date('2022-06-30');
+
+/** Daily candles of a few made-up stocks, from before the lookback to the end of the backtest. */
+function dataset() {
+    const times = nyseCalendar.barTimes('1d', new Date('2019-10-01'), endDate);
+    const stocks = ['AAA', 'BBB', 'CCC'].map((name, s) => {
+        const stock = new Stock(name);
+        times.forEach((time, i) => {
+            const close = 50 + 10 * s + 8 * Math.sin(i / (15 + 7 * s)) + i * 0.01;
+            stock.pushCandle(new Candle(close - 0.5, close + 1, close - 1, close, 10000 + 100 * i, +time));
+        });
+        stock.finish();
+        return stock;
+    });
+    return new Dataset({ intervals: { '1d': Dataset.pack(stocks) } });
+}
+
+/** Moving average crossover on every stock, which needs the indicators and states of the skipped chunks when resumed. */
+function backtest(data, checkpoint = null) {
+    const strategy = new Strategy({
+        intervals: { '1d': { count: 30, main: true } },
+        indicators: { fast: sma(10), slow: ema(30), balance: obv() },
+        onTick: async ({ stocks, ctx }) => {
+            for (const stock of stocks) {
+                const { fast, slow } = stock.indicators;
+                if (fast == null || slow == null) continue;
+                if (stock.stockBalance === 0 && fast > slow) {
+                    stock.state.entries = (stock.state.entries ?? 0) + 1;
+                    stock.buyNotional(ctx.cashBalance / 3);
+                } else if (stock.stockBalance > 0 && fast < slow) {
+                    stock.sell(stock.stockBalance, stock.candle.close);
+                }
+            }
+        },
+    });
+    return new Backtest({ strategy, startDate, endDate, startCashBalance: 10000, dataset: data, checkpoint });
+}
+
+test('a resumed run ends like an uninterrupted one', async () => {
+    const data = dataset();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    const file = path.join(dir, 'run.ckpt');
+    try {
+        const uninterrupted = backtest(data, { file });
+        const expected = await uninterrupted.runOnAllStocks();
+        assert.ok(uninterrupted.trades.length > 0);
+        // the last checkpoint is before the last of the 3 chunks
+        assert.ok(fs.existsSync(file));
+
+        const resumed = backtest(data, { file });
+        const metrics = await resumed.resume(file);
+
+        assert.deepEqual(metrics, expected);
+        assert.deepEqual(resumed.equityCurve, uninterrupted.equityCurve);
+        assert.deepEqual(resumed.trades, uninterrupted.trades);
+        assert.equal(resumed.cashBalance, uninterrupted.cashBalance);
+        assert.deepEqual(resumed.stockBalances, uninterrupted.stockBalances);
+        // the per-stock states count entries since the start
+        assert.ok(Object.values(uninterrupted.states).some(state => state.entries > 1));
+        assert.deepEqual(resumed.states, uninterrupted.states);
+        // the on-balance volume adds up every bar since the start, the skipped chunks too
+        for (const stockName of ['AAA', 'BBB', 'CCC']) {
+            assert.deepEqual(resumed.indicators[stockName].values, uninterrupted.indicators[stockName].values);
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a checkpoint of another backtest is refused', async () => {
+    const data = dataset();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    const file = path.join(dir, 'run.ckpt');
+    try {
+        await backtest(data, { file }).runOnAllStocks();
+        const other = backtest(data);
+        other.startCashBalance = 20000;
+        await assert.rejects(other.resume(file), /different backtest/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
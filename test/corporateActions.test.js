@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Candle from '../src/backtest/candle.js';
+import Broker from '../src/brokers/base.js';
+
+/** `time` New York time (EST) on `day`. */
+const at = (day, time = '10:00') => Date.parse(`${day}T${time}:00-05:00`);
+
+function backtest(options = {}) {
+    const strategy = new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {} });
+    return new Backtest({ strategy, startDate: new Date('2024-01-02'), endDate: new Date('2024-04-01'), startCashBalance: 10000, prices: 'unadjusted', ...options });
+}
+
+test('a split rescales the position, its lots and working orders on the ex-date', () => {
+    const bt = backtest();
+    bt.buy('AAA', 10, 300, at('2024-03-04'));
+    const order = bt.placeOrder('AAA', { side: 'sell', type: 'limit', qty: 10, limitPrice: 330, tif: 'gtc' }, new Candle(300, 300, 300, 300, 1000, at('2024-03-04')), at('2024-03-04'));
+    bt.corporateActions = { splits: { AAA: [{ timestamp: at('2024-03-06', '09:30'), ratio: 3 }] }, dividends: {} };
+
+    bt.applyCorporateActions('AAA', at('2024-03-05'));
+    assert.equal(bt.stockBalances.AAA, 10);
+
+    bt.applyCorporateActions('AAA', at('2024-03-06'));
+    assert.equal(bt.stockBalances.AAA, 30);
+    assert.equal(bt.stockPrices.AAA, 100);
+    assert.equal(bt.ledger.quantity('AAA'), 30);
+    assert.equal(bt.ledger.lots.AAA[0].cost, 3000);
+    assert.equal(order.qty, 30);
+    assert.equal(order.limitPrice, 110);
+    assert.equal(bt.totalValue(), 10000);
+
+    // applied once
+    bt.applyCorporateActions('AAA', at('2024-03-07'));
+    assert.equal(bt.stockBalances.AAA, 30);
+});
+
+test('fractional shares left by a split are paid in cash', () => {
+    const bt = backtest({ broker: new Broker({ fractional: false }) });
+    bt.buy('AAA', 7, 150, at('2024-03-04'));
+    bt.applySplit('AAA', { timestamp: at('2024-03-06'), ratio: 1.5 });
+    // 10.5 shares at $100: 10 kept, half a share sold
+    assert.equal(bt.stockBalances.AAA, 10);
+    assert.equal(bt.cashBalance, 10000 - 1050 + 50);
+    assert.equal(bt.ledger.quantity('AAA'), 10);
+    assert.equal(bt.trades.length, 1);
+    assert.equal(bt.trades[0].quantity, 0.5);
+    assert.equal(bt.trades[0].profit, 0);
+});
+
+test('a dividend is credited to longs and charged to shorts on the ex-date', () => {
+    const bt = backtest({ shorting: {} });
+    bt.buy('AAA', 10, 100, at('2024-03-04'));
+    bt.sell('BBB', 20, 50, at('2024-03-04'));
+    bt.corporateActions = {
+        splits: {},
+        dividends: {
+            AAA: [{ timestamp: at('2024-03-06', '09:30'), amount: 0.5 }],
+            BBB: [{ timestamp: at('2024-03-06', '09:30'), amount: 0.25 }],
+        },
+    };
+    bt.applyCorporateActions('AAA', at('2024-03-05'));
+    bt.applyCorporateActions('BBB', at('2024-03-05'));
+    assert.equal(bt.cashBalance, 10000 - 1000 + 1000);
+
+    bt.applyCorporateActions('AAA', at('2024-03-06'));
+    bt.applyCorporateActions('BBB', at('2024-03-06'));
+    assert.equal(bt.cashBalance, 10000 + 5 - 5);
+    assert.equal(bt.dividends.AAA, 5);
+    assert.equal(bt.dividends.BBB, -5);
+    assert.equal(bt.totalDividends, 0);
+
+    // the closing trades carry them
+    bt.sell('AAA', 10, 100, at('2024-03-07'));
+    bt.buy('BBB', 20, 50, at('2024-03-07'));
+    assert.deepEqual(bt.trades.map(t => [t.stockName, t.dividends, t.profit]), [['AAA', 5, 5], ['BBB', -5, -5]]);
+});
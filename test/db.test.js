@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// nothing listens on port 1, so every connection is refused
+process.env.QUESTDB_PORT = '1';
+const { createTables, sql } = await import('../src/db.js');
+
+test('a failed createTables is tried again by the next call', async () => {
+    const first = createTables();
+    assert.equal(createTables(), first);
+    await assert.rejects(first);
+    const second = createTables();
+    assert.notEqual(second, first);
+    await assert.rejects(second);
+    await sql.end();
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Candle from '../src/backtest/candle.js';
+
+/** `time` New York time (EST) on `day`. */
+const at = (day, time = '16:00') => Date.parse(`${day}T${time}:00-05:00`);
+
+function backtest(delisting, options = {}) {
+    const strategy = new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {} });
+    return new Backtest({ strategy, startDate: new Date('2024-01-02'), endDate: new Date('2024-04-01'), startCashBalance: 10000, delisting, ...options });
+}
+
+/** 10 AAA bought at $50, last seen on 2024-03-05. */
+function holding(bt) {
+    bt.buy('AAA', 10, 50, at('2024-03-05'));
+    bt.lastSeen.AAA = at('2024-03-05');
+    return bt;
+}
+
+test('lastPrice closes a delisted position at its last close and cancels its orders', () => {
+    const bt = holding(backtest({ policy: 'lastPrice' }));
+    const order = bt.placeOrder('AAA', { side: 'sell', type: 'limit', qty: 10, limitPrice: 60, tif: 'gtc' }, new Candle(50, 50, 50, 50, 1000, at('2024-03-05')), at('2024-03-05'));
+    bt.delist('AAA', new Date(at('2024-03-20')));
+
+    assert.equal(bt.stockBalances.AAA, undefined);
+    assert.equal(bt.cashBalance, 10000);
+    assert.equal(order.status, 'cancelled');
+    assert.equal(bt.trades.length, 1);
+    assert.equal(bt.trades[0].price, 50);
+    assert.equal(bt.trades[0].fee, 0);
+    assert.deepEqual(bt.delisted, [{ stockName: 'AAA', timestamp: at('2024-03-20'), lastSeen: at('2024-03-05'), quantity: 10, price: 50 }]);
+});
+
+test('zero writes a delisted position off, a short keeps all of its proceeds', () => {
+    const long = holding(backtest({ policy: 'zero' }));
+    long.delist('AAA', new Date(at('2024-03-20')));
+    assert.equal(long.cashBalance, 9500);
+    assert.equal(long.trades[0].profit, -500);
+
+    const short = backtest({ policy: 'zero' }, { shorting: {} });
+    short.sell('AAA', 10, 50, at('2024-03-05'));
+    short.lastSeen.AAA = at('2024-03-05');
+    short.delist('AAA', new Date(at('2024-03-20')));
+    assert.equal(short.cashBalance, 10500);
+    assert.equal(short.trades[0].profit, 500);
+});
+
+test('returns applies the first delisting return from the last bar\'s day', () => {
+    const bt = holding(backtest({ policy: 'returns' }));
+    bt.delistingReturns = {
+        AAA: [
+            { timestamp: at('2024-03-01', '00:00'), return: -0.9 },
+            { timestamp: at('2024-03-08', '00:00'), return: -0.3 },
+        ],
+    };
+    bt.delist('AAA', new Date(at('2024-03-20')));
+    assert.equal(bt.delisted[0].price, 35);
+    assert.equal(bt.cashBalance, 9850);
+
+    // no return for the stock: its last close
+    const missing = holding(backtest({ policy: 'returns' }));
+    missing.delistingReturns = {};
+    missing.delist('AAA', new Date(at('2024-03-20')));
+    assert.equal(missing.delisted[0].price, 50);
+});
+
+test('missingBars defaults to about 10 trading days of the main interval', () => {
+    assert.equal(backtest({}).delisting.missingBars, 10);
+    assert.equal(backtest({ missingBars: { '1d': 3 } }).delisting.missingBars, 3);
+    assert.throws(() => backtest({ policy: 'never' }), TypeError);
+    assert.throws(() => backtest({ missingBars: 0 }), TypeError);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Candle from '../src/backtest/candle.js';
+
+/** A bar of AAA ending at `time` New York time (EDT) on 2024-03-14. */
+const bar = (time, close, volume, high = close, low = close) => new Candle(close, high, low, close, volume, Date.parse(`2024-03-14T${time}:00-04:00`));
+
+function backtest(fillModel) {
+    const strategy = new Strategy({ intervals: { '5m': { count: 1, main: true } }, onTick() {} });
+    return new Backtest({ strategy, startDate: new Date('2024-03-01'), endDate: new Date('2024-04-01'), startCashBalance: 100000, fillModel });
+}
+
+test('orders bigger than the volume cap fill over the next bars', async () => {
+    const bt = backtest({ maxVolumeFraction: 0.1, impact: null });
+    const order = bt.submit('AAA', 'buy', 250, 100, bar('10:00', 100, 1000), bar('10:00', 100, 1000).timestamp);
+    assert.equal(order.filledQty, 100);
+    assert.equal(order.status, 'working');
+
+    await bt.processOrders('AAA', bar('10:05', 102, 1000));
+    assert.equal(order.filledQty, 200);
+    await bt.processOrders('AAA', bar('10:10', 104, 1000));
+    assert.equal(order.status, 'filled');
+    assert.equal(order.filledQty, 250);
+    assert.equal(order.fillPrice, (100 * 100 + 100 * 102 + 50 * 104) / 250);
+    assert.equal(bt.stockBalances.AAA, 250);
+});
+
+test('the cancel remainder drops what didn\'t fit', () => {
+    const bt = backtest({ maxVolumeFraction: 0.1, remainder: 'cancel', impact: null });
+    const order = bt.submit('AAA', 'buy', 250, 100, bar('10:00', 100, 1000), bar('10:00', 100, 1000).timestamp);
+    assert.equal(order.status, 'cancelled');
+    assert.equal(order.filledQty, 100);
+    assert.equal(bt.openOrders.AAA, undefined);
+});
+
+test('fractional quantities fill against a bar with less than a share of room', () => {
+    const bt = backtest({ maxVolumeFraction: 0.1, impact: null });
+    const order = bt.submit('AAA', 'buy', 0.5, 100, bar('10:00', 100, 3), bar('10:00', 100, 3).timestamp);
+    assert.equal(order.filledQty, 0.3);
+    assert.equal(bt.volumeAvailable('AAA', bar('10:00', 100, 3)), 0);
+});
+
+test('market impact moves the fill price against the trade', () => {
+    const candle = bar('10:00', 100, 10000, 102, 98);
+    // 1 × (102 − 98) / 100 × √(100 / 10000)
+    assert.equal(backtest({ impact: 'sqrt' }).impactPrice('buy', 100, 100, candle), 100 * 1.004);
+    // 0.5 × 100 / 10000
+    assert.equal(backtest({ impact: 'linear', impactCoefficient: 0.5 }).impactPrice('sell', 100, 100, candle), 100 * 0.995);
+    assert.equal(backtest({ impact: (quantity, c, side) => side === 'buy' ? 0.01 : 0 }).impactPrice('buy', 100, 100, candle), 101);
+
+    const bt = backtest({ maxVolumeFraction: 1, impact: 'sqrt' });
+    bt.submit('AAA', 'buy', 100, 100, candle, candle.timestamp);
+    assert.equal(bt.swaps[0].price, 100 * 1.004);
+});
+
+test('a partial fill shrinks the rest of its OCO group instead of cancelling it', async () => {
+    const bt = backtest({ maxVolumeFraction: 0.1, impact: null });
+    const first = bar('10:00', 100, 1000);
+    bt.buy('AAA', 300, 100, first.timestamp);
+    const stop = bt.placeOrder('AAA', { side: 'sell', type: 'stop', qty: 300, stopPrice: 90, ocoGroup: 'exit' }, first, first.timestamp);
+    const target = bt.placeOrder('AAA', { side: 'sell', type: 'limit', qty: 300, limitPrice: 105, ocoGroup: 'exit' }, first, first.timestamp);
+
+    await bt.processOrders('AAA', bar('10:05', 106, 1000));
+    assert.equal(target.filledQty, 100);
+    assert.equal(stop.status, 'working');
+    assert.equal(stop.qty, 200);
+
+    await bt.processOrders('AAA', bar('10:10', 106, 1000));
+    await bt.processOrders('AAA', bar('10:15', 106, 1000));
+    assert.equal(target.status, 'filled');
+    assert.equal(stop.status, 'cancelled');
+    assert.equal(bt.stockBalances.AAA, undefined);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Dataset from '../src/backtest/dataset.js';
+import Stock from '../src/backtest/stock.js';
+import Candle from '../src/backtest/candle.js';
+import Broker from '../src/brokers/base.js';
+import { nyseCalendar } from '../src/backtest/calendar.js';
+
+const startDate = new Date('2024-03-04T00:00:00-05:00');
+const endDate = new Date('2024-03-05T23:59:00-05:00');
+
+/** Hourly candles of AAA at $100 on both days, BBB at $50 on the first one only. */
+function dataset() {
+    const times = nyseCalendar.barTimes('1h', new Date('2024-03-01T00:00:00-05:00'), endDate);
+    const stocks = [['AAA', 100, endDate], ['BBB', 50, startDate.getTime() + 24 * 3600e3]].map(([name, close, until]) => {
+        const stock = new Stock(name, 3600e3);
+        for (const time of times) {
+            if (+time < +until) stock.pushCandle(new Candle(close, close, close, close, 10000, +time));
+        }
+        stock.finish();
+        return stock;
+    });
+    return new Dataset({ intervals: { '1h': Dataset.pack(stocks) } });
+}
+
+const hour = date => new Date(date).toLocaleTimeString('en-US', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+/** Records every hook call; trades on its first tick. */
+function recorder(events) {
+    let traded = false;
+    return new Strategy({
+        intervals: { '1h': { count: 1, main: true } },
+        onStart: () => events.push('start'),
+        onDayStart: (ctx, day) => events.push(`dayStart ${day}`),
+        onTick: ({ stocks, currentDate }) => {
+            events.push(`tick ${hour(currentDate)}`);
+            if (traded) return;
+            traded = true;
+            const [aaa, bbb] = stocks;
+            aaa.buy(10, aaa.candle.close);
+            bbb.buy(0.5, bbb.candle.close);
+            bbb.buy(10, bbb.candle.close);
+            aaa.placeOrder({ side: 'buy', type: 'limit', qty: 5, limitPrice: 200, tif: 'gtc' });
+        },
+        onFill: ({ stockName, side, quantity, order }) => events.push(`fill ${stockName} ${side} ${quantity}${order ? ' order' : ''}`),
+        onOrderRejected: (order, reason) => events.push(`rejected ${order.stockName} ${reason}`),
+        onDelisted: (stockName, { quantity, price }) => events.push(`delisted ${stockName} ${quantity} @ ${price}`),
+        onDayEnd: (ctx, day) => events.push(`dayEnd ${day}`),
+        onEnd: () => events.push('end'),
+    });
+}
+
+test('runOnAllStocks calls the hooks in order', async () => {
+    const events = [];
+    const bt = new Backtest({
+        strategy: recorder(events), startDate, endDate, startCashBalance: 10000, dataset: dataset(),
+        broker: new Broker({ fractional: false }), delisting: { missingBars: 2 },
+    });
+    await bt.runOnAllStocks();
+
+    const ticks = hours => hours.map(h => `tick ${h}:00`);
+    assert.deepEqual(events, [
+        'start',
+        'dayStart 2024-03-04',
+        'tick 10:00',
+        // the tick's fills and rejections after it, in the order they happened
+        'fill AAA buy 10',
+        'rejected BBB fractional shares of BBB are not supported',
+        'fill BBB buy 10',
+        // the working order fills on the next bar, reported before its tick
+        'fill AAA buy 5 order',
+        ...ticks([11, 12, 13, 14, 15, 16]),
+        'dayEnd 2024-03-04',
+        'dayStart 2024-03-05',
+        ...ticks([10, 11]),
+        // BBB is missing a third bar
+        'delisted BBB 10 @ 50',
+        ...ticks([12, 13, 14, 15, 16]),
+        'dayEnd 2024-03-05',
+        'end',
+    ]);
+});
+
+test('runOnStock calls the hooks around its ticks', async () => {
+    const events = [];
+    let bought = false;
+    const strategy = new Strategy({
+        intervals: { '1h': { count: 1, main: true } },
+        onStart: () => events.push('start'),
+        onDayStart: (ctx, day) => events.push(`dayStart ${day}`),
+        onTick: ({ candle, buy }) => {
+            events.push(`tick ${hour(candle.timestamp)}`);
+            if (!bought) {
+                bought = true;
+                buy(1, candle.close);
+            }
+        },
+        onFill: ({ quantity }) => events.push(`fill ${quantity}`),
+        onDayEnd: (ctx, day) => events.push(`dayEnd ${day}`),
+        onEnd: () => events.push('end'),
+    });
+    const bt = new Backtest({ strategy, startDate, endDate: new Date('2024-03-04T23:59:00-05:00'), startCashBalance: 10000, dataset: dataset() });
+    await bt.runOnStock('AAA');
+    assert.deepEqual(events, [
+        'start', 'dayStart 2024-03-04', 'tick 10:00', 'fill 1',
+        'tick 11:00', 'tick 12:00', 'tick 13:00', 'tick 14:00', 'tick 15:00', 'tick 16:00',
+        'dayEnd 2024-03-04', 'end',
+    ]);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, ema, stdev, rsi, macd, atr, adx } from '../src/backtest/indicators.js';
+
+// closes of StockCharts' RSI example
+const closes = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03,
+    46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13,
+];
+// made-up bars with a gap down
+const highs = [
+    48.70, 48.72, 48.90, 48.87, 48.82, 49.05, 49.20, 49.35, 49.92, 50.19, 50.12, 49.66, 49.88, 50.19, 50.36,
+    50.57, 50.65, 50.43, 49.63, 50.33, 50.29, 50.17, 49.32, 48.50, 48.32, 46.80, 47.80, 48.39, 48.66, 48.79,
+];
+const lows = [
+    47.79, 48.14, 48.39, 48.37, 48.24, 48.64, 48.94, 48.86, 49.50, 49.87, 49.20, 48.90, 49.43, 49.73, 49.26,
+    50.09, 50.30, 49.21, 48.98, 49.61, 49.20, 49.43, 48.08, 47.64, 41.55, 44.28, 47.31, 47.20, 47.61, 47.25,
+];
+const barCloses = [
+    48.16, 48.61, 48.75, 48.63, 48.74, 49.03, 49.07, 49.32, 49.91, 50.13, 49.53, 49.50, 49.75, 50.03, 50.31,
+    50.52, 50.41, 49.34, 49.37, 50.23, 49.24, 49.93, 48.43, 48.18, 46.57, 45.41, 47.77, 47.72, 48.62, 47.85,
+];
+const bars = highs.map((high, i) => ({ open: barCloses[i], high, low: lows[i], close: barCloses[i], volume: 1000 }));
+
+/** Values of an indicator on each bar. */
+function run(indicator, candles) {
+    const update = indicator.create();
+    return candles.map(candle => update(candle));
+}
+
+function assertClose(actual, expected, digits = 6) {
+    assert.ok(Math.abs(actual - expected) < 10 ** -digits, `${actual} is not ${expected}`);
+}
+
+test('sma averages the last period closes', () => {
+    const values = run(sma(10), closes.map(close => ({ close })));
+    assert.deepEqual(values.slice(0, 9), Array(9).fill(null));
+    [45.382, 45.275, 44.996, 44.637, 44.379].forEach((v, i) => assertClose(values.at(i - 5), v));
+});
+
+test('ema is seeded with the sma of the first period closes', () => {
+    const values = run(ema(10), closes.map(close => ({ close })));
+    assert.equal(values[8], null);
+    assertClose(values[9], 44.779);
+    [45.094897, 44.999461, 44.712286, 44.339143, 44.119299].forEach((v, i) => assertClose(values.at(i - 5), v));
+});
+
+test('rsi matches Wilder\'s smoothing', () => {
+    const values = run(rsi(14), closes.map(close => ({ close })));
+    assert.equal(values[13], null);
+    const expected = [70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79];
+    assert.deepEqual(values.slice(14).map(v => +v.toFixed(2)), expected);
+});
+
+test('macd signal is an ema of the macd line', () => {
+    const values = run(macd(5, 10, 4), closes.map(close => ({ close })));
+    assert.equal(values[11], null);
+    assert.notEqual(values[12], null);
+    const last = values.slice(-3);
+    [-0.48986, -0.637526, -0.608221].forEach((v, i) => assertClose(last[i].macd, v));
+    [-0.401991, -0.496205, -0.541011].forEach((v, i) => assertClose(last[i].signal, v));
+    assertClose(last[2].histogram, -0.608221 + 0.541011);
+});
+
+test('atr starts with the average true range of the first period bars', () => {
+    const values = run(atr(14), bars);
+    assert.equal(values[12], null);
+    assertClose(values[13], 0.554286);
+    [1.366528, 1.343919, 1.357924].forEach((v, i) => assertClose(values.at(i - 3), v));
+});
+
+test('adx averages the directional index after period * 2 bars', () => {
+    const values = run(adx(5), bars);
+    assert.equal(values[8], null);
+    assert.notEqual(values[9], null);
+    assert.deepEqual(Object.values(values[28]).map(v => +v.toFixed(6)), [51.712524, 16.51481, 34.85757]);
+    assert.deepEqual(Object.values(values[29]).map(v => +v.toFixed(6)), [49.624846, 13.666838, 32.877686]);
+});
+
+test('stdev doesn\'t drift on long runs of large values', () => {
+    const update = stdev(4).create();
+    let value;
+    for (let i = 0; i < 100_000; i++) {
+        value = update({ close: 1e8 + (i % 4) * (i > 99_000 ? 0.5 : 1e5) });
+    }
+    // the last four closes are 1e8 + 0, 0.5, 1, 1.5
+    assertClose(value, Math.sqrt(1.25 / 4), 9);
+});
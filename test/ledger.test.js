@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Ledger from '../src/backtest/ledger.js';
+
+/** Two long entries of 10 shares, at $10 and $20 with $1 fees, then 15 of them sold. */
+function twoLots(method) {
+    const ledger = new Ledger(method);
+    ledger.open('AAPL', 'long', 10, 10, 1, 1);
+    ledger.open('AAPL', 'long', 10, 20, 2, 1);
+    const parts = ledger.close('AAPL', 15).map(({ lot, quantity, cost, fees }) => ({ id: lot.id, quantity, cost, fees }));
+    return { ledger, parts };
+}
+
+test('fifo closes the oldest lot first', () => {
+    const { ledger, parts } = twoLots('fifo');
+    assert.deepEqual(parts, [
+        { id: 1, quantity: 10, cost: 100, fees: 1 },
+        { id: 2, quantity: 5, cost: 100, fees: 0.5 },
+    ]);
+    assert.equal(ledger.quantity('AAPL'), 5);
+    assert.equal(ledger.unrealized('AAPL', 30), 5 * 30 - 100 - 0.5);
+});
+
+test('lifo closes the newest lot first', () => {
+    const { ledger, parts } = twoLots('lifo');
+    assert.deepEqual(parts, [
+        { id: 2, quantity: 10, cost: 200, fees: 1 },
+        { id: 1, quantity: 5, cost: 50, fees: 0.5 },
+    ]);
+    assert.equal(ledger.unrealized('AAPL', 30), 5 * 30 - 50 - 0.5);
+});
+
+test('average cost keeps one lot at the average price', () => {
+    const { ledger, parts } = twoLots('average');
+    assert.deepEqual(parts, [{ id: 1, quantity: 15, cost: 225, fees: 1.5 }]);
+    assert.equal(ledger.lotsOf('AAPL').length, 1);
+    assert.equal(ledger.unrealized('AAPL', 30), 5 * 30 - 75 - 0.5);
+});
+
+test('floating point leftovers after a split count as closed', () => {
+    const ledger = new Ledger('fifo');
+    ledger.open('AAPL', 'long', 1 / 3, 10, 1, 0);
+    ledger.split('AAPL', 3);
+    assert.equal(ledger.close('AAPL', 1).length, 1);
+    assert.deepEqual(ledger.lots, {});
+});
+
+test('short lots gain when the price falls', () => {
+    const ledger = new Ledger('fifo');
+    ledger.open('TSLA', 'short', 4, 50, 1, 2);
+    assert.equal(ledger.unrealized('TSLA', 40), 4 * 50 - 4 * 40 - 2);
+});
+
+test('splits change the quantity and price range, not the cost', () => {
+    const ledger = new Ledger('fifo');
+    ledger.open('AAPL', 'long', 10, 100, 1, 0);
+    ledger.track('AAPL', { high: 120, low: 90 });
+    ledger.split('AAPL', 4);
+    const [lot] = ledger.lotsOf('AAPL');
+    assert.deepEqual([lot.quantity, lot.cost, lot.high, lot.low], [40, 1000, 30, 22.5]);
+});
+
+test('unknown matching methods are refused', () => {
+    assert.throws(() => new Ledger('hifo'), TypeError);
+});
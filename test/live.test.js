@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import LiveRunner from '../src/live/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Alpaca from '../src/brokers/alpaca.js';
+import { nyseCalendar } from '../src/backtest/calendar.js';
+
+const dayMs = 86400000;
+
+/** Stub of the Alpaca endpoints the runner uses, with daily bars stamped at midnight New York time like Alpaca's. */
+function alpacaStub(sessions) {
+    const state = {
+        cash: 10000,
+        positions: {},
+        orders: [],
+        posted: [],
+        visible: 0,
+        bars: sessions.map((session, i) => {
+            const close = 100 + i;
+            // midnight New York time, 9:30 before the open
+            return { t: new Date(session.open - 9.5 * 3600000).toISOString(), o: close - 1, h: close + 1, l: close - 2, c: close, v: 1000 + i };
+        }),
+    };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(data === undefined ? '' : JSON.stringify(data));
+            };
+            if (url.pathname === '/v2/account') {
+                return send(200, { cash: String(state.cash), equity: String(state.cash) });
+            }
+            if (url.pathname === '/v2/positions') {
+                return send(200, Object.entries(state.positions).map(([symbol, qty]) => ({ symbol, qty: String(qty), current_price: '100' })));
+            }
+            if (url.pathname === '/v2/stocks/bars') {
+                const start = Date.parse(url.searchParams.get('start'));
+                const bars = state.bars.slice(0, state.visible).filter(bar => Date.parse(bar.t) >= start);
+                return send(200, { bars: { AAPL: bars }, next_page_token: null });
+            }
+            if (url.pathname === '/v2/orders' && req.method === 'GET') {
+                return send(200, state.orders.filter(o => o.status === 'new'));
+            }
+            if (url.pathname === '/v2/orders' && req.method === 'POST') {
+                const order = JSON.parse(body);
+                state.posted.push(order);
+                if (+order.qty > 1000) return send(403, { message: 'insufficient buying power' });
+                const remote = { id: `o${state.orders.length + 1}`, client_order_id: order.client_order_id, symbol: order.symbol, side: order.side, qty: order.qty, status: 'new', filled_qty: '0', filled_avg_price: null };
+                state.orders.push(remote);
+                return send(200, remote);
+            }
+            const match = url.pathname.match(/^\/v2\/orders\/(.+)$/);
+            if (match) {
+                return send(200, state.orders.find(o => o.id === match[1]));
+            }
+            send(404, { message: 'not found' });
+        });
+    });
+    return { state, server };
+}
+
+test('LiveRunner routes orders, reconciles fills and journals both', async () => {
+    // the last sessions that have closed, and the next one that hasn't (its bar is still forming)
+    const now = Date.now();
+    const sessions = nyseCalendar.sessions(now - 30 * dayMs, now + 10 * dayMs);
+    const closed = sessions.filter(s => s.regularClose < now).slice(-8);
+    const forming = sessions.find(s => s.regularClose >= now);
+    const { state, server } = alpacaStub([...closed, forming]);
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const ticks = [];
+    const strategy = new Strategy({
+        intervals: { '1d': { count: 3, main: true } },
+        onTick: async ({ candle, stockBalance, ctx, buy, sell, buyNotional, placeOrder }) => {
+            ticks.push({ timestamp: candle.timestamp, close: candle.close, stockBalance, cash: ctx.cashBalance });
+            if (ticks.length === 1) {
+                await buy(5, candle.close);
+                // neither of these throws, they come back rejected
+                await buyNotional(-1);
+                await placeOrder({ side: 'buy', type: 'limit', qty: 2000, limitPrice: 90 });
+            } else if (stockBalance > 0) {
+                await sell(stockBalance, candle.close);
+            }
+        },
+    });
+    const runner = new LiveRunner({ strategy, broker: new Alpaca(0, true, 'key', 'secret', { url, dataUrl: url }), logs: {} });
+    runner.stockNames = ['AAPL'];
+    const errors = console.error;
+    console.error = () => {};
+    try {
+        // the first poll only warms up on the closed bars but the last two
+        state.visible = closed.length - 2;
+        await runner.reconcile();
+        assert.equal(await runner.poll(), 0);
+        assert.equal(runner.journal.at(-1).type, 'warmup');
+        assert.equal(runner.journal.at(-1).lastBar, new Date(closed.at(-3).regularClose).toISOString());
+
+        // daily bars are stamped at the close, so the next one ticks as soon as it is in
+        state.visible = closed.length - 1;
+        assert.equal(await runner.poll(), 1);
+        assert.deepEqual(ticks, [{ timestamp: closed.at(-2).regularClose, close: 100 + closed.length - 2, stockBalance: 0, cash: 10000 }]);
+        assert.deepEqual(state.posted.map(o => [o.symbol, o.side, o.type, o.qty, o.time_in_force]), [
+            ['AAPL', 'buy', 'market', '5', 'day'],
+            ['AAPL', 'buy', 'limit', '2000', 'day'],
+        ]);
+        assert.deepEqual(runner.orders.map(o => [o.id, o.status, o.brokerId]), [
+            [1, 'working', 'o1'],
+            [2, 'rejected', null],
+            [3, 'rejected', null],
+        ]);
+        assert.equal(runner.orders[1].reason, 'Notional amount and price must be > 0');
+        assert.match(runner.orders[2].reason, /insufficient buying power/);
+        assert.deepEqual(runner.journal.filter(e => e.type === 'order' || e.type === 'reject').map(e => [e.type, e.id]), [
+            ['order', 1],
+            ['reject', 2],
+            ['reject', 3],
+        ]);
+
+        // Alpaca fills the buy; the reconcile before the next tick picks it up, the forming bar is left out
+        Object.assign(state.orders[0], { status: 'filled', filled_qty: '5', filled_avg_price: '101.5', filled_at: new Date(now).toISOString() });
+        state.positions.AAPL = 5;
+        state.cash = 10000 - 5 * 101.5;
+        state.visible = closed.length + 1;
+        assert.equal(await runner.poll(), 1);
+        assert.deepEqual(ticks.at(-1), { timestamp: closed.at(-1).regularClose, close: 100 + closed.length - 1, stockBalance: 5, cash: 9492.5 });
+        assert.deepEqual([runner.orders[0].status, runner.orders[0].filledQty, runner.orders[0].fillPrice], ['filled', 5, 101.5]);
+        assert.deepEqual(runner.openOrders, { AAPL: [runner.orders[3]] });
+        const fill = runner.journal.find(e => e.type === 'fill');
+        assert.deepEqual([fill.id, fill.brokerId, fill.filledQty, fill.fillPrice, fill.status], [1, 'o1', 5, 101.5, 'filled']);
+        assert.deepEqual(state.posted.at(-1), { symbol: 'AAPL', side: 'sell', type: 'market', qty: '5', time_in_force: 'day', client_order_id: runner.orders[3].clientOrderId });
+
+        // nothing new until the forming bar closes
+        assert.equal(await runner.poll(), 0);
+    } finally {
+        console.error = errors;
+        server.close();
+    }
+});
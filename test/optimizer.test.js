@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Optimizer from '../src/backtest/optimizer.js';
+import Dataset from '../src/backtest/dataset.js';
+import Stock from '../src/backtest/stock.js';
+import Candle from '../src/backtest/candle.js';
+import { nyseCalendar } from '../src/backtest/calendar.js';
+
+const startDate = new Date('2024-03-01');
+const endDate = new Date('2024-04-01');
+
+/** Daily candles of AAA rising $1 a day. */
+function dataset() {
+    const stock = new Stock('AAA');
+    nyseCalendar.barTimes('1d', new Date('2024-02-20'), endDate).forEach((time, i) => {
+        stock.pushCandle(new Candle(100 + i, 100 + i, 100 + i, 100 + i, 10000, +time));
+    });
+    stock.finish();
+    return new Dataset({ intervals: { '1d': Dataset.pack([stock]) } });
+}
+
+// buys `qty` shares on the first tick; smaller ones wait longer on every tick, so the workers finish out of order
+const strategyUrl = new URL('data:text/javascript,' + encodeURIComponent(`
+import Strategy from '${new URL('../src/backtest/strategy.js', import.meta.url)}';
+export default ({ qty }) => new Strategy({
+    intervals: { '1d': { count: 1, main: true } },
+    onTick: async ({ stocks }) => {
+        if (qty < 0) throw new Error('qty must be >= 0');
+        await new Promise(resolve => setTimeout(resolve, (40 - qty) / 10));
+        for (const stock of stocks) {
+            if (stock.stockBalance === 0) stock.buy(qty, stock.candle.close);
+        }
+    },
+});
+`));
+
+function optimizer(workers) {
+    const opt = new Optimizer({
+        strategy: strategyUrl,
+        params: { qty: [10, 30, -1, 20] },
+        objective: metrics => metrics.totalReturn,
+        startDate,
+        endDate,
+        backtest: { startCashBalance: 10000 },
+        workers,
+    });
+    const data = dataset();
+    opt.loadDataset = async () => data;
+    return opt;
+}
+
+test('the worker pool ranks every parameter set with its own metrics', async () => {
+    const pooled = await optimizer(2).run();
+    assert.deepEqual(pooled.map(r => [r.rank, r.params.qty]), [[1, 30], [2, 20], [3, 10], [4, -1]]);
+    assert.ok(pooled[0].score > pooled[1].score && pooled[1].score > pooled[2].score);
+    assert.equal(pooled[3].score, -Infinity);
+    assert.equal(pooled[3].metrics, null);
+    assert.equal(pooled[3].error, 'qty must be >= 0');
+
+    // the same results as running them one by one in this thread
+    assert.deepEqual(pooled, await optimizer(0).run());
+});
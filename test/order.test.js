@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Order, { candlePath } from '../src/backtest/order.js';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Candle from '../src/backtest/candle.js';
+
+/** A bar of AAA ending at `time` New York time (EDT) on `day`. */
+const bar = (day, time, open, high, low, close) => new Candle(open, high, low, close, 1000, Date.parse(`${day}T${time}:00-04:00`));
+
+const order = params => new Order({ id: 1, stockName: 'AAA', qty: 10, timestamp: 0, ...params });
+
+function backtest(options = {}) {
+    const strategy = new Strategy({ intervals: { '5m': { count: 1, main: true } }, onTick() {} });
+    return new Backtest({ strategy, startDate: new Date('2024-03-01'), endDate: new Date('2024-04-01'), startCashBalance: 10000, ...options });
+}
+
+test('limit orders fill at the open on a gap and at the limit when the bar trades through it', () => {
+    assert.deepEqual(order({ side: 'buy', type: 'limit', limitPrice: 100 }).match(candlePath(new Candle(98, 99, 97, 98, 0, 0))), { price: 98, position: 0 });
+    // open 102, the low is nearer: 102 -> 95 crosses 100 at 2/7 of the segment
+    const fill = order({ side: 'buy', type: 'limit', limitPrice: 100 }).match(candlePath(new Candle(102, 110, 95, 104, 0, 0)));
+    assert.equal(fill.price, 100);
+    assert.equal(fill.position, 2 / 7);
+    assert.equal(order({ side: 'sell', type: 'limit', limitPrice: 111 }).match(candlePath(new Candle(102, 110, 95, 104, 0, 0))), null);
+});
+
+test('stop orders fill at the open on a gap and at the stop otherwise', () => {
+    assert.deepEqual(order({ side: 'sell', type: 'stop', stopPrice: 95 }).match(candlePath(new Candle(90, 96, 89, 92, 0, 0))), { price: 90, position: 0 });
+    assert.equal(order({ side: 'sell', type: 'stop', stopPrice: 95 }).match(candlePath(new Candle(100, 101, 93, 97, 0, 0))).price, 95);
+    assert.equal(order({ side: 'buy', type: 'stop', stopPrice: 105 }).match(candlePath(new Candle(100, 104, 99, 103, 0, 0))), null);
+});
+
+test('stop-limit orders stay triggered until the path reaches the limit', () => {
+    const stopLimit = order({ side: 'buy', type: 'stopLimit', stopPrice: 105, limitPrice: 103 });
+    // the high is nearer: triggers on the way to 108, then fills coming down through 103
+    assert.equal(stopLimit.match(candlePath(new Candle(100, 108, 90, 107, 0, 0))).price, 103);
+
+    const waiting = order({ side: 'buy', type: 'stopLimit', stopPrice: 105, limitPrice: 103 });
+    assert.equal(waiting.match(candlePath(new Candle(100, 108, 104, 107, 0, 0))), null);
+    assert.equal(waiting.triggered, true);
+    assert.deepEqual(waiting.match(candlePath(new Candle(102, 106, 101, 104, 0, 0))), { price: 102, position: 0 });
+
+    // a sell triggered halfway down fills where the same bar comes back up to its limit
+    const sell = order({ side: 'sell', type: 'stopLimit', stopPrice: 95, limitPrice: 96 });
+    const fill = sell.match(candlePath(new Candle(100, 111, 90, 99, 0, 0)));
+    assert.equal(fill.price, 96);
+    assert.ok(fill.position > 1 && fill.position < 2);
+});
+
+test('day orders expire at the end of the session they were placed in', async () => {
+    const bt = backtest();
+    const last = bar('2024-03-14', '16:00', 100, 100, 100, 100);
+    const day = bt.placeOrder('AAA', { side: 'buy', type: 'limit', qty: 10, limitPrice: 99, tif: 'day' }, last, last.timestamp);
+    const gtc = bt.placeOrder('AAA', { side: 'buy', type: 'limit', qty: 10, limitPrice: 99 }, last, last.timestamp);
+
+    await bt.processOrders('AAA', bar('2024-03-15', '09:35', 98, 99, 97, 98));
+    assert.equal(day.status, 'expired');
+    assert.equal(gtc.status, 'filled');
+    assert.equal(gtc.fillPrice, 98);
+    assert.equal(bt.stockBalances.AAA, 10);
+    assert.equal(bt.openOrders.AAA, undefined);
+});
+
+test('buy and sell queued for the next bar fill in that bar\'s session', async () => {
+    const bt = backtest({ execution: 'nextBarOpen' });
+    const last = bar('2024-03-14', '16:00', 100, 100, 100, 100);
+    const order = bt.submit('AAA', 'buy', 10, 100, last, last.timestamp);
+    assert.equal(order.tif, 'day');
+    assert.equal(order.status, 'working');
+
+    await bt.processOrders('AAA', bar('2024-03-15', '09:35', 101, 102, 100, 101));
+    assert.equal(order.status, 'filled');
+    assert.equal(order.fillPrice, 101);
+});
+
+test('cancelled and modified orders', async () => {
+    const bt = backtest();
+    const first = bar('2024-03-14', '10:00', 100, 100, 100, 100);
+    const cancelled = bt.placeOrder('AAA', { side: 'buy', type: 'limit', qty: 10, limitPrice: 99 }, first, first.timestamp);
+    const modified = bt.placeOrder('AAA', { side: 'buy', type: 'limit', qty: 10, limitPrice: 95 }, first, first.timestamp);
+    assert.equal(bt.cancelOrder(cancelled.id), true);
+    assert.equal(bt.cancelOrder(cancelled.id), false);
+    bt.modifyOrder(modified.id, { qty: 5, limitPrice: 98.5 });
+    assert.throws(() => bt.modifyOrder(modified.id, { qty: -1 }), TypeError);
+    assert.equal(modified.qty, 5);
+
+    await bt.processOrders('AAA', bar('2024-03-14', '10:05', 100, 100, 98, 99));
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(modified.status, 'filled');
+    assert.equal(modified.fillPrice, 98.5);
+    assert.equal(bt.stockBalances.AAA, 5);
+    assert.throws(() => bt.modifyOrder(modified.id, { qty: 10 }), /filled/);
+});
+
+test('a fill cancels the other orders of its OCO group', async () => {
+    const bt = backtest();
+    const first = bar('2024-03-14', '10:00', 100, 100, 100, 100);
+    bt.buy('AAA', 10, 100, first.timestamp);
+    const stop = bt.placeOrder('AAA', { side: 'sell', type: 'stop', qty: 10, stopPrice: 95, ocoGroup: 'exit' }, first, first.timestamp);
+    const target = bt.placeOrder('AAA', { side: 'sell', type: 'limit', qty: 10, limitPrice: 110, ocoGroup: 'exit' }, first, first.timestamp);
+
+    // the high is nearer the open, so the take-profit fills before the stop would
+    await bt.processOrders('AAA', bar('2024-03-14', '10:05', 108, 111, 94, 96));
+    assert.equal(target.status, 'filled');
+    assert.equal(target.fillPrice, 110);
+    assert.equal(stop.status, 'cancelled');
+    assert.equal(bt.stockBalances.AAA, undefined);
+    assert.equal(bt.trades[0].profit, 100);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PortfolioBacktest from '../src/backtest/portfolio.js';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Dataset from '../src/backtest/dataset.js';
+
+const strategy = interval => new Strategy({ intervals: { [interval]: { count: 1, main: true } }, onTick() {} });
+
+function portfolio(sleeves, options = {}) {
+    return new PortfolioBacktest({
+        sleeves,
+        startDate: new Date('2024-01-02'),
+        endDate: new Date('2024-03-01'),
+        backtest: { startCashBalance: 10000 },
+        ...options,
+    });
+}
+
+/** A finished sleeve run with the given equity at the close of each day. */
+function run(startCashBalance, days, values) {
+    const bt = new Backtest({ strategy: strategy('1d'), startDate: new Date('2024-01-02'), endDate: new Date('2024-03-01'), startCashBalance });
+    bt.equityCurve = days.map((day, k) => [new Date(`${day}T16:00:00-05:00`), values[k], values[k], 0]);
+    return { bt };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('loadDataset loads each interval only for the tickers of the sleeves reading it', async () => {
+    const load = Dataset.load;
+    let params;
+    Dataset.load = async p => (params = p);
+    try {
+        await portfolio([
+            { name: 'a', strategy: strategy('5m'), stockName: 'AAA' },
+            { name: 'b', strategy: strategy('5m'), stockName: 'BBB' },
+            { name: 'c', strategy: strategy('1d') },
+        ], { backtest: { startCashBalance: 10000, benchmark: 'SPY' } }).loadDataset();
+    } finally {
+        Dataset.load = load;
+    }
+    assert.deepEqual(params.intervals, ['5m', '1d']);
+    assert.deepEqual(params.stockNames, { '5m': ['AAA', 'SPY', 'BBB'], '1d': null });
+});
+
+test('combine rescales the sleeves to their fixed weights on each rebalance', () => {
+    const days = ['2024-01-30', '2024-01-31', '2024-02-01', '2024-02-02'];
+    const p = portfolio([{ name: 'a', strategy: strategy('1d') }, { name: 'b', strategy: strategy('1d') }]);
+    const a = run(5000, days, [5000, 10000, 10000, 20000]);
+    a.bt.trades.push({ timestamp: new Date('2024-02-02T16:00:00-05:00'), stockName: 'AAA', quantity: 10, fee: 1, borrowFee: 0, dividends: 0, profit: 100 });
+    const b = run(5000, days, [5000, 5000, 5000, 5000]);
+
+    const { backtest, allocations, contributions } = p.combine([a, b]);
+    assert.deepEqual(backtest.equityCurve.map(e => e[1]), [10000, 15000, 15000, 22500]);
+    // February's first bar moves 10000/15000 of sleeve a back to half
+    assert.equal(allocations.length, 2);
+    assert.deepEqual(allocations[0].drift, [2 / 3, 1 / 3]);
+    assert.deepEqual(allocations[1].weights, [0.5, 0.5]);
+    assert.deepEqual(allocations[1].drift, [2 / 3, 1 / 3]);
+    assert.deepEqual(contributions, [12500, 0]);
+    // a trade after the rebalance is in portfolio dollars: sleeve a is scaled by 7500/10000
+    assert.equal(backtest.trades[0].quantity, 7.5);
+    assert.equal(backtest.trades[0].profit, 75);
+});
+
+test('riskParity weighs the sleeves by the inverse volatility of their returns', () => {
+    const p = portfolio([{ name: 'a', strategy: strategy('1d') }, { name: 'b', strategy: strategy('1d') }, { name: 'c', strategy: strategy('1d') }], { allocation: 'riskParity', riskLookback: 3 });
+    const values = [
+        [100, 110, 99, 108.9],
+        [100, 101, 99.99, 100.9899],
+        [100, 100, 100, 100],
+    ];
+    // a is 10 times as volatile as b, c didn't move and gets b's volatility
+    const weights = p.targetWeights(values, 3, 0);
+    close(weights[0], 1 / 21);
+    close(weights[1], 10 / 21);
+    close(weights[2], 10 / 21);
+    // too few returns yet: the sleeves' weights
+    assert.deepEqual(p.targetWeights(values, 1, 0), [1 / 3, 1 / 3, 1 / 3]);
+});
+
+test('an allocation function gets the returns by sleeve name and returns weights by name', () => {
+    let args;
+    const p = portfolio([{ name: 'a', strategy: strategy('1d') }, { name: 'b', strategy: strategy('1d') }], {
+        allocation: (returns, date) => {
+            args = { returns, date };
+            return { a: 3, b: 1 };
+        },
+        riskLookback: 2,
+    });
+    const values = [[100, 110, 121, 121], [100, 100, 100, 90]];
+    assert.deepEqual(p.targetWeights(values, 3, Date.parse('2024-02-01T16:00:00-05:00')), [0.75, 0.25]);
+    assert.deepEqual(Object.keys(args.returns), ['a', 'b']);
+    close(args.returns.a[0], 0.1);
+    assert.equal(args.returns.a[1], 0);
+    close(args.returns.b[1], -0.1);
+    assert.deepEqual(args.date, new Date('2024-02-01T16:00:00-05:00'));
+
+    const zero = portfolio([{ name: 'a', strategy: strategy('1d') }], { allocation: () => ({ a: 0 }) });
+    assert.throws(() => zero.targetWeights([[100, 101, 102]], 2, 0), TypeError);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Candle from '../src/backtest/candle.js';
+import Broker from '../src/brokers/base.js';
+import { periodStart } from '../src/utils.js';
+
+/** The close of `day` in New York (EST). */
+const at = day => Date.parse(`${day}T16:00:00-05:00`);
+
+function backtest(options = {}, rebalance = null) {
+    const strategy = new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {}, rebalance });
+    return new Backtest({ strategy, startDate: new Date('2024-01-02'), endDate: new Date('2024-12-31'), startCashBalance: 10000, ...options });
+}
+
+const candles = (prices, day = '2024-03-04') => Object.fromEntries(Object.entries(prices).map(([name, p]) => [name, new Candle(p, p, p, p, 1e6, at(day))]));
+
+test('target weights turn into whole-share trades, sells first', () => {
+    const bt = backtest();
+    const sent = bt.rebalance({ AAA: 0.5, BBB: 0.3 }, candles({ AAA: 100, BBB: 50 }), at('2024-03-04'), { cashBuffer: 0.1 });
+    // 90% of $10000 invested: $4500 of AAA, $2700 of BBB
+    assert.deepEqual(sent.map(({ stockName, side, quantity }) => [stockName, side, quantity]), [['AAA', 'buy', 45], ['BBB', 'buy', 54]]);
+    assert.deepEqual(bt.stockBalances, { AAA: 45, BBB: 54 });
+    assert.equal(bt.cashBalance, 10000 - 4500 - 2700);
+
+    // AAA isn't a target anymore: sold first, and its proceeds pay for BBB
+    const next = bt.rebalance({ BBB: 0.9 }, candles({ AAA: 100, BBB: 50 }, '2024-03-05'), at('2024-03-05'));
+    assert.deepEqual(next.map(({ stockName, side, quantity }) => [stockName, side, quantity]), [['AAA', 'sell', 45], ['BBB', 'buy', 126]]);
+    assert.deepEqual(bt.stockBalances, { BBB: 180 });
+
+    // without liquidate, untargeted positions stay; stocks without a bar aren't traded
+    const kept = backtest();
+    kept.buy('CCC', 10, 100, at('2024-03-04'));
+    kept.rebalance({ AAA: 0.5 }, candles({ AAA: 100, CCC: 100 }), at('2024-03-04'), { liquidate: false });
+    assert.deepEqual(kept.stockBalances, { CCC: 10, AAA: 50 });
+    kept.rebalance({ AAA: 0.5 }, candles({ AAA: 100 }), at('2024-03-05'));
+    assert.equal(kept.stockBalances.CCC, 10);
+});
+
+test('minTradeValue skips trades inside the tolerance band', () => {
+    const bt = backtest();
+    bt.rebalance({ AAA: 0.45 }, candles({ AAA: 100 }), at('2024-03-04'));
+    assert.equal(bt.stockBalances.AAA, 45);
+    // 3 shares ($300) off the 48-share target
+    assert.deepEqual(bt.rebalance({ AAA: 0.48 }, candles({ AAA: 100 }), at('2024-03-05'), { minTradeValue: 500 }), []);
+    assert.equal(bt.stockBalances.AAA, 45);
+    assert.equal(bt.rebalance({ AAA: 0.48 }, candles({ AAA: 100 }), at('2024-03-05'), { minTradeValue: 200 })[0].quantity, 3);
+    assert.equal(bt.stockBalances.AAA, 48);
+});
+
+test('buys are cut down to the cash left after fees', () => {
+    class FlatFee extends Broker {
+        calculateFees() {
+            return 10;
+        }
+    }
+    const bt = backtest({ broker: new FlatFee() });
+    const [trade] = bt.rebalance({ AAA: 1 }, candles({ AAA: 100 }), at('2024-03-04'));
+    assert.equal(trade.quantity, 99);
+    assert.equal(bt.cashBalance, 10000 - 9900 - 10);
+
+    const fractional = backtest();
+    fractional.rebalance({ AAA: 1 / 3 }, candles({ AAA: 300 }), at('2024-03-04'), { fractional: true });
+    assert.equal(fractional.stockBalances.AAA, 11.111111111);
+
+    assert.throws(() => bt.rebalance({ AAA: -0.5 }, candles({ AAA: 100 }), at('2024-03-04')), TypeError);
+    assert.throws(() => bt.rebalance({ AAA: 0.7, BBB: 0.4 }, candles({ AAA: 100 }), at('2024-03-04')), TypeError);
+    assert.throws(() => bt.rebalance({ AAA: 0.5 }, candles({ AAA: 100 }), at('2024-03-04'), { cashBuffer: 1 }), TypeError);
+});
+
+test('scheduled rebalances run on the first tick of each period', async () => {
+    assert.equal(periodStart('2024-03-10', 'week'), '2024-03-04');
+    assert.equal(periodStart('2024-05-15', 'quarter'), '2024-04-01');
+
+    const schedule = async (every, days) => {
+        const calls = [];
+        const bt = backtest({}, { every, weights: ({ currentDate }) => (calls.push(currentDate), null) });
+        for (const day of days) {
+            await bt.scheduledRebalance({ currentDate: new Date(at(day)), rebalance() {} });
+        }
+        return calls.map(date => date.toISOString().slice(0, 10));
+    };
+    assert.deepEqual(await schedule('week', ['2024-03-07', '2024-03-08', '2024-03-11', '2024-03-15', '2024-03-18']), ['2024-03-07', '2024-03-11', '2024-03-18']);
+    assert.deepEqual(await schedule('month', ['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-29', '2024-04-01']), ['2024-02-28', '2024-03-01', '2024-04-01']);
+    assert.deepEqual(await schedule('quarter', ['2024-03-28', '2024-04-01', '2024-06-28', '2024-07-01']), ['2024-03-28', '2024-04-01', '2024-07-01']);
+
+    // the weights are traded with the schedule's options
+    const targets = [];
+    const bt = backtest({}, { every: 'month', weights: () => ({ AAA: 1 }), options: { cashBuffer: 0.2 } });
+    await bt.scheduledRebalance({ currentDate: new Date(at('2024-03-04')), rebalance: (weights, options) => targets.push([weights, options]) });
+    assert.deepEqual(targets, [[{ AAA: 1 }, { cashBuffer: 0.2 }]]);
+});
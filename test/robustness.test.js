@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Robustness from '../src/backtest/robustness.js';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import { percentile, histogram } from '../src/backtest/stats.js';
+
+const dayMs = 86400000;
+
+/** A Backtest with the given trade profits and equity curve, as if it had been run. */
+function finished(profits, equity) {
+    const start = new Date('2024-01-02T21:00:00Z');
+    const bt = new Backtest({
+        strategy: new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {} }),
+        startDate: start,
+        endDate: new Date(+start + (equity.length - 1) * dayMs),
+        startCashBalance: 100,
+    });
+    bt.trades = profits.map((profit, i) => ({ profit, timestamp: +start + i * dayMs }));
+    bt.equityCurve = equity.map((value, i) => [new Date(+start + i * dayMs), value, value, 0]);
+    return bt;
+}
+
+test('percentiles interpolate between the sorted values', () => {
+    assert.equal(percentile([1, 2, 3, 4], 0.5), 2.5);
+    assert.equal(percentile([1, 2, 3, 4], 0.25), 1.75);
+    assert.equal(percentile([1, 2, 3, 4], 1), 4);
+});
+
+test('histogram bins include the maximum in the last bin', () => {
+    assert.deepEqual(histogram([0, 1, 2, 3, 4], 2), { edges: [0, 2], counts: [2, 3] });
+});
+
+test('shuffled trades only draw down as far as their orders allow', () => {
+    const bt = finished([10, -30, 10, 10], [100, 110, 80, 90, 100]);
+    const result = new Robustness(bt, { simulations: 200, ruin: 0.25, seed: 7 }).run();
+    const shuffle = result.tradeShuffle;
+    assert.equal(shuffle.maxDrawdown.observed, -30 / 110);
+    // the loss comes after 0 to 3 wins
+    const possible = [-30 / 100, -30 / 110, -30 / 120, -30 / 130];
+    assert.ok(shuffle.maxDrawdown.values.every(v => possible.includes(v)));
+    assert.equal(shuffle.maxDrawdown.lower, -0.3);
+    // ruined (equity at 75 or less) only when the loss comes first
+    assert.equal(shuffle.ruin, shuffle.maxDrawdown.values.filter(v => v === -0.3).length / 200);
+    assert.deepEqual(new Robustness(bt, { simulations: 200, ruin: 0.25, seed: 7 }).run().tradeShuffle, shuffle);
+});
+
+test('a bootstrap with one block of every return ends where the backtest did', () => {
+    const bt = finished([], [100, 104, 98, 103, 110, 107]);
+    const result = new Robustness(bt, { simulations: 50, blockSize: 5 }).run();
+    assert.equal(result.tradeShuffle, null);
+    const { CAGR } = result.bootstrap;
+    assert.ok(CAGR.values.every(v => Math.abs(v - CAGR.observed) < 1e-9));
+    assert.ok(result.bootstrap.maxDrawdown.values.every(v => v <= 0 && v >= -0.06 / 1.04 - 0.1));
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Dataset from '../src/backtest/dataset.js';
+import Stock from '../src/backtest/stock.js';
+import Candle from '../src/backtest/candle.js';
+import { sma } from '../src/backtest/indicators.js';
+import { nyseCalendar } from '../src/backtest/calendar.js';
+
+const startDate = new Date('2024-02-01');
+const endDate = new Date('2024-03-09');
+
+/** Daily candles of three stocks at flat prices. */
+function dataset() {
+    const times = nyseCalendar.barTimes('1d', new Date('2024-01-02'), endDate);
+    const stocks = [['AAA', 50], ['BBB', 20], ['CCC', 100]].map(([name, close]) => {
+        const stock = new Stock(name);
+        for (const time of times) stock.pushCandle(new Candle(close, close, close, close, 10000, +time));
+        stock.finish();
+        return stock;
+    });
+    return new Dataset({ intervals: { '1d': Dataset.pack(stocks) } });
+}
+
+/** Buys half the cash left into each stock it doesn't hold, sells the positions it finds on its first tick, and bids for CCC at $1. */
+function backtest() {
+    const strategy = new Strategy({
+        intervals: { '1d': { count: 5, main: true } },
+        indicators: { average: sma(3) },
+        onTick: ({ stocks, ctx }) => {
+            for (const stock of stocks) {
+                stock.state.ticks = (stock.state.ticks ?? 0) + 1;
+                if (stock.stockBalance > 0 && stock.state.ticks === 1) {
+                    stock.sell(stock.stockBalance, stock.candle.close);
+                } else if (stock.stockBalance === 0) {
+                    stock.buy(Math.floor(ctx.cashBalance / 2 / stock.candle.close), stock.candle.close);
+                }
+                if (stock.stockName === 'CCC' && stock.orders.length === 0) {
+                    stock.placeOrder({ side: 'buy', type: 'limit', qty: 1, limitPrice: 1, tif: 'gtc' });
+                }
+            }
+        },
+    });
+    return new Backtest({ strategy, startDate, endDate, startCashBalance: 10000, dataset: dataset() });
+}
+
+/** Everything a scan could touch, as plain data. */
+function snapshot(bt) {
+    const { cashBalance, stockBalances, stockPrices, trades, swaps, orders, openOrders, nextOrderId, states, ledger, totalFees, equityCurve } = bt;
+    return JSON.parse(JSON.stringify({ cashBalance, stockBalances, stockPrices, trades, swaps, orders, openOrders, nextOrderId, states, lots: ledger.lots, totalFees, equityCurve }));
+}
+
+test('scan returns the signals and leaves the backtest as it was', async () => {
+    const bt = backtest();
+    await bt.runOnAllStocks();
+    assert.deepEqual(bt.stockBalances, { AAA: 100, BBB: 125, CCC: 12 });
+    assert.equal(bt.openOrders.CCC.length, 1);
+    const before = snapshot(bt);
+    const indicators = bt.indicators;
+
+    const signals = await bt.scan('2024-03-08', { holdings: { BBB: 10 }, cash: 5000, states: { AAA: { ticks: 100 } } });
+    // the scratch account starts from `cash` and `holdings`: AAA takes half of $5000, BBB's $200 adds to the rest
+    assert.deepEqual(signals.signals.map(({ stockName, side, type, quantity }) => [stockName, side, type, quantity]), [
+        ['AAA', 'buy', 'market', 50],
+        ['BBB', 'sell', 'market', 10],
+        ['CCC', 'buy', 'market', 13],
+        ['CCC', 'buy', 'limit', 1],
+    ]);
+    assert.deepEqual(signals.states, { AAA: { ticks: 101 }, BBB: { ticks: 1 }, CCC: { ticks: 1 } });
+    assert.equal(+signals.date, Date.parse('2024-03-08T16:00:00-05:00'));
+
+    assert.deepEqual(snapshot(bt), before);
+    assert.equal(bt.indicators, indicators);
+    assert.equal(bt.signals, null);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+
+/** `time` New York time (EST) on `day`. */
+const at = (day, time = '10:00') => Date.parse(`${day}T${time}:00-05:00`);
+
+function backtest(shorting) {
+    const strategy = new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {} });
+    return new Backtest({ strategy, startDate: new Date('2024-01-02'), endDate: new Date('2024-04-01'), startCashBalance: 10000, shorting });
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('selling more than is held opens a short, buying it back books the P&L', () => {
+    const bt = backtest({});
+    bt.sell('AAA', 10, 100, at('2024-03-04'));
+    assert.equal(bt.stockBalances.AAA, -10);
+    assert.equal(bt.cashBalance, 11000);
+    assert.equal(bt.totalValue(), 10000);
+
+    bt.buy('AAA', 10, 90, at('2024-03-05'));
+    assert.equal(bt.stockBalances.AAA, undefined);
+    assert.equal(bt.cashBalance, 10100);
+    assert.equal(bt.trades.length, 1);
+    assert.equal(bt.trades[0].side, 'short');
+    assert.equal(bt.trades[0].profit, 100);
+
+    // the short value plus 50% initial margin must stay in cash: $20000 of shorts at most
+    assert.throws(() => bt.sell('AAA', 210, 100, at('2024-03-06')), /Insufficient margin/);
+    assert.throws(() => backtest(null).sell('AAA', 10, 100, at('2024-03-04')), /Insufficient shares/);
+});
+
+test('borrow fees accrue for every calendar day a short is open', () => {
+    const bt = backtest({ borrowRate: { AAA: 0.36, default: 0 } });
+    bt.sell('AAA', 10, 100, at('2024-03-04'));
+    bt.sell('BBB', 10, 100, at('2024-03-04'));
+    bt.chargeBorrowFees(at('2024-03-04'));
+    bt.chargeBorrowFees(at('2024-03-04', '15:00'));
+    assert.equal(bt.totalBorrowFees, 0);
+
+    // $1000 short at 36% a year over 360 days: $1 a day, the weekend included
+    bt.chargeBorrowFees(at('2024-03-05'));
+    close(bt.totalBorrowFees, 1);
+    bt.chargeBorrowFees(at('2024-03-11'));
+    close(bt.totalBorrowFees, 7);
+    close(bt.borrowFees.AAA, 7);
+    assert.equal(bt.borrowFees.BBB ?? 0, 0);
+    close(bt.cashBalance, 12000 - 7);
+
+    // the closing trade carries the fees
+    bt.buy('AAA', 10, 100, at('2024-03-11'));
+    close(bt.trades[0].borrowFee, 7);
+    close(bt.trades[0].profit, -7);
+    assert.equal(bt.borrowFees.AAA, undefined);
+});
+
+test('a margin breach buys in the largest shorts until equity covers the maintenance margin', () => {
+    const bt = backtest({ initialMargin: 0.5, maintenanceMargin: 0.3 });
+    bt.sell('AAA', 100, 100, at('2024-03-04'));
+    bt.sell('BBB', 20, 100, at('2024-03-04'));
+    assert.equal(bt.cashBalance, 22000);
+
+    // $16500 of shorts needs $4950 of equity, there is $5500
+    bt.stockPrices.AAA = 145;
+    bt.checkMargin(at('2024-03-05'));
+    assert.equal(bt.stockBalances.AAA, -100);
+
+    // $17000 of shorts needs $5100, there is $5000
+    bt.stockPrices.AAA = 150;
+    bt.checkMargin(at('2024-03-05'));
+    // AAA alone brings equity ($5000) back above 30% of the $2000 left short
+    assert.equal(bt.stockBalances.AAA, undefined);
+    assert.equal(bt.stockBalances.BBB, -20);
+    assert.equal(bt.cashBalance, 7000);
+    assert.equal(bt.trades.length, 1);
+    assert.equal(bt.trades[0].stockName, 'AAA');
+    assert.equal(bt.trades[0].profit, -5000);
+});
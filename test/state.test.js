@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+import Dataset from '../src/backtest/dataset.js';
+import Stock from '../src/backtest/stock.js';
+import Candle from '../src/backtest/candle.js';
+import { nyseCalendar } from '../src/backtest/calendar.js';
+
+const startDate = new Date('2024-03-04');
+const endDate = new Date('2024-03-09');
+
+/** Daily candles of AAA every day of the week, BBB until Tuesday. */
+function dataset() {
+    const times = nyseCalendar.barTimes('1d', new Date('2024-02-26'), endDate);
+    const stocks = [['AAA', endDate], ['BBB', new Date('2024-03-06')]].map(([name, until]) => {
+        const stock = new Stock(name);
+        for (const time of times) {
+            if (time < until) stock.pushCandle(new Candle(100, 100, 100, 100, 10000, +time));
+        }
+        stock.finish();
+        return stock;
+    });
+    return new Dataset({ intervals: { '1d': Dataset.pack(stocks) } });
+}
+
+/** Counts each stock's ticks in its state; buys both on the first tick and sells AAA on the third. */
+function backtest(state, objects) {
+    const strategy = new Strategy({
+        intervals: { '1d': { count: 1, main: true } },
+        state: { initial: () => ({ ticks: 0 }), ...state },
+        onTick: ({ stocks }) => {
+            for (const stock of stocks) {
+                (objects[stock.stockName] ??= new Set()).add(stock.state);
+                stock.state.ticks++;
+                if (stock.state.ticks === 1 && !stock.state.closed) {
+                    stock.buy(10, stock.candle.close);
+                } else if (stock.stockName === 'AAA' && stock.state.ticks === 3) {
+                    stock.sell(10, stock.candle.close);
+                    stock.state.closed = true;
+                }
+            }
+        },
+    });
+    return new Backtest({ strategy, startDate, endDate, startCashBalance: 10000, dataset: dataset(), delisting: { missingBars: 1 } });
+}
+
+test('each stock keeps its state object across ticks', async () => {
+    const objects = {};
+    const bt = backtest({}, objects);
+    await bt.runOnAllStocks();
+    assert.equal(objects.AAA.size, 1);
+    assert.equal(objects.BBB.size, 1);
+    // BBB is delisted on Thursday, its second missing bar
+    assert.deepEqual(bt.states, { AAA: { ticks: 5, closed: true } });
+    assert.equal(bt.delisted.length, 1);
+});
+
+test('clearOnClose resets the state in place when the position is closed', async () => {
+    const objects = {};
+    const bt = backtest({ clearOnClose: true, clearOnDelist: false }, objects);
+    await bt.runOnAllStocks();
+    // emptied on the third tick's sell, then written to in the same tick, and counted again after
+    assert.equal(objects.AAA.size, 1);
+    assert.deepEqual(bt.states.AAA, { ticks: 2, closed: true });
+    // reset by the delisting's close, and kept
+    assert.deepEqual(bt.states.BBB, { ticks: 0 });
+});
+
+test('runOnStock passes the state in its context', async () => {
+    const strategy = new Strategy({
+        intervals: { '1d': { count: 1, main: true } },
+        state: { initial: () => ({ highs: [] }) },
+        onTick: ({ candle, state }) => {
+            state.highs.push(candle.high);
+        },
+    });
+    const bt = new Backtest({ strategy, startDate, endDate, startCashBalance: 10000, dataset: dataset() });
+    await bt.runOnStock('AAA');
+    assert.deepEqual(bt.states, { AAA: { highs: [100, 100, 100, 100, 100] } });
+    assert.throws(() => new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {}, state: { initial: {} } }), TypeError);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maxDrawdown, ulcerIndex, sortinoRatio, drawdownDurations, tradeStats, alignSeries, relativeStats } from '../src/backtest/stats.js';
+
+function assertClose(actual, expected, digits = 9) {
+    assert.ok(Math.abs(actual - expected) < 10 ** -digits, `${actual} is not ${expected}`);
+}
+
+test('max drawdown is the worst fall from a peak', () => {
+    assert.equal(maxDrawdown([100, 120, 90, 130, 117]), -0.25);
+    assert.equal(maxDrawdown([100, 110, 120]), 0);
+});
+
+test('ulcer index is the root mean square of the drawdowns', () => {
+    assertClose(ulcerIndex([100, 120, 90, 130, 117]), Math.sqrt((0.25 ** 2 + 0.1 ** 2) / 5));
+});
+
+test('sortino ratio divides by the deviation of the losses only', () => {
+    const rets = [0.02, -0.01, 0.03, -0.02];
+    assertClose(sortinoRatio(rets, 4), 0.005 / Math.sqrt((0.01 ** 2 + 0.02 ** 2) / 4) * 2);
+    assert.equal(sortinoRatio([0.01, 0.02], 252), 0);
+});
+
+test('drawdown durations measure the time under water and the recovery', () => {
+    assert.deepEqual(drawdownDurations([0, 1, 2, 3, 4, 5], [100, 120, 90, 100, 125, 110]), { maxDrawdownDuration: 2, recoveryTime: 2 });
+    assert.deepEqual(drawdownDurations([0, 1, 2], [100, 90, 95]), { maxDrawdownDuration: 2, recoveryTime: null });
+    assert.deepEqual(drawdownDurations([0, 1], [100, 101]), { maxDrawdownDuration: 0, recoveryTime: 0 });
+});
+
+test('trade stats count wins, losses and streaks', () => {
+    const trades = [10, 20, -5, -5, -5, 0, 15].map((profit, i) => ({
+        profit, entryTimestamp: i * 10, timestamp: i * 10 + i + 1, mae: -0.01 * (i + 1), mfe: 0.02,
+    }));
+    const stats = tradeStats(trades);
+    assert.equal(stats.winRate, 3 / 7);
+    assert.equal(stats.profitFactor, 45 / 15);
+    assert.equal(stats.expectancy, 30 / 7);
+    assert.equal(stats.payoffRatio, 3);
+    assert.equal(stats.maxWinStreak, 2);
+    assert.equal(stats.maxLossStreak, 3);
+    assert.equal(stats.avgHoldTime, 4);
+    assertClose(stats.avgMAE, -0.04);
+    assertClose(stats.avgMFE, 0.02);
+});
+
+test('trade stats without losses', () => {
+    const stats = tradeStats([{ profit: 5, timestamp: 1 }]);
+    assert.equal(stats.profitFactor, Infinity);
+    assert.equal(stats.payoffRatio, null);
+    assert.equal(tradeStats([]).winRate, 0);
+});
+
+test('series are aligned on the latest value at or before each time', () => {
+    assert.deepEqual(alignSeries([1, 2, 3, 5], [[2, 10], [4, 20]]), [null, 10, 10, 20]);
+});
+
+test('relative stats of a strategy with twice the benchmark\'s returns', () => {
+    const bench = [0.01, -0.02, 0.03, -0.01];
+    const stats = relativeStats(bench.map(r => 2 * r), bench, 1);
+    assertClose(stats.beta, 2);
+    assertClose(stats.alpha, 0);
+    assertClose(stats.correlation, 1);
+    assertClose(stats.upCapture, 2);
+    assertClose(stats.downCapture, 2);
+    // the active returns are the benchmark's own
+    const sd = Math.sqrt((0.0075 ** 2 + 0.0225 ** 2 + 0.0275 ** 2 + 0.0125 ** 2) / 4);
+    assertClose(stats.trackingError, sd);
+    assertClose(stats.informationRatio, 0.0025 / sd);
+});
+
+test('alpha is the annualised return the benchmark doesn\'t explain', () => {
+    const bench = [0.01, -0.02, 0.03, -0.01];
+    const stats = relativeStats(bench.map(r => r + 0.001), bench, 252);
+    assertClose(stats.beta, 1);
+    assertClose(stats.alpha, 0.252);
+    assertClose(stats.trackingError, 0);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Universe, rank, percentileRank, zScores, top } from '../src/backtest/universe.js';
+import Stock from '../src/backtest/stock.js';
+import Candle from '../src/backtest/candle.js';
+
+const stocks = [
+    { stockName: 'A', score: 3 },
+    { stockName: 'B', score: 1 },
+    { stockName: 'C', score: 3 },
+    { stockName: 'D', score: NaN },
+    { stockName: 'E', score: 5 },
+];
+const byScore = s => s.score;
+
+test('rank shares the average rank between ties and leaves out non-finite scores', () => {
+    assert.deepEqual(rank(stocks, byScore), { B: 1, A: 2.5, C: 2.5, E: 4 });
+    assert.deepEqual(rank(stocks, byScore, { descending: true }), { E: 1, A: 2.5, C: 2.5, B: 4 });
+});
+
+test('percentile ranks run from 0 to 1', () => {
+    assert.deepEqual(percentileRank(stocks, byScore), { B: 0, A: 0.5, C: 0.5, E: 1 });
+    assert.deepEqual(percentileRank(stocks.slice(0, 1), byScore), { A: 0.5 });
+});
+
+test('z-scores use the population deviation', () => {
+    // mean 3, deviation sqrt(2)
+    const z = zScores(stocks, byScore);
+    assert.deepEqual(Object.keys(z), ['A', 'B', 'C', 'E']);
+    assert.equal(z.A, 0);
+    assert.equal(z.B, -2 / Math.SQRT2);
+    assert.equal(z.E, 2 / Math.SQRT2);
+    assert.deepEqual(zScores(stocks.slice(0, 1), byScore), { A: 0 });
+});
+
+test('top picks the best scores first', () => {
+    assert.deepEqual(top(stocks, 2, byScore).map(s => s.stockName), ['E', 'A']);
+    assert.deepEqual(top(stocks, 2, byScore, { ascending: true }).map(s => s.stockName), ['B', 'A']);
+    assert.equal(top(stocks, 10, byScore).length, 4);
+});
+
+test('the universe filters on price, dollar volume, history, exchange and the custom filter', () => {
+    const stock = new Stock('A');
+    const closes = [10, 11, 12, 13];
+    const volumes = [100, 200, 300, 1000];
+    closes.forEach((close, i) => stock.pushCandle(new Candle(close, close, close, close, volumes[i], i * 86400000)));
+    stock.finish();
+    const item = index => ({ stockName: 'A', candle: { close: closes[index] } });
+
+    // (11·200 + 12·300 + 13·1000) / 3
+    assert.equal(Universe.dollarVolume(stock, 3, 3), 18800 / 3);
+    assert.equal(Universe.dollarVolume(stock, 1, 3), null);
+
+    const universe = new Universe({ minPrice: 11, maxPrice: 12.5, minDollarVolume: 2000, dollarVolumePeriod: 2, exchanges: ['NASDAQ'], minHistory: 2 });
+    assert.equal(universe.lookback, 2);
+    assert.equal(universe.includes(item(0), stock, 0, 'NASDAQ'), false); // price and history
+    assert.equal(universe.includes(item(1), stock, 1, 'NASDAQ'), false); // (1000 + 2200) / 2 dollar volume
+    assert.equal(universe.includes(item(2), stock, 2, 'NASDAQ'), true);
+    assert.equal(universe.includes(item(2), stock, 2, 'NYSE'), false);
+    assert.equal(universe.includes(item(3), stock, 3, 'NASDAQ'), false); // price
+
+    const filtered = new Universe({ filter: s => s.stockName !== 'A' });
+    assert.equal(filtered.includes(item(3), stock, 3, null), false);
+});
+
+test('invalid universe parameters throw', () => {
+    assert.throws(() => new Universe({ minPrice: -1 }), TypeError);
+    assert.throws(() => new Universe({ dollarVolumePeriod: 0 }), TypeError);
+    assert.throws(() => new Universe({ exchanges: 'NYSE' }), TypeError);
+    assert.throws(() => new Universe({ filter: true }), TypeError);
+});
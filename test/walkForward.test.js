@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WalkForward from '../src/backtest/walkForward.js';
+import Backtest from '../src/backtest/index.js';
+import Strategy from '../src/backtest/strategy.js';
+
+const strategy = () => new Strategy({ intervals: { '1d': { count: 1, main: true } }, onTick() {} });
+
+function walkForward(options = {}) {
+    return new WalkForward({
+        strategy,
+        params: { n: [1, 2, 3] },
+        startDate: new Date(2020, 0, 1),
+        endDate: new Date(2021, 0, 1),
+        inSample: { months: 6 },
+        outOfSample: { months: 2 },
+        objective: metrics => metrics.score,
+        backtest: { startCashBalance: 10000 },
+        ...options,
+    });
+}
+
+/** A finished run that grew its starting cash by `growth` over the period. */
+function finished(startDate, endDate, startCashBalance, growth) {
+    const bt = new Backtest({ strategy: strategy(), startDate, endDate, startCashBalance });
+    bt.cashBalance = startCashBalance * growth;
+    bt.equityCurve = [[startDate, startCashBalance, startCashBalance, 0], [endDate, bt.cashBalance, bt.cashBalance, 0]];
+    return bt;
+}
+
+test('windows step by the out-of-sample length, the last one cut at endDate', () => {
+    const windows = walkForward({ endDate: new Date(2020, 11, 15) }).windows;
+    assert.deepEqual(windows, [
+        { inSample: [new Date(2020, 0, 1), new Date(2020, 6, 1)], outOfSample: [new Date(2020, 6, 1), new Date(2020, 8, 1)] },
+        { inSample: [new Date(2020, 2, 1), new Date(2020, 8, 1)], outOfSample: [new Date(2020, 8, 1), new Date(2020, 10, 1)] },
+        { inSample: [new Date(2020, 4, 1), new Date(2020, 10, 1)], outOfSample: [new Date(2020, 10, 1), new Date(2020, 11, 15)] },
+    ]);
+    const anchored = walkForward({ anchored: true }).windows;
+    assert.deepEqual(anchored.map(w => w.inSample[0]), [new Date(2020, 0, 1), new Date(2020, 0, 1), new Date(2020, 0, 1)]);
+    assert.deepEqual(anchored.at(-1).outOfSample, [new Date(2020, 10, 1), new Date(2021, 0, 1)]);
+    assert.throws(() => walkForward({ inSample: { years: 2 } }), TypeError);
+});
+
+test('each window trades the best in-sample parameters and the out-of-sample runs are stitched', async () => {
+    const wf = walkForward();
+    const calls = [];
+    // n = 2 fails in the first window; the best n alternates between windows
+    wf.runBacktest = async ({ n }, startDate, endDate, cash) => {
+        const window = wf.windows.findIndex(w => +w.inSample[0] === +startDate || +w.outOfSample[0] === +startDate);
+        const outOfSample = +wf.windows[window].outOfSample[0] === +startDate;
+        calls.push({ n, window, outOfSample, cash });
+        if (!outOfSample && window === 0 && n === 2) throw new Error('not enough data');
+        const bt = finished(startDate, endDate, cash, 1.1);
+        return { bt, metrics: { score: window % 2 === 0 ? n : -n } };
+    };
+    const result = await wf.run();
+
+    assert.deepEqual(result.windows.map(w => w.params), [{ n: 3 }, { n: 1 }, { n: 3 }]);
+    assert.deepEqual(result.windows[0].candidates.map(c => [c.params.n, c.score, c.error]), [[1, 1, null], [2, -Infinity, 'not enough data'], [3, 3, null]]);
+    assert.equal(result.windows[1].inSampleScore, -1);
+    // in-sample runs start from the starting cash, each out-of-sample run from the previous one's equity
+    assert.deepEqual(calls.filter(c => !c.outOfSample).map(c => c.cash), Array(9).fill(10000));
+    assert.deepEqual(calls.filter(c => c.outOfSample).map(c => Math.round(c.cash)), [10000, 11000, 12100]);
+
+    assert.deepEqual(result.backtest.equityCurve.map(e => Math.round(e[1])), [10000, 11000, 11000, 12100, 12100, 13310]);
+    assert.equal(Math.round(result.backtest.cashBalance), 13310);
+    assert.equal(+result.backtest.startDate, +new Date(2020, 6, 1));
+});
+
+test('a window where every parameter set fails stops the run', async () => {
+    const wf = walkForward();
+    wf.runBacktest = async () => {
+        throw new Error('no candles');
+    };
+    await assert.rejects(wf.run(), /No parameter set could be run in window 1: no candles/);
+});
+
+test('the stitched benchmark has each point once, in order', () => {
+    const wf = walkForward();
+    const t = day => new Date(2020, 6, day);
+    // each run loads the benchmark from its own lookback start
+    const first = finished(t(1), t(3), 10000, 1);
+    first.benchmarkSeries = [[t(1), 100], [t(2), 101], [t(3), 102]];
+    const second = finished(t(3), t(5), 10000, 1);
+    second.benchmarkSeries = [[t(2), 101], [t(3), 102], [t(4), 103], [t(5), 104]];
+    const bt = wf.stitch([{ bt: first }, { bt: second }]);
+    assert.deepEqual(bt.benchmarkSeries.map(p => p[1]), [100, 101, 102, 103, 104]);
+
+    second.benchmarkSeries = null;
+    assert.equal(wf.stitch([{ bt: first }, { bt: second }]).benchmarkSeries, null);
+});